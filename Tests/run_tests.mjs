@@ -1,4 +1,6 @@
 
+import { readFileSync } from 'fs';
+
 // Mock DOM environment for search.js
 global.document = {
     createElement: (tag) => {
@@ -21,6 +23,14 @@ global.document = {
     }
 };
 
+// Mock localStorage for state.js/storage.js
+const localStore = {};
+global.localStorage = {
+    getItem: (key) => (key in localStore ? localStore[key] : null),
+    setItem: (key, value) => { localStore[key] = String(value); },
+    removeItem: (key) => { delete localStore[key]; }
+};
+
 import {
     validateTitle,
     validateAuthor,
@@ -28,10 +38,93 @@ import {
     validateTag,
     validateDate,
     findDuplicateWords,
+    validateStatus,
+    validateBook,
+    validateSession,
+    validatePassphrase,
+    validateContributors,
+    validateTags,
+    validateSeries,
+    validateRating,
+    validateIsbn,
     patterns
 } from '../scripts/validators.js';
 
-import { compileRegex, highlightMatches } from '../scripts/search.js';
+import { compileRegex, highlightMatches, filterByStatus, filterByRating, filterByTags, compileSearch, filterBooks, getSearchSuggestions, sortBooks, countFieldMatches, countMatches, getMatchSnippet } from '../scripts/search.js';
+import {
+    applyStatusTransition,
+    setBooks,
+    getBookById,
+    addSession,
+    getPagesRead,
+    getSessions,
+    deleteBook,
+    getShelves,
+    saveShelf,
+    deleteShelf,
+    getBooks,
+    addBook,
+    updateBook,
+    undo,
+    redo,
+    canRedo,
+    getTrashedBooks,
+    restoreBook,
+    purgeBook,
+    purgeExpiredTrash,
+    updateSettings,
+    getSettings,
+    planImportMerge,
+    applyMerge,
+    initStateAsync,
+    applyRemoteChanges,
+    resolveSyncConflict,
+    startSync,
+    encryptVault,
+    decryptVault,
+    takeSnapshot,
+    getSnapshots,
+    compareSnapshot,
+    restoreSnapshot,
+    pruneSnapshots,
+    getTagInfo,
+    renameTags,
+    setTagColor,
+    setTagParent,
+    findBooks
+} from '../scripts/state.js';
+import { planMerge, resolveConflict, findDuplicateBook } from '../scripts/merge.js';
+import {
+    importFromJSON,
+    exportToJSON,
+    exportToCSV,
+    guessColumnMapping,
+    readCSVHeaders,
+    importFromCSV,
+    diffBookRecords,
+    getStorageBackend,
+    loadBooks,
+    loadSnapshots,
+    exportToEncryptedJSON,
+    isEncryptedJSON,
+    importFromEncryptedJSON,
+    onSaveError
+} from '../scripts/storage.js';
+import { parseCSV } from '../scripts/csv.js';
+import { SCHEMA_VERSION, upgradeData } from '../scripts/schema.js';
+import { detectImportFormat, importFromService, suggestAuthorName } from '../scripts/importers.js';
+import { hasVault, unlockVault } from '../scripts/vault.js';
+import { toContributors, parseContributors, formatContributors } from '../scripts/contributors.js';
+import { toTags, countTags, getTagColor, listTags, replaceTags } from '../scripts/tags.js';
+import { groupSeries, formatSeries } from '../scripts/series.js';
+import { isValidIsbn, toIsbn13, toIsbn10, hyphenateIsbn } from '../scripts/isbn.js';
+import { registerMetadataProvider, unregisterMetadataProvider, getMetadataProviders, createCatalogProvider, lookupMetadata } from '../scripts/metadata.js';
+import { averageRating, countRatings, getTopRatedAuthors, formatStars } from '../scripts/ratings.js';
+import { convertPages, toPages, formatPages } from '../scripts/units.js';
+import { compileQuery } from '../scripts/query.js';
+import { renderCSVMapping, getCSVMapping, renderTrash, showFieldError, renderBooksTable, renderBooksCards, renderMergePreview } from '../scripts/ui.js';
+import { normalizeText } from '../scripts/text.js';
+import { foldText } from '../scripts/fuzzy.js';
 
 // Test Framework
 const results = {
@@ -117,6 +210,21 @@ test('Validators: Author - reject empty', () => {
     assert(!result.valid, 'Should reject empty author');
 });
 
+test('Validators: Author - international names', () => {
+    const names = [
+        'Gabriel García Márquez', 'Chinua Achebe Jr.', "Tim O'Brien", 'J.R.R. Tolkien',
+        'J. R. R. Tolkien', 'Ngũgĩ wa Thiong’o', 'Фёдор Достоевский', '村上春樹', 'ராமானுஜன்',
+        // "í" typed as "i" + a combining accent
+        'Garci\u0301a'
+    ];
+    names.forEach(name => assert(validateAuthor(name).valid, `Should accept ${name}`));
+});
+
+test('Validators: Author - reject stray punctuation', () => {
+    ["O''Brien", '-Smith', 'Smith-', '. Smith', 'John  Smith'].forEach(name =>
+        assert(!validateAuthor(name).valid, `Should reject ${name}`));
+});
+
 test('Validators: Pages - valid positive integer', () => {
     const result = validatePages('250');
     assert(result.valid, 'Should accept positive integer');
@@ -157,6 +265,12 @@ test('Validators: Tag - reject numbers', () => {
     assert(!result.valid, 'Should reject numbers in tag');
 });
 
+test('Validators: Tag - accents and apostrophes', () => {
+    assert(validateTag('Ciencia ficción').valid, 'Should accept accented tags');
+    assert(validateTag("Children's").valid, 'Should accept apostrophes');
+    assert(validateTag('推理小説').valid, 'Should accept other scripts');
+});
+
 test('Validators: Date - valid YYYY-MM-DD', () => {
     const result = validateDate('2025-09-25');
     assert(result.valid, 'Should accept valid date');
@@ -177,6 +291,161 @@ test('Validators: Date - reject invalid day', () => {
     assert(!result.valid, 'Should reject invalid day');
 });
 
+test('Validators: Status - valid lifecycle value', () => {
+    const result = validateStatus('reading');
+    assert(result.valid, 'Should accept known status');
+});
+
+test('Validators: Status - reject unknown value', () => {
+    const result = validateStatus('lost');
+    assert(!result.valid, 'Should reject unknown status');
+});
+
+test('Validators: Book - reject finish date before start date', () => {
+    const result = validateBook({
+        title: 'Dune', author: 'Frank Herbert', pages: '688', tag: 'Sci-Fi', date: '2026-01-01',
+        status: 'finished', startDate: '2026-02-01', finishDate: '2026-01-15'
+    });
+    assert(!result.valid, 'Should reject finish before start');
+    assert(result.errors.finishDate, 'Should report finishDate error');
+});
+
+// ===========================
+// Status Lifecycle Tests
+// ===========================
+
+test('Status: Start reading stamps a start date', () => {
+    const result = applyStatusTransition({ status: 'to-read' }, { status: 'reading' });
+    assertEqual(result.status, 'reading');
+    assert(result.startDate, 'Should set startDate');
+    assertEqual(result.finishDate, null);
+});
+
+test('Status: Finishing keeps start date and stamps finish date', () => {
+    const result = applyStatusTransition({ status: 'reading', startDate: '2026-01-01' }, { status: 'finished' });
+    assertEqual(result.startDate, '2026-01-01');
+    assert(result.finishDate, 'Should set finishDate');
+});
+
+test('Status: Back to to-read clears dates', () => {
+    const result = applyStatusTransition({ status: 'finished', startDate: '2026-01-01', finishDate: '2026-01-10' }, { status: 'to-read' });
+    assertEqual(result.startDate, null);
+    assertEqual(result.finishDate, null);
+});
+
+test('Status: Filter books by status', () => {
+    const books = [{ status: 'reading' }, { status: 'finished' }, {}];
+    assertEqual(filterByStatus(books, 'reading').length, 1);
+    assertEqual(filterByStatus(books, 'finished').length, 2, 'Missing status counts as finished, as when loading');
+    assertEqual(filterByStatus(books, 'to-read').length, 0);
+    assertEqual(filterByStatus(books, '').length, 3);
+});
+
+test('Status: Books without a status count as read in progress and series', () => {
+    assertEqual(getPagesRead({ id: 'no-status', pages: '300' }), 300, 'All pages count as read');
+    const [series] = groupSeries([
+        { id: 's1', title: 'Dune', series: 'Dune', seriesIndex: 1, pages: '688' },
+        { id: 's2', title: 'Dune Messiah', series: 'Dune', seriesIndex: 2, pages: '256', status: 'to-read' }
+    ]);
+    assertEqual(series.read, 1);
+});
+
+test('Status: Status and date errors are shown next to their fields', () => {
+    const html = readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+    const elements = Object.fromEntries([...html.matchAll(/id="([^"]+-error)"/g)].map(([, id]) => [id, { textContent: '' }]));
+    const { getElementById } = document;
+    document.getElementById = id => elements[id] || null;
+
+    const { errors } = validateBook({
+        title: 'Dune', author: 'Frank Herbert', pages: '688', tags: ['Sci-Fi'], date: '2026-01-01',
+        status: 'lost', startDate: '2026-02-01', finishDate: '2026-01-15'
+    });
+    try {
+        Object.entries(errors).forEach(([field, message]) => showFieldError(`book-${field}`, message));
+    } finally {
+        document.getElementById = getElementById;
+    }
+
+    assert(elements['book-status-error'].textContent, 'The status error is shown');
+    assertEqual(elements['book-finishDate-error'].textContent, 'Finish date cannot be before start date');
+    assert('book-startDate-error' in elements, 'The start date has an error element');
+});
+
+test('Status: Abandoning an unstarted book leaves the start date empty', () => {
+    const unstarted = applyStatusTransition({ status: 'to-read' }, { status: 'abandoned' });
+    assertEqual(unstarted.startDate, null, 'A book never started has no start date');
+    assertEqual(unstarted.finishDate, null);
+    const started = applyStatusTransition({ status: 'reading', startDate: '2026-01-01' }, { status: 'abandoned' });
+    assertEqual(started.startDate, '2026-01-01', 'A started book keeps its start date');
+});
+
+test('Status: Import rejects unknown status', () => {
+    const json = JSON.stringify([{ title: 'Dune', author: 'Frank Herbert', pages: '688', tag: 'Sci-Fi', date: '2026-01-01', status: 'lost' }]);
+    const result = importFromJSON(json);
+    assert(!result.valid, 'Should reject unknown status');
+});
+
+// ===========================
+// Reading Session Tests
+// ===========================
+
+const sessionBook = { id: 'book_s1', title: 'Dune', author: 'Frank Herbert', pages: '600', tag: 'Sci-Fi', date: '2026-01-01', status: 'to-read' };
+
+test('Sessions: Validate end page after start page', () => {
+    const result = validateSession({ date: '2026-01-02', startPage: '50', endPage: '40', minutes: '30' }, sessionBook);
+    assert(!result.valid, 'Should reject end before start');
+    assert(result.errors.endPage, 'Should report endPage error');
+});
+
+test('Sessions: Validate end page within book', () => {
+    const result = validateSession({ date: '2026-01-02', startPage: '0', endPage: '700', minutes: '30' }, sessionBook);
+    assert(!result.valid, 'Should reject end page beyond book length');
+});
+
+test('Sessions: Logging a session starts reading', () => {
+    setBooks([sessionBook]);
+    addSession('book_s1', { date: '2026-01-02', startPage: '0', endPage: '100', minutes: '60' });
+    assertEqual(getBookById('book_s1').status, 'reading');
+    assertEqual(getBookById('book_s1').startDate, '2026-01-02');
+});
+
+test('Sessions: Overlapping ranges counted once', () => {
+    addSession('book_s1', { date: '2026-01-03', startPage: '80', endPage: '150', minutes: '45' });
+    assertEqual(getPagesRead(getBookById('book_s1')), 150);
+});
+
+test('Sessions: Trashing keeps sessions, purging removes them', () => {
+    deleteBook('book_s1');
+    assertEqual(getSessions('book_s1').length, 2, 'Trashed book keeps its sessions');
+    purgeBook('book_s1');
+    assertEqual(getSessions('book_s1').length, 0);
+});
+
+// ===========================
+// Unit Conversion Tests
+// ===========================
+
+test('Units: Pages unit leaves counts unchanged', () => {
+    assertEqual(convertPages('250', { pageUnit: 'pages' }), 250);
+});
+
+test('Units: Hours use configured reading speed', () => {
+    assertEqual(convertPages(300, { pageUnit: 'hours', pagesPerHour: 40 }), 7.5);
+});
+
+test('Units: Hours fall back to 50 pages per hour', () => {
+    assertEqual(convertPages(100, { pageUnit: 'hours' }), 2);
+});
+
+test('Units: Convert hours goal back to pages', () => {
+    assertEqual(toPages(10, { pageUnit: 'hours', pagesPerHour: 30 }), 300);
+});
+
+test('Units: Format with unit label', () => {
+    assertEqual(formatPages(50, { pageUnit: 'hours' }, true), '1 hour');
+    assertEqual(formatPages(1, { pageUnit: 'pages' }, true), '1 page');
+});
+
 // ===========================
 // Advanced Regex Tests
 // ===========================
@@ -232,6 +501,1372 @@ test('Search: Return original text when no regex', () => {
     assertEqual(highlighted, text, 'Should return original text');
 });
 
+// ===========================
+// Query Language Tests
+// ===========================
+
+const queryBooks = [
+    { title: 'Sapiens', author: 'Yuval Noah Harari', pages: '443', tag: 'History', date: '2026-01-10', notes: '' },
+    { title: 'Homo Deus', author: 'Yuval Noah Harari', pages: '320', tag: 'History', date: '2026-03-02', notes: '' },
+    { title: 'The Hobbit', author: 'J R R Tolkien', pages: '310', tag: 'Fantasy', date: '2026-02-14', notes: 'Read aloud' },
+    { title: 'Dune', author: 'Frank Herbert', pages: '688', tag: 'Sci-Fi', date: '2026-02-01', notes: '' }
+];
+
+function runQuery(input) {
+    const query = compileQuery(input);
+    assert(query.valid, `Query should compile: ${query.error}`);
+    return queryBooks.filter(query.predicate).map(book => book.title);
+}
+
+test('Query: Field and numeric comparison', () => {
+    assertEqual(runQuery('author:harari pages:>400').join(','), 'Sapiens');
+});
+
+test('Query: Date range with partial dates', () => {
+    assertEqual(runQuery('date:2026-01..2026-02').join(','), 'Sapiens,The Hobbit,Dune');
+});
+
+test('Query: Negated field term', () => {
+    assertEqual(runQuery('date:2026-02 -tag:Sci-Fi').join(','), 'The Hobbit');
+});
+
+test('Query: OR and parentheses', () => {
+    assertEqual(runQuery('(tag:Fantasy OR tag:Sci-Fi) NOT pages:<400').join(','), 'Dune');
+});
+
+test('Query: Quoted phrase', () => {
+    assertEqual(runQuery('"read aloud"').join(','), 'The Hobbit');
+});
+
+test('Query: Highlight regex from positive text terms', () => {
+    const query = compileQuery('author:harari -tag:Fantasy');
+    assert(query.highlight.test('Harari'), 'Should highlight author term');
+    assert(!query.highlight.test('Fantasy'), 'Should not highlight negated term');
+});
+
+test('Query: Report unknown field', () => {
+    const query = compileQuery('publisher:penguin');
+    assert(!query.valid, 'Should reject unknown field');
+    assert(query.error.includes('Unknown field'), 'Should explain the error');
+});
+
+test('Query: Report unbalanced parenthesis', () => {
+    assert(!compileQuery('(tag:Fantasy OR tag:History').valid, 'Should reject missing )');
+    assert(!compileQuery('tag:Fantasy)').valid, 'Should reject stray )');
+});
+
+test('Query: Report invalid date and number', () => {
+    assert(!compileQuery('date:2026-13').valid, 'Should reject invalid month');
+    assert(!compileQuery('pages:>lots').valid, 'Should reject non-numeric pages');
+});
+
+// ===========================
+// Smart Shelf Tests
+// ===========================
+
+test('Shelves: Compile search in either mode', () => {
+    assert(compileSearch('hob', { mode: 'regex' }).matcher instanceof RegExp, 'Regex mode returns a RegExp');
+    assertEqual(typeof compileSearch('tag:Fantasy', { mode: 'query' }).matcher, 'function');
+    assert(!compileSearch('[bad', { mode: 'regex' }).valid, 'Invalid regex is reported');
+});
+
+test('Shelves: A search matches every book, however many match in a row', () => {
+    const dunes = ['Dune', 'Dune Messiah', 'Children of Dune', 'God Emperor of Dune']
+        .map((title, index) => ({ id: `dune${index}`, title, author: 'Frank Herbert', tags: ['Sci-Fi'], date: '2026-01-01' }));
+    const search = compileSearch('dune');
+
+    assertEqual(filterBooks(dunes, search.matcher).length, 4);
+    assertEqual(filterBooks(dunes, search.matcher).length, 4, 'Searching again gives the same count');
+    assertEqual(highlightMatches('Dune, dune', search.highlight), '<mark>Dune</mark>, <mark>dune</mark>',
+        'Highlighting still marks every match');
+});
+
+test('Shelves: Save, replace by name and delete', () => {
+    const shelf = saveShelf({ name: 'Long Reads', pattern: 'pages:>500', mode: 'query', sort: 'pages-desc' });
+    saveShelf({ name: 'long reads', pattern: 'pages:>600', mode: 'query', sort: 'pages-desc' });
+    assertEqual(getShelves().length, 1, 'Same name should replace the shelf');
+    assertEqual(getShelves()[0].pattern, 'pages:>600');
+    assert(deleteShelf(shelf.id), 'Should delete the shelf');
+    assertEqual(getShelves().length, 0);
+});
+
+// ===========================
+// Undo/Redo History Tests
+// ===========================
+
+const historyBooks = [
+    { id: 'book_h1', title: 'Dune', author: 'Frank Herbert', pages: '688', tag: 'Sci-Fi', date: '2026-01-01', status: 'finished' },
+    { id: 'book_h2', title: 'Emma', author: 'Jane Austen', pages: '474', tag: 'Fiction', date: '2026-01-02', status: 'to-read' },
+    { id: 'book_h3', title: 'Beloved', author: 'Toni Morrison', pages: '324', tag: 'Fiction', date: '2026-01-03', status: 'to-read' }
+];
+
+test('History: Undo delete restores book in place', () => {
+    setBooks(historyBooks);
+    deleteBook('book_h2');
+    assertEqual(undo(), 'Move "Emma" to trash');
+    assertEqual(getBooks().map(book => book.id).join(','), 'book_h1,book_h2,book_h3');
+});
+
+test('History: Redo reapplies the undone change', () => {
+    assert(canRedo(), 'Should be able to redo');
+    redo();
+    assertEqual(getBooks().length, 2);
+    undo();
+});
+
+test('History: Undo update restores previous fields', () => {
+    updateBook('book_h1', { title: 'Dune Messiah' });
+    undo();
+    assertEqual(getBookById('book_h1').title, 'Dune');
+});
+
+test('History: Undo import restores previous library', () => {
+    setBooks([], 'Clear all books');
+    assertEqual(getBooks().length, 0);
+    assertEqual(undo(), 'Clear all books');
+    assertEqual(getBooks().length, 3);
+});
+
+test('History: Undoing an import restores the settings it replaced', () => {
+    updateSettings({ targetPages: 1000 });
+    setBooks(historyBooks, 'Import 3 books', { targetPages: 5000 });
+    assertEqual(getSettings().targetPages, 5000);
+    assertEqual(undo(), 'Import 3 books');
+    assertEqual(getSettings().targetPages, 1000, 'The settings are undone with the books');
+    redo();
+    assertEqual(getSettings().targetPages, 5000, 'and redone with them');
+});
+
+test('History: Clearing the library is undone with its sessions, and keeps the settings', () => {
+    setBooks(historyBooks);
+    addSession('book_h1', { date: '2026-01-02', startPage: '0', endPage: '100', minutes: '60' });
+    updateSettings({ targetPages: 2500 });
+    setBooks([], 'Clear all books');
+    assertEqual(getSessions('book_h1').length, 0, 'Sessions of cleared books are removed');
+    assertEqual(getSettings().targetPages, 2500, 'Settings are not cleared');
+    undo();
+    assertEqual(getBooks().length, 3);
+    assertEqual(getSessions('book_h1').length, 1, 'Undo brings the sessions back');
+});
+
+test('History: New change clears redo stack', () => {
+    addBook({ title: 'Ulysses', author: 'James Joyce', pages: '730', tag: 'Fiction', date: '2026-01-04' });
+    undo();
+    addBook({ title: 'Ulysses', author: 'James Joyce', pages: '730', tag: 'Fiction', date: '2026-01-04' });
+    assert(!canRedo(), 'Redo stack should be cleared');
+});
+
+test('History: Persisted across reloads', () => {
+    const stored = JSON.parse(localStorage.getItem('booksVault:history'));
+    assert(stored.undo.length > 0, 'History should be saved');
+    assertEqual(stored.undo[stored.undo.length - 1].label, 'Add "Ulysses"');
+});
+
+test('History: Large changes are undoable but not saved', () => {
+    const library = Array.from({ length: 60 }, (_, i) => ({ ...historyBooks[0], id: `book_bulk${i}` }));
+    setBooks(library, 'Import 60 books');
+    updateBook('book_bulk0', { title: 'Dune Messiah' });
+
+    const stored = JSON.parse(localStorage.getItem('booksVault:history'));
+    assertEqual(stored.undo.map(entry => entry.label).join(','), 'Edit "Dune"',
+        'The import and the entries before it are left out of the saved history');
+    undo();
+    assertEqual(undo(), 'Import 60 books', 'The import can still be undone in this session');
+    assertEqual(getBookById('book_h1').title, 'Dune');
+});
+
+// ===========================
+// Trash Tests
+// ===========================
+
+test('Trash: Deleted books are hidden but kept', () => {
+    setBooks(historyBooks);
+    deleteBook('book_h1');
+    assertEqual(getBooks().length, 2, 'getBooks excludes trashed');
+    assertEqual(getBooks({ includeTrashed: true }).length, 3);
+    assertEqual(getTrashedBooks()[0].id, 'book_h1');
+    assert(getBookById('book_h1').deletedAt, 'Should stamp deletedAt');
+});
+
+test('Trash: filterBooks excludes trashed books', () => {
+    const all = getBooks({ includeTrashed: true });
+    assertEqual(filterBooks(all, null).length, 2);
+    assertEqual(filterBooks(all, /Dune/i).length, 0);
+    assertEqual(filterBooks(all, /Dune/i, { includeTrashed: true }).length, 1);
+});
+
+test('Trash: Restore brings the book back', () => {
+    assert(restoreBook('book_h1'), 'Should restore');
+    assertEqual(getBookById('book_h1').deletedAt, undefined);
+    assertEqual(getBooks().length, 3);
+});
+
+test('Trash: Purge only affects trashed books', () => {
+    assert(!purgeBook('book_h2'), 'Should not purge a book that is not in the trash');
+    deleteBook('book_h2');
+    assert(purgeBook('book_h2'), 'Should purge trashed book');
+    assertEqual(getBookById('book_h2'), null);
+});
+
+test('Trash: Auto-purge after retention period', () => {
+    updateSettings({ trashRetentionDays: 7 });
+    deleteBook('book_h3');
+    const later = new Date(Date.now() + 8 * 24 * 60 * 60 * 1000);
+    assertEqual(purgeExpiredTrash(new Date()), 0, 'Fresh trash is kept');
+    assertEqual(purgeExpiredTrash(later), 1, 'Expired trash is purged');
+    assertEqual(getBookById('book_h3'), null);
+});
+
+test('Trash: Imported titles are escaped in the trash list', () => {
+    const { getElementById } = document;
+    const elements = { 'trash-tbody': {}, 'trash-retention-note': {}, 'empty-trash-btn': {} };
+    document.getElementById = id => elements[id] || null;
+
+    try {
+        renderTrash([{
+            id: 'x" onclick="alert(1)', title: '<img src=x onerror=alert(1)>', author: 'Mallory <b>',
+            deletedAt: new Date().toISOString()
+        }], 7);
+    } finally {
+        document.getElementById = getElementById;
+    }
+
+    const html = elements['trash-tbody'].innerHTML;
+    assert(!html.includes('<img') && !html.includes('<b>'), 'Markup in titles and authors is escaped');
+    assert(!html.includes('" onclick="'), 'Quotes cannot close an attribute');
+});
+
+// ===========================
+// Merge Import Tests
+// ===========================
+
+const mergeBase = {
+    author: 'Frank Herbert', pages: '688', tags: ['Sci-Fi'], date: '2026-01-01', status: 'finished',
+    createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:00.000Z'
+};
+
+test('Merge: Classify added, updated, unchanged and conflicting books', () => {
+    const existing = [
+        { ...mergeBase, id: 'm1', title: 'Dune' },
+        { ...mergeBase, id: 'm2', title: 'Dune Messiah' },
+        { ...mergeBase, id: 'm3', title: 'Children of Dune', notes: 'mine', updatedAt: '2026-02-01T00:00:00.000Z' }
+    ];
+    const incoming = [
+        { ...mergeBase, id: 'm1', title: 'Dune' },
+        { ...mergeBase, id: 'other', title: 'dune  messiah', notes: 'theirs', updatedAt: '2026-03-01T00:00:00.000Z' },
+        { ...mergeBase, id: 'm3', title: 'Children of Dune', notes: 'theirs', updatedAt: '2026-03-01T00:00:00.000Z' },
+        { ...mergeBase, id: 'm4', title: 'God Emperor of Dune' }
+    ];
+    const plan = planMerge(existing, incoming);
+    assertEqual(plan.unchanged.length, 1);
+    assertEqual(plan.updated.length, 1);
+    assertEqual(plan.updated[0].matchedBy, 'title-author', 'Should fall back to title + author');
+    assertEqual(plan.conflicts.length, 1);
+    assertEqual(plan.added.length, 1);
+});
+
+test('Merge: Conflict strategies', () => {
+    const conflict = {
+        existing: { updatedAt: '2026-02-01T00:00:00.000Z' },
+        incoming: { updatedAt: '2026-03-01T00:00:00.000Z' }
+    };
+    assertEqual(resolveConflict(conflict, 'keep-mine'), 'mine');
+    assertEqual(resolveConflict(conflict, 'take-theirs'), 'theirs');
+    assertEqual(resolveConflict(conflict, 'newest'), 'theirs');
+});
+
+test('Merge: Apply keeps library IDs and honours choices', () => {
+    setBooks([
+        { ...mergeBase, id: 'm1', title: 'Dune', notes: 'mine', updatedAt: '2026-02-01T00:00:00.000Z' },
+        { ...mergeBase, id: 'm2', title: 'Dune Messiah' }
+    ]);
+    const plan = planImportMerge([
+        { ...mergeBase, id: 'm1', title: 'Dune', notes: 'theirs', updatedAt: '2026-03-01T00:00:00.000Z' },
+        { ...mergeBase, title: 'Dune Messiah', notes: 'theirs', updatedAt: '2026-03-01T00:00:00.000Z' },
+        { ...mergeBase, title: 'Heretics of Dune' }
+    ]);
+    const summary = applyMerge(plan, { m1: 'mine' });
+    assertEqual(summary.added, 1);
+    assertEqual(summary.updated, 1);
+    assertEqual(summary.kept, 1);
+    assertEqual(getBookById('m1').notes, 'mine');
+    assertEqual(getBookById('m2').notes, 'theirs', 'Title match should keep the library ID');
+    assertEqual(getBooks().length, 3);
+    assert(getBooks().every(book => book.id), 'Added books get an ID');
+});
+
+test('Merge: Imported IDs and titles are escaped in the library and merge preview', () => {
+    const nasty = { ...mergeBase, id: 'x" onclick="alert(1)', title: 'Dune <img src=x onerror=alert(1)> "Deluxe"' };
+    const { getElementById, createElement } = document;
+    // The mock element (which escapeHtml relies on) with what rows, cards and lists need
+    const fakeElement = tag => Object.assign(createElement(tag), {
+        dataset: {}, children: [],
+        classList: { add() {}, remove() {}, toggle() {} },
+        appendChild(child) { this.children.push(child); },
+        focus() {}
+    });
+    const elements = Object.fromEntries(['books-tbody', 'books-cards', 'merge-summary', 'merge-conflicts',
+        'merge-conflict-list', 'merge-details', 'merge-modal', 'merge-apply-btn'].map(id => [id, fakeElement('div')]));
+    Object.assign(document, { getElementById: id => elements[id] || null, createElement: fakeElement });
+
+    try {
+        renderBooksTable([nasty]);
+        renderBooksCards([nasty]);
+        renderMergePreview(planMerge([{ ...nasty, notes: 'mine', updatedAt: '2026-02-01T00:00:00.000Z' }],
+            [{ ...nasty, notes: 'theirs', updatedAt: '2026-03-01T00:00:00.000Z' }]), () => 'mine');
+    } finally {
+        Object.assign(document, { getElementById, createElement });
+    }
+
+    const html = [elements['books-tbody'].children[0], elements['books-cards'].children[0], elements['merge-conflict-list']]
+        .map(element => element.innerHTML);
+    html.forEach(markup => {
+        assert(!markup.includes('<img'), 'Markup in titles is escaped');
+        assert(!markup.includes('" onclick="'), 'Quotes in IDs cannot close an attribute');
+    });
+    assert(html[0].includes('aria-label="Edit Dune &lt;img src=x onerror=alert(1)&gt; &quot;Deluxe&quot;"'), 'Titles in labels are escaped');
+    assert(html[2].includes('id="conflict-x&quot; onclick=&quot;alert(1)"'), 'Conflict IDs are escaped');
+});
+
+// ===========================
+// CSV Import/Export Tests
+// ===========================
+
+test('CSV: Parse quoted fields, escaped quotes and multi-line cells', () => {
+    const { rows, error } = parseCSV('title,notes\r\n"Dune, Book 1","Said ""hi""\nthen left"\n\n');
+    assertEqual(error, '');
+    assertEqual(rows.length, 2, 'Blank lines should be dropped');
+    assertEqual(rows[1][0], 'Dune, Book 1');
+    assertEqual(rows[1][1], 'Said "hi"\nthen left');
+    assert(parseCSV('"open').error !== '', 'Unterminated quote should be an error');
+});
+
+test('CSV: Export round-trips through import', () => {
+    const book = { ...mergeBase, id: 'c1', title: 'Dune, "Deluxe"', notes: 'Line one\nLine two' };
+    const csv = exportToCSV([book]);
+    const headers = readCSVHeaders(csv);
+    const result = importFromCSV(csv, headers.mapping);
+    assert(result.valid, 'Exported CSV should import');
+    assertEqual(result.data[0].title, book.title);
+    assertEqual(result.data[0].notes, book.notes);
+    assertEqual(result.data[0].id, 'c1');
+});
+
+test('CSV: Guess column mapping from header synonyms', () => {
+    const mapping = guessColumnMapping(['Book Name', 'Writer', 'Number of Pages', 'Genre', 'Date Added', 'Reading Status']);
+    assertEqual(mapping.title, 0);
+    assertEqual(mapping.author, 1);
+    assertEqual(mapping.pages, 2);
+    assertEqual(mapping.tags, 3);
+    assertEqual(mapping.date, 4);
+    assertEqual(mapping.status, 5);
+});
+
+test('CSV: Report errors per row and keep valid rows', () => {
+    const csv = 'Title,Author,Pages,Tag,Date,Status\n' +
+        'Dune,Frank Herbert,688,Sci-Fi,2026-01-01,To Read\n' +
+        'Emma,Jane Austen,lots,Classic,2026-01-02,\n';
+    const result = importFromCSV(csv, readCSVHeaders(csv).mapping);
+    assertEqual(result.data.length, 1);
+    assertEqual(result.data[0].status, 'to-read', 'Status labels should be normalised');
+    assertEqual(result.rowErrors.length, 1);
+    assertEqual(result.rowErrors[0].row, 3, 'Row numbers count the header row');
+    assert(result.rowErrors[0].errors.pages, 'Pages error should be reported');
+});
+
+test('CSV: Imported rows without IDs get one when stored', () => {
+    setBooks([
+        { ...mergeBase, title: 'Dune' },
+        { ...mergeBase, title: 'Dune Messiah' }
+    ]);
+    const ids = getBooks().map(book => book.id);
+    assert(ids.every(Boolean), 'Every book should have an ID');
+    assertEqual(new Set(ids).size, 2, 'IDs should be unique');
+});
+
+// ===========================
+// Goodreads / StoryGraph Import Tests
+// ===========================
+
+const goodreadsHeader = 'Book Id,Title,Author,Number of Pages,Date Read,Date Added,Bookshelves,Exclusive Shelf,My Review\n';
+// Header row of a StoryGraph export, which has no page count column
+const storygraphColumns = ['Title', 'Authors', 'Contributors', 'ISBN/UID', 'Format', 'Read Status', 'Date Added',
+    'Last Date Read', 'Dates Read', 'Read Count', 'Moods', 'Pace', 'Character- or Plot-Driven?',
+    'Strong Character Development?', 'Loveable Characters?', 'Diverse Characters?', 'Flawed Characters?',
+    'Star Rating', 'Review', 'Content Warnings', 'Content Warning Description', 'Tags', 'Owned?'];
+
+/**
+ * Build a StoryGraph export from records keyed by column name
+ * @param {...Object} records - Column values per row
+ * @returns {string} CSV text
+ */
+function storygraphCSV(...records) {
+    const quote = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    return [storygraphColumns, ...records.map(record => storygraphColumns.map(column => quote(record[column] || '')))]
+        .map(row => row.join(','))
+        .join('\n') + '\n';
+}
+
+test('Service import: Detect export layouts', () => {
+    assertEqual(detectImportFormat(goodreadsHeader.trim().split(',')), 'goodreads');
+    assertEqual(detectImportFormat(storygraphColumns), 'storygraph');
+    assertEqual(detectImportFormat(['Title', 'Author']), null);
+});
+
+test('Service import: Map Goodreads shelves, dates, pages and reviews', () => {
+    const csv = goodreadsHeader +
+        '1,The Hobbit,Tolkien,366,2023/05/14,2023/01/02,"read, high-fantasy",read,Great<br/>book\n' +
+        '2,Dune,Frank Herbert,688,,2023/01/02,to-read,to-read,\n';
+    const result = importFromService(csv, 'goodreads');
+    assertEqual(result.data.length, 2);
+    const [hobbit, dune] = result.data;
+    assertEqual(hobbit.tags.join(','), 'High-Fantasy', 'Custom shelves become tags');
+    assertEqual(hobbit.date, '2023-05-14', 'Date Read becomes the date');
+    assertEqual(hobbit.finishDate, '2023-05-14');
+    assertEqual(hobbit.status, 'finished');
+    assertEqual(hobbit.pages, 366, 'Pages are stored as a number');
+    assertEqual(hobbit.review, 'Great\nbook', 'Reviews are kept apart from notes');
+    assertEqual(hobbit.notes, undefined);
+    assertEqual(dune.status, 'to-read');
+    assertEqual(dune.date, '2023-01-02', 'Unread books fall back to Date Added');
+});
+
+test('Service import: Suggest author names instead of rejecting rows', () => {
+    assertEqual(suggestAuthorName('Stephen King & Owen King'), 'Stephen King Owen King');
+    assertEqual(suggestAuthorName('Banksy™'), 'Banksy');
+    assertEqual(suggestAuthorName('Gabriel García Márquez'), 'Gabriel García Márquez', 'Accents are kept');
+    assertEqual(suggestAuthorName('1984'), '');
+
+    const csv = goodreadsHeader +
+        '1,The Hobbit,J.R.R. Tolkien,366,2023/05/14,2023/01/02,,read,\n' +
+        '2,The Shining,Stephen King!,447,2023/06/01,2023/01/02,,read,\n';
+    const result = importFromService(csv, 'goodreads');
+    assertEqual(result.rowErrors.length, 0);
+    assertEqual(formatContributors(result.data[0].author), 'J.R.R. Tolkien', 'Valid names are kept as exported');
+    assertEqual(formatContributors(result.data[1].author), 'Stephen King');
+    assertEqual(result.suggestions.length, 1);
+    assertEqual(result.suggestions[0].original, 'Stephen King!');
+    assertEqual(result.suggestions[0].row, 3);
+});
+
+test('Service import: StoryGraph rows without pages ask for a page count', () => {
+    const csv = storygraphCSV(
+        { Title: 'Dune', Authors: 'Frank Herbert', 'ISBN/UID': '9780441172719', 'Read Status': 'read', 'Last Date Read': '2023/05/14' },
+        { Title: 'Emma', Authors: 'Jane Austen', 'Read Status': 'to-read', 'Date Added': '2023/01/02' },
+        { Title: '', Authors: 'Nobody', 'Read Status': 'read' }
+    );
+    const result = importFromService(csv, 'storygraph');
+    assertEqual(result.data.length, 2, 'Rows without pages are imported');
+    assertEqual(result.rowErrors.length, 1, 'Other errors still reject a row');
+    assert(!('pages' in result.rowErrors[0].errors), 'A missing page count is not a row error');
+    assertEqual(JSON.stringify(result.missingPages), '[{"row":2,"index":0,"title":"Dune"},{"row":3,"index":1,"title":"Emma"}]');
+    assertEqual(result.data[0].pages, undefined);
+
+    const goodreads = importFromService(goodreadsHeader + '1,The Hobbit,Tolkien,366,2023/05/14,2023/01/02,,read,\n', 'goodreads');
+    assertEqual(goodreads.missingPages.length, 0, 'Rows with a page count are not listed');
+});
+
+// ===========================
+// Storage Backend Tests
+// ===========================
+
+test('Storage: Only changed, added and removed records are written', () => {
+    const a = { ...mergeBase, id: 's1', title: 'Dune' };
+    const b = { ...mergeBase, id: 's2', title: 'Emma' };
+    const saved = new Map([[a.id, a], [b.id, b]]);
+    const edited = { ...a, notes: 'edited' };
+    const added = { ...mergeBase, id: 's3', title: 'Ulysses' };
+
+    const changes = diffBookRecords(saved, [edited, added]);
+    assertEqual(changes.put.map(book => book.id).join(','), 's1,s3');
+    assertEqual(changes.remove.join(','), 's2');
+    assertEqual(diffBookRecords(saved, [a, b]).put.length, 0, 'Unchanged records are not rewritten');
+});
+
+setBooks([{ ...mergeBase, id: 's1', title: 'Dune' }]);
+const storageBackend = await initStateAsync();
+
+test('Storage: Falls back to localStorage without IndexedDB', () => {
+    assertEqual(storageBackend, 'localStorage');
+    assertEqual(getStorageBackend(), 'localStorage');
+    assertEqual(getBooks().length, 1, 'Books saved to localStorage are loaded');
+    assertEqual(getBookById('s1').title, 'Dune');
+});
+
+setBooks([
+    { ...mergeBase, id: 'f1', title: 'Dune', author: 'Frank Herbert', tags: ['Sci-Fi'] },
+    { ...mergeBase, id: 'f2', title: 'Dune Messiah', author: [{ name: 'Frank Herbert', role: 'author' }], tags: ['Sci-Fi', 'Classic'] },
+    { ...mergeBase, id: 'f3', title: 'Emma', author: 'Jane Austen', tags: ['Classic'] }
+]);
+deleteBook('f2');
+const byAuthor = await findBooks('authorNames', 'Frank Herbert');
+const byTag = await findBooks('tags', 'Classic');
+
+test('Storage: Books are looked up by contributor name and tag, leaving out the trash', () => {
+    assertEqual(byAuthor.map(book => book.id).join(','), 'f1', 'Both author shapes are indexed; the trashed book is left out');
+    assertEqual(byTag.map(book => book.id).join(','), 'f3');
+    assertEqual(byAuthor[0], getBookById('f1'), 'The current book objects are returned');
+});
+
+test('Storage: A failed save is reported to the save error listener', () => {
+    const reported = [];
+    const setItem = localStorage.setItem;
+    onSaveError(error => reported.push(error.message));
+    localStorage.setItem = () => { throw new Error('Quota exceeded'); };
+    try {
+        addBook({ title: 'Emma', author: 'Jane Austen', pages: 474, tags: ['Classic'], date: '2026-01-05' });
+    } finally {
+        localStorage.setItem = setItem;
+        onSaveError(null);
+    }
+    assert(reported.includes('Quota exceeded'), 'The failed write should be reported');
+});
+
+// ===========================
+// Schema Migration Tests
+// ===========================
+
+const legacyBook = { id: 'v1', title: 'Dune', author: 'Frank Herbert', pages: '688', tag: 'Sci-Fi', date: '2026-01-05' };
+
+test('Schema: Legacy bare-array exports still import', () => {
+    const result = importFromJSON(JSON.stringify([legacyBook]));
+    assert(result.valid, 'Bare array should import');
+    assertEqual(result.data[0].pages, 688, 'Pages should become a number');
+    assertEqual(result.data[0].createdAt, '2026-01-05T00:00:00.000Z', 'createdAt is backfilled from the date');
+    assertEqual(result.data[0].updatedAt, result.data[0].createdAt);
+    assertEqual(result.settings, null);
+});
+
+test('Schema: Export writes a versioned envelope that imports back', () => {
+    const envelope = JSON.parse(exportToJSON(upgradeData([legacyBook]).books, { targetPages: 5000 }));
+    assertEqual(envelope.schemaVersion, SCHEMA_VERSION);
+    assert(envelope.exportedAt, 'Envelope should record the export time');
+    const result = importFromJSON(JSON.stringify(envelope));
+    assert(result.valid, 'Envelope should import');
+    assertEqual(result.settings.targetPages, 5000);
+    assertEqual(result.data[0].title, 'Dune');
+});
+
+test('Schema: Reject data from a newer schema version', () => {
+    const result = upgradeData({ schemaVersion: SCHEMA_VERSION + 1, books: [] });
+    assert(!result.valid, 'Future versions cannot be read');
+    assert(!importFromJSON('{"title": "Dune"}').valid, 'Objects without books are rejected');
+});
+
+test('Schema: Stored books are upgraded on load and saved with a version', () => {
+    localStorage.setItem('booksVault:data', JSON.stringify([legacyBook]));
+    assertEqual(loadBooks()[0].pages, 688);
+    setBooks(loadBooks());
+    assertEqual(JSON.parse(localStorage.getItem('booksVault:data')).schemaVersion, SCHEMA_VERSION);
+});
+
+// ===========================
+// Cross-Tab Sync Tests
+// ===========================
+
+const syncBook = { ...mergeBase, id: 'x1', title: 'Dune' };
+
+test('Sync: Apply books saved in another tab', () => {
+    setBooks([syncBook, { ...mergeBase, id: 'x2', title: 'Emma' }]);
+    const edited = { ...syncBook, notes: 'from tab B', updatedAt: '2026-03-01T00:00:00.000Z' };
+    const added = { ...mergeBase, id: 'x3', title: 'Ulysses' };
+
+    const result = applyRemoteChanges({
+        put: [{ book: edited, base: syncBook.updatedAt }, { book: added, base: null }],
+        remove: ['x2']
+    });
+    assertEqual(result.conflicts.length, 0);
+    assertEqual(result.changedIds.join(','), 'x1,x3,x2');
+    assertEqual(getBookById('x1').notes, 'from tab B');
+    assert(getBookById('x3'), 'Added book should appear');
+    assert(!getBookById('x2'), 'Removed book should disappear');
+});
+
+test('Sync: Concurrent edits to the same book are conflicts', () => {
+    setBooks([{ ...syncBook, notes: 'tab A', updatedAt: '2026-02-01T00:00:00.000Z' }]);
+    const theirs = { ...syncBook, notes: 'tab B', updatedAt: '2026-03-01T00:00:00.000Z' };
+
+    const result = applyRemoteChanges({ put: [{ book: theirs, base: syncBook.updatedAt }], remove: [] });
+    assertEqual(result.conflicts.length, 1);
+    assertEqual(getBookById('x1').notes, 'tab A', 'This tab keeps its copy until the conflict is resolved');
+
+    resolveSyncConflict(result.conflicts[0], 'theirs');
+    assertEqual(getBookById('x1').notes, 'tab B');
+});
+
+test('Sync: Undo keeps a newer edit saved in another tab', () => {
+    setBooks(historyBooks);
+    updateBook('book_h1', { title: 'Dune Messiah' });
+    updateBook('book_h2', { title: 'Emma (Annotated)' });
+    const mine = getBookById('book_h2');
+    const later = new Date(Date.now() + 1000).toISOString();
+    applyRemoteChanges({ put: [{ book: { ...mine, title: 'Persuasion', updatedAt: later }, base: mine.updatedAt }], remove: [] });
+
+    undo();
+    assertEqual(getBookById('book_h2').title, 'Persuasion', 'The other tab\'s edit is not reverted');
+    undo();
+    assertEqual(getBookById('book_h1').title, 'Dune', 'Records nobody else changed are still undone');
+});
+
+test('Sync: Keeping my copy makes it the newest', () => {
+    const mine = { ...syncBook, notes: 'tab A', updatedAt: '2026-02-01T00:00:00.000Z' };
+    setBooks([mine]);
+    const theirs = { ...syncBook, notes: 'tab B', updatedAt: '2026-03-01T00:00:00.000Z' };
+
+    const saved = resolveSyncConflict({ mine, theirs }, 'mine');
+    assertEqual(getBookById('x1').notes, 'tab A');
+    assert(saved.updatedAt > theirs.updatedAt, 'Kept copy should be restamped');
+});
+
+// ===========================
+// Encrypted Vault Tests
+// ===========================
+
+const vaultPassphrase = 'correct horse battery';
+const secretBook = { ...mergeBase, id: 'e1', title: 'Secret Diary', notes: 'private notes' };
+
+test('Vault: Passphrases must be at least 8 characters', () => {
+    assert(!validatePassphrase('short').valid, 'Should reject short passphrase');
+    assert(validatePassphrase(vaultPassphrase).valid, 'Should accept long passphrase');
+});
+
+const encryptedExport = await exportToEncryptedJSON([secretBook], { targetPages: 1234 }, vaultPassphrase);
+const decryptedImport = await importFromEncryptedJSON(encryptedExport, vaultPassphrase);
+const wrongImport = await importFromEncryptedJSON(encryptedExport, 'not the passphrase');
+
+test('Vault: Encrypted export imports back with its passphrase', () => {
+    assert(isEncryptedJSON(encryptedExport), 'Export should be recognised as encrypted');
+    assert(!isEncryptedJSON(exportToJSON([secretBook])), 'Plain exports are not encrypted');
+    assert(!encryptedExport.includes('Secret Diary'), 'Titles should not appear in the file');
+    assert(decryptedImport.valid, 'Should import with the right passphrase');
+    assertEqual(decryptedImport.data[0].notes, 'private notes');
+    assertEqual(decryptedImport.settings.targetPages, 1234);
+});
+
+test('Vault: Encrypted export rejects a wrong passphrase', () => {
+    assert(!wrongImport.valid, 'Should not import with a wrong passphrase');
+    assertEqual(wrongImport.errors[0], 'Wrong passphrase or damaged file');
+});
+
+const tamperedExport = kdf => JSON.stringify({ ...JSON.parse(encryptedExport), kdf: { ...JSON.parse(encryptedExport).kdf, ...kdf } });
+const slowImport = await importFromEncryptedJSON(tamperedExport({ iterations: 1e12 }), vaultPassphrase);
+const badSaltImport = await importFromEncryptedJSON(tamperedExport({ salt: '%%%' }), vaultPassphrase);
+
+test('Vault: Encrypted export with an untrusted key setup is refused', () => {
+    assert(!slowImport.valid, 'An out-of-range iteration count is refused before deriving a key');
+    assert(!badSaltImport.valid, 'A salt that is not base64 fails the import instead of throwing');
+    assertEqual(badSaltImport.errors[0], 'Wrong passphrase or damaged file');
+});
+
+setBooks([secretBook]);
+const vaultEnabled = await encryptVault(vaultPassphrase);
+const encryptedStore = JSON.stringify(localStore);
+const wrongUnlock = await unlockVault('not the passphrase');
+
+test('Vault: Turning on encryption leaves no plain text in storage', () => {
+    assert(vaultEnabled, 'Encryption should succeed');
+    assert(hasVault(), 'Vault header should be stored');
+    assert(!encryptedStore.includes('Secret Diary'), 'Titles should be encrypted');
+    assert(!encryptedStore.includes('private notes'), 'Notes should be encrypted');
+    assert(!wrongUnlock, 'Wrong passphrase should not unlock');
+});
+
+const wrongDecrypt = await decryptVault('not the passphrase');
+const vaultDisabled = await decryptVault(vaultPassphrase);
+
+test('Vault: Turning off encryption rewrites data in plain text', () => {
+    assert(!wrongDecrypt, 'Wrong passphrase should not turn off encryption');
+    assert(vaultDisabled, 'Right passphrase should turn off encryption');
+    assert(!hasVault(), 'Vault header should be removed');
+    assertEqual(JSON.parse(localStorage.getItem('booksVault:data')).books[0].title, 'Secret Diary');
+});
+
+// ===========================
+// Snapshot Tests
+// ===========================
+
+test('Snapshots: The day\'s first change snapshots the library first', () => {
+    setBooks([{ ...mergeBase, id: 's1', title: 'Dune' }]);
+    addBook({ title: 'Emma', author: 'Jane Austen', pages: 300, tag: 'Classic', date: '2026-01-01' });
+    addBook({ title: 'Ulysses', author: 'James Joyce', pages: 700, tag: 'Classic', date: '2026-01-01' });
+    const daily = getSnapshots().filter(snapshot => snapshot.reason === 'Start of day');
+    assertEqual(daily.length, 1, 'Only the first change of the day is snapshotted');
+});
+
+test('Snapshots: Summarise changes since a snapshot and restore it', () => {
+    const dune = { ...mergeBase, id: 's1', title: 'Dune' };
+    setBooks([dune, { ...mergeBase, id: 's2', title: 'Emma' }]);
+    const snapshot = takeSnapshot('Before import');
+    assertEqual(getSnapshots()[0].id, snapshot.id, 'Newest snapshot is listed first');
+
+    setBooks([{ ...dune, notes: 'edited' }, { ...mergeBase, id: 's3', title: 'Ulysses' }]);
+    const summary = compareSnapshot(snapshot);
+    assertEqual(`${summary.added}/${summary.removed}/${summary.changed}`, '1/1/1');
+
+    assert(restoreSnapshot(snapshot.id), 'Restore should succeed');
+    assertEqual(getBooks().map(book => book.id).join(','), 's1,s2');
+    assertEqual(getBookById('s1').notes, mergeBase.notes);
+    undo();
+    assertEqual(getBookById('s1').notes, 'edited', 'Restore can be undone');
+});
+
+test('Snapshots: Only the newest snapshots are kept', () => {
+    updateSettings({ snapshotLimit: 2 });
+    takeSnapshot('One');
+    takeSnapshot('Two');
+    takeSnapshot('Three');
+    assertEqual(getSnapshots().map(snapshot => snapshot.reason).join(','), 'Three,Two');
+    updateSettings({ snapshotLimit: 1 });
+    pruneSnapshots();
+    assertEqual(loadSnapshots().length, 1, 'Pruned snapshots are saved');
+    updateSettings({ snapshotLimit: 10 });
+});
+
+test('Snapshots: The oldest snapshot can be restored at the limit', () => {
+    updateSettings({ snapshotLimit: 3 });
+    setBooks([{ ...mergeBase, id: 's1', title: 'Dune' }]);
+    const oldest = takeSnapshot('Oldest');
+    setBooks([{ ...mergeBase, id: 's2', title: 'Emma' }]);
+    takeSnapshot('Middle');
+    takeSnapshot('Newest');
+    assertEqual(getSnapshots()[getSnapshots().length - 1].id, oldest.id, 'The limit is reached');
+
+    assert(restoreSnapshot(oldest.id), 'The oldest snapshot is restored, not pruned first');
+    assertEqual(getBooks().map(book => book.id).join(','), 's1');
+    assertEqual(getSnapshots().map(snapshot => snapshot.reason).join(','), 'Before restore,Newest,Oldest',
+        'The snapshot of the current library takes the place of the oldest other one');
+    updateSettings({ snapshotLimit: 10 });
+});
+
+test('Snapshots: Clearing data keeps snapshots', () => {
+    takeSnapshot('Before clear');
+    setBooks([], 'Clear all books');
+    assert(takeSnapshot('Empty') === null, 'An empty library is not snapshotted');
+    assertEqual(loadSnapshots()[loadSnapshots().length - 1].reason, 'Before clear');
+});
+
+setBooks([secretBook]);
+await encryptVault(vaultPassphrase);
+takeSnapshot('Vault one');
+takeSnapshot('Vault two');
+// Lookups run after the queued writes, so this waits for the encrypted snapshots
+await findBooks('tags', 'Diary');
+const sealedSnapshotsSize = localStorage.getItem('booksVault:snapshots').length;
+const snapshotCount = getSnapshots().length;
+const unlimitedSetItem = localStorage.setItem;
+localStorage.setItem = (key, value) => {
+    if (key === 'booksVault:snapshots' && value.length > sealedSnapshotsSize + 50) throw new Error('Quota exceeded');
+    unlimitedSetItem(key, value);
+};
+const fullSnapshot = takeSnapshot('Vault full');
+await findBooks('tags', 'Diary');
+await new Promise(resolve => setTimeout(resolve, 0));
+localStorage.setItem = unlimitedSetItem;
+
+test('Vault: The oldest snapshots give way when encrypted storage is full', () => {
+    assertEqual(getSnapshots()[0].id, fullSnapshot.id, 'The new snapshot is kept');
+    assert(getSnapshots().length < snapshotCount + 1, 'Older snapshots are dropped to make room');
+    assertEqual(loadSnapshots().length, getSnapshots().length, 'The stored snapshots match');
+});
+
+await decryptVault(vaultPassphrase);
+
+// ===========================
+// Contributor Tests
+// ===========================
+
+const translatedBook = {
+    ...mergeBase,
+    id: 'c1',
+    title: 'War and Peace',
+    author: [
+        { name: 'Leo Tolstoy', role: 'author' },
+        { name: 'Richard Pevear', role: 'translator' },
+        { name: 'Larissa Volokhonsky', role: 'translator' }
+    ]
+};
+
+test('Contributors: Read the old string shape and the new list', () => {
+    assertEqual(toContributors('Frank Herbert')[0].role, 'author');
+    assertEqual(formatContributors(translatedBook.author), 'Leo Tolstoy, Richard Pevear (Translator), Larissa Volokhonsky (Translator)');
+    const parsed = parseContributors(formatContributors(translatedBook.author));
+    assertEqual(JSON.stringify(parsed), JSON.stringify(translatedBook.author), 'Formatted text parses back');
+});
+
+test('Contributors: Validate every name and role', () => {
+    assert(validateContributors(translatedBook.author).valid, 'Should accept translators');
+    assert(validateContributors('Frank Herbert').valid, 'Should accept a single name');
+    assert(!validateContributors([]).valid, 'Should require a contributor');
+    assert(!validateContributors('Terry Pratchett, Neil Gaiman 2').valid, 'Should reject an invalid co-author');
+    assert(!validateContributors('Jane Doe (narrator)').valid, 'Should reject an unknown role');
+});
+
+test('Contributors: Older data is upgraded to a contributor list', () => {
+    const result = upgradeData({ schemaVersion: 2, books: [{ ...legacyBook, pages: 688 }] });
+    assertEqual(JSON.stringify(result.books[0].author), '[{"name":"Frank Herbert","role":"author"}]');
+});
+
+test('Contributors: Search, queries and suggestions cover every contributor', () => {
+    const books = [translatedBook, { ...mergeBase, id: 'c2', title: 'Good Omens', author: 'Terry Pratchett, Neil Gaiman' }];
+    assertEqual(filterBooks(books, compileRegex('pevear', 'i')).length, 1);
+    assertEqual(filterBooks(books, compileQuery('author:gaiman').predicate)[0].id, 'c2');
+    const authors = getSearchSuggestions(books).authors;
+    assert(authors.includes('Neil Gaiman') && authors.includes('Richard Pevear'), 'Each contributor is suggested');
+});
+
+test('Contributors: CSV export and import keep roles and order', () => {
+    const csv = exportToCSV([translatedBook]);
+    const result = importFromCSV(csv, readCSVHeaders(csv).mapping);
+    assert(result.valid, 'CSV should import');
+    assertEqual(JSON.stringify(result.data[0].author), JSON.stringify(translatedBook.author));
+});
+
+test('Contributors: StoryGraph co-authors and translators are imported', () => {
+    const csv = storygraphCSV({ Title: 'Good Omens', Authors: 'Terry Pratchett, Neil Gaiman', Contributors: 'Jane Doe (Illustrator)',
+        'Read Status': 'read', 'Last Date Read': '2024/02/01', 'Star Rating': '4' });
+    const result = importFromService(csv, 'storygraph');
+    assertEqual(formatContributors(result.data[0].author), 'Terry Pratchett, Neil Gaiman, Jane Doe (Illustrator)');
+});
+
+// ===========================
+// Tag Tests
+// ===========================
+
+const taggedBooks = [
+    { ...mergeBase, id: 't1', title: 'Dune', tags: ['Sci-Fi', 'Classic'] },
+    { ...mergeBase, id: 't2', title: 'Emma', tags: ['Classic'] },
+    { ...mergeBase, id: 't3', title: 'Neuromancer', tags: ['Sci-Fi', 'Cyberpunk'] }
+];
+
+test('Tags: Read lists and comma-separated text without duplicates', () => {
+    assertEqual(toTags('Fantasy, Classic,, fantasy').join('|'), 'Fantasy|Classic');
+    assertEqual(toTags([' Sci-Fi ', 'Classic']).join('|'), 'Sci-Fi|Classic');
+    assert(validateTags(['Sci-Fi', 'Classic']).valid, 'Should accept several tags');
+    assert(!validateTags([]).valid, 'Should require a tag');
+    assert(!validateTags('Classic, Sci-Fi 2').valid, 'Should reject an invalid tag');
+    assert(validateBook({ ...mergeBase, title: 'Dune', tags: ['Sci-Fi', '42'] }).errors.tags, 'Books report tag errors');
+});
+
+test('Tags: Legacy single tags are upgraded to a list', () => {
+    const result = upgradeData({ schemaVersion: 3, books: [{ ...legacyBook, pages: 688 }] });
+    assertEqual(JSON.stringify(result.books[0].tags), '["Sci-Fi"]');
+    assert(!('tag' in result.books[0]), 'The single tag field is removed');
+});
+
+test('Tags: Filter by any or all of several tags', () => {
+    const titles = (tags, mode) => filterByTags(taggedBooks, tags, mode).map(book => book.title).join(',');
+    assertEqual(titles(['sci-fi', 'Classic'], 'any'), 'Dune,Emma,Neuromancer');
+    assertEqual(titles(['sci-fi', 'Classic'], 'all'), 'Dune');
+    assertEqual(titles([], 'all'), 'Dune,Emma,Neuromancer', 'No tags keeps every book');
+    assertEqual(filterBooks(taggedBooks, compileQuery('tag:cyber').predicate)[0].id, 't3');
+});
+
+test('Tags: Charts split books with several tags between them', () => {
+    const counts = Object.fromEntries(countTags(taggedBooks));
+    assertEqual(counts['Classic'], 1.5);
+    assertEqual(counts['Sci-Fi'], 1);
+    assertEqual(counts['Cyberpunk'], 0.5);
+    assertEqual(Object.values(counts).reduce((sum, count) => sum + count, 0), taggedBooks.length);
+});
+
+test('Tags: CSV and Goodreads imports keep every tag', () => {
+    const csv = exportToCSV([taggedBooks[0]]);
+    assertEqual(importFromCSV(csv, readCSVHeaders(csv).mapping).data[0].tags.join('|'), 'Sci-Fi|Classic');
+
+    const goodreads = goodreadsHeader + '1,Dune,Frank Herbert,688,,2023/01/02,"to-read, sci-fi, classics",to-read,\n';
+    assertEqual(importFromService(goodreads, 'goodreads').data[0].tags.join('|'), 'Sci-Fi|Classics');
+});
+
+// ===========================
+// Tag Management Tests
+// ===========================
+
+test('Tag manager: Rename and merge tags on every book in one undoable change', () => {
+    setBooks([
+        { ...mergeBase, id: 'm1', title: 'Dune', tags: ['SciFi', 'Classic'] },
+        { ...mergeBase, id: 'm2', title: 'Hyperion', tags: ['Sci-Fi'] },
+        { ...mergeBase, id: 'm3', title: 'Emma', tags: ['Classic'] }
+    ]);
+    setTagColor('SciFi', '#123456');
+
+    assertEqual(renameTags(['SciFi', 'Sci-Fi'], 'Science Fiction'), 2);
+    assertEqual(getBooks().map(book => book.tags.join('|')).join(','), 'Science Fiction|Classic,Science Fiction,Classic');
+    assertEqual(getTagInfo()['science fiction'].color, '#123456', 'Colour moves to the merged tag');
+
+    undo();
+    assertEqual(getBooks().map(book => book.tags.join('|')).join(','), 'SciFi|Classic,Sci-Fi,Classic');
+    assertEqual(getTagInfo()['scifi'].color, '#123456', 'Undo restores the tag settings too');
+    assertEqual(replaceTags(['A', 'B', 'C'], ['A', 'C'], 'B').join('|'), 'B', 'Merged duplicates are dropped');
+});
+
+test('Tag manager: Parent tags include their subtags and cannot form loops', () => {
+    assert(setTagParent('Sci-Fi', 'Fiction'), 'Should nest Sci-Fi under Fiction');
+    assert(setTagParent('Classic', 'Fiction'), 'Should nest Classic under Fiction');
+    assert(!setTagParent('Fiction', 'Sci-Fi'), 'A tag cannot be nested under its subtag');
+    assert(!setTagParent('Fiction', 'fiction'), 'A tag cannot be its own parent');
+
+    assertEqual(filterByTags(getBooks(), ['Fiction'], 'any', getTagInfo()).length, 3);
+    const tree = listTags(getBooks(), getTagInfo()).map(({ tag, depth, count }) => `${depth}:${tag}:${count}`);
+    assertEqual(tree.join(','), '0:Fiction:3,1:Classic:2,1:Sci-Fi:1,0:SciFi:1');
+});
+
+test('Tag manager: Tag colours are stable unless chosen', () => {
+    assertEqual(getTagColor('Fantasy'), getTagColor('fantasy'), 'Colour ignores case');
+    assertEqual(getTagColor('Fantasy'), getTagColor('Fantasy', { history: { color: '#000000' } }));
+    assertEqual(getTagColor('Fantasy', { fantasy: { color: '#abcdef' } }), '#abcdef');
+});
+
+// ===========================
+// Series Tests
+// ===========================
+
+const stormlight = [
+    { ...mergeBase, id: 's3', title: 'Oathbringer', series: 'The Stormlight Archive', seriesIndex: 3, status: 'to-read' },
+    { ...mergeBase, id: 's1', title: 'The Way of Kings', series: 'The Stormlight Archive', seriesIndex: 1, status: 'finished' },
+    { ...mergeBase, id: 'sx', title: 'Emma', status: 'finished' },
+    { ...mergeBase, id: 's4', title: 'Rhythm of War', series: 'the stormlight archive', seriesIndex: 4, status: 'finished' }
+];
+
+test('Series: Validate the optional series name and number', () => {
+    assert(validateSeries('', '').valid, 'Series is optional');
+    assert(validateSeries('The Stormlight Archive', '2.5').valid, 'Should accept in-between volumes');
+    assert(validateSeries('Discworld', 0).valid, 'Should accept a prequel numbered 0');
+    assertEqual(validateSeries('', '3').errors.series, 'Enter the series this book is part of');
+    assert(validateSeries('Discworld', '#3').errors.seriesIndex, 'Should reject a non-numeric number');
+    assert(validateBook({ ...mergeBase, title: 'Dune', series: ' Dune' }).errors.series, 'Books report series errors');
+});
+
+test('Series: Sort by series and then number, books outside a series last', () => {
+    const order = sortBooks(stormlight, 'series').map(book => book.id).join(',');
+    assertEqual(order, 's1,s3,s4,sx');
+    assertEqual(formatSeries(stormlight[0]), 'The Stormlight Archive #3');
+});
+
+test('Series: Group volumes, report gaps and suggest the next volume', () => {
+    const [series] = groupSeries(stormlight);
+    assertEqual(groupSeries(stormlight).length, 1, 'Series names are grouped case-insensitively');
+    assertEqual(series.books.map(book => book.id).join(','), 's1,s3,s4');
+    assertEqual(series.missing.join(','), '2');
+    assertEqual(series.read, 2);
+    assertEqual(series.next.index, 2, 'The missing volume comes before the unread one');
+    assertEqual(series.next.book, null);
+
+    const words = { ...mergeBase, id: 's2', title: 'Words of Radiance', series: 'The Stormlight Archive', seriesIndex: 2 };
+    const [complete] = groupSeries([...stormlight, words].map(book => ({ ...book, status: 'finished' })));
+    assertEqual(complete.next.index, 5, 'Once all are read, the next number is suggested');
+});
+
+test('Series: Goodreads titles and CSV files carry the series', () => {
+    const csv = goodreadsHeader + '1,"Oathbringer (The Stormlight Archive, #3)",Brandon Sanderson,1248,,2023/01/02,to-read,to-read,\n';
+    const [book] = importFromService(csv, 'goodreads').data;
+    assertEqual(book.title, 'Oathbringer');
+    assertEqual(book.series, 'The Stormlight Archive');
+    assertEqual(book.seriesIndex, 3);
+
+    const exported = exportToCSV([stormlight[0]]);
+    const [imported] = importFromCSV(exported, readCSVHeaders(exported).mapping).data;
+    assertEqual(formatSeries(imported), 'The Stormlight Archive #3');
+});
+
+// ===========================
+// Rating Tests
+// ===========================
+
+const rated = [
+    { ...mergeBase, id: 'r1', title: 'Dune', author: [{ name: 'Frank Herbert', role: 'author' }], rating: 4.5 },
+    { ...mergeBase, id: 'r2', title: 'Emma', author: [{ name: 'Jane Austen', role: 'author' }], rating: 3 },
+    { ...mergeBase, id: 'r3', title: 'Children of Dune', author: [{ name: 'Frank Herbert', role: 'author' }], rating: 3.5 },
+    { ...mergeBase, id: 'r4', title: 'Persuasion', author: [{ name: 'Jane Austen', role: 'author' }] }
+];
+
+test('Ratings: Validate optional half-star ratings', () => {
+    assert(validateRating('').valid, 'Rating is optional');
+    assert(validateRating(4.5).valid, 'Should accept half stars');
+    assert(validateRating('5').valid, 'Should accept five stars');
+    assert(!validateRating('0').valid, 'Should reject zero stars');
+    assert(!validateRating('4.25').valid, 'Should reject quarter stars');
+    assert(!validateRating(6).valid, 'Should reject more than five stars');
+    assert(validateBook({ ...mergeBase, title: 'Dune', rating: 7 }).errors.rating, 'Books report rating errors');
+});
+
+test('Ratings: Sort and filter by rating, unrated books last', () => {
+    assertEqual(sortBooks(rated, 'rating-desc').map(book => book.id).join(','), 'r1,r3,r2,r4');
+    assertEqual(sortBooks(rated, 'rating-asc').map(book => book.id).join(','), 'r2,r3,r1,r4');
+    assertEqual(filterByRating(rated, '3.5').map(book => book.id).join(','), 'r1,r3');
+    assertEqual(filterByRating(rated, 'unrated').map(book => book.id).join(','), 'r4');
+
+    const query = compileQuery('rating:>=3.5');
+    assert(query.valid, `Query should compile: ${query.error}`);
+    assertEqual(rated.filter(query.predicate).length, 2, 'Unrated books match no rating condition');
+});
+
+test('Ratings: Average, distribution and top-rated authors', () => {
+    assertEqual(averageRating(rated), 3.7, 'Unrated books are left out of the average');
+    assertEqual(averageRating([rated[3]]), null);
+    const counts = countRatings(rated);
+    assertEqual(counts.length, 10, 'One bar per half star');
+    assertEqual(counts.find(step => step.rating === 4.5).count, 1);
+    const [top] = getTopRatedAuthors(rated);
+    assertEqual(top.name, 'Frank Herbert');
+    assertEqual(top.average, 4);
+    assertEqual(top.count, 2);
+    assertEqual(formatStars(3.5), '★★★½');
+});
+
+test('Ratings: Import ratings from services and round-trip them through CSV', () => {
+    const csv = storygraphCSV(
+        { Title: 'Dune', Authors: 'Frank Herbert', 'Read Status': 'read', 'Date Added': '2023/01/02', 'Last Date Read': '2023/05/14', 'Star Rating': '4.25', Review: 'Loved it' },
+        { Title: 'Emma', Authors: 'Jane Austen', 'Read Status': 'to-read', 'Date Added': '2023/01/02' }
+    );
+    const [dune, emma] = importFromService(csv, 'storygraph').data;
+    assertEqual(dune.rating, 4.5, 'Quarter stars round to the nearest half star');
+    assertEqual(dune.review, 'Loved it');
+    assertEqual(emma.rating, undefined, 'Unrated books have no rating');
+
+    const exported = exportToCSV([rated[0]]);
+    const [imported] = importFromCSV(exported, readCSVHeaders(exported).mapping).data;
+    assertEqual(imported.rating, 4.5, 'Ratings are stored as numbers');
+});
+
+// ===========================
+// ISBN Tests
+// ===========================
+
+test('ISBN: Check digits are verified, not just the shape', () => {
+    assert(isValidIsbn('0-306-40615-2'), 'Should accept a valid ISBN-10');
+    assert(isValidIsbn('080442957X'), 'Should accept an X check digit');
+    assert(isValidIsbn('ISBN 978-0-306-40615-7'), 'Should accept a prefixed ISBN-13');
+    assert(!isValidIsbn('978-0-306-40615-8'), 'Should reject a wrong check digit');
+    assert(validateIsbn('').valid, 'ISBN is optional');
+    assertEqual(validateIsbn('978-0-306-40615-8').message, 'ISBN check digit does not match; check for a typo');
+    assert(!validateIsbn('12345').valid, 'Should reject the wrong length');
+    assert(validateBook({ ...mergeBase, title: 'Dune', isbn: '0306406153' }).errors.isbn, 'Books report ISBN errors');
+});
+
+test('ISBN: Convert between ISBN-10 and ISBN-13 and hyphenate', () => {
+    assertEqual(toIsbn13('0-306-40615-2'), '9780306406157');
+    assertEqual(toIsbn10('9780306406157'), '0306406152');
+    assertEqual(toIsbn10('9791090636071'), '', '979 ISBNs have no ISBN-10');
+    assertEqual(hyphenateIsbn('9780306406157'), '978-0-306-40615-7');
+    assertEqual(hyphenateIsbn('0743273567'), '0-7432-7356-7');
+    assertEqual(hyphenateIsbn('9781841953922'), '978-1-84195-392-2');
+    assertEqual(hyphenateIsbn('9783161484100'), '9783161484100', 'Groups without known ranges stay unhyphenated');
+});
+
+test('ISBN: Warn about books already in the library', () => {
+    const library = [
+        { ...mergeBase, id: 'i1', title: 'Dune', isbn: '9780441172719' },
+        { ...mergeBase, id: 'i2', title: 'Emma', author: [{ name: 'Jane Austen', role: 'author' }] },
+        { ...mergeBase, id: 'i3', title: 'Ulysses', deletedAt: '2026-01-01T00:00:00.000Z' }
+    ];
+    const byIsbn = findDuplicateBook({ title: 'Dune (Deluxe)', author: 'Someone Else', isbn: '0-441-17271-7' }, library);
+    assertEqual(byIsbn.book.id, 'i1', 'ISBN-10 matches the stored ISBN-13');
+    assertEqual(byIsbn.matchedBy, 'isbn');
+    const byTitle = findDuplicateBook({ title: '  emma ', author: [{ name: 'Jane  Austen', role: 'author' }] }, library);
+    assertEqual(byTitle.matchedBy, 'title-author', 'Title and author are compared normalised');
+    assertEqual(findDuplicateBook({ ...library[2], id: 'new' }, library), null, 'Trashed books are not duplicates');
+    assertEqual(findDuplicateBook(library[0], library), null, 'A book does not duplicate itself');
+});
+
+test('ISBN: Import from Goodreads and round-trip through CSV', () => {
+    const csv = 'Book Id,Title,Author,ISBN,ISBN13,Number of Pages,Date Added,Bookshelves,Exclusive Shelf\n' +
+        '1,Dune,Frank Herbert,"=""0441172717""","=""9780441172719""",688,2023/01/02,,to-read\n' +
+        '2,Emma,Jane Austen,"=""""","=""""",474,2023/01/02,,to-read\n';
+    const [dune, emma] = importFromService(csv, 'goodreads').data;
+    assertEqual(dune.isbn, '9780441172719');
+    assertEqual(emma.isbn, undefined, 'Empty ISBN columns are skipped');
+
+    const exported = exportToCSV([dune]);
+    assert(exported.includes('978-0-441-17271-9'), 'CSV exports hyphenate the ISBN');
+    const [imported] = importFromCSV(exported, readCSVHeaders(exported).mapping).data;
+    assertEqual(imported.isbn, '9780441172719');
+});
+
+/**
+ * Show the CSV mapping step in a minimal stand-in for the import dialog
+ * and read back the mapping it offers, as the import button does
+ * @param {Object} csvInfo - Result of readCSVHeaders
+ * @returns {Object} Mapping from getCSVMapping
+ */
+function mapThroughDialog(csvInfo) {
+    const { getElementById, querySelectorAll } = document;
+    const elements = {};
+    const selects = [];
+    const stub = () => ({ classList: { add() {}, remove() {}, toggle() {} }, focus() {} });
+
+    elements['csv-mapping'] = {
+        ...stub(),
+        // One select per field the dialog renders
+        set innerHTML(html) {
+            [...html.matchAll(/id="csv-map-(\w+)"/g)].forEach(([, field]) =>
+                selects.push({ id: `csv-map-${field}`, dataset: { field }, value: '' }));
+        }
+    };
+    document.getElementById = id => selects.find(select => select.id === id) || (elements[id] ||= stub());
+    document.querySelectorAll = selector => (selector === '.csv-map-select' ? selects : []);
+
+    try {
+        renderCSVMapping({ ...csvInfo, fileName: 'books.csv' });
+        return getCSVMapping();
+    } finally {
+        Object.assign(document, { getElementById, querySelectorAll });
+    }
+}
+
+test('ISBN: Generic CSV imports keep the ISBN column chosen in the dialog', () => {
+    const csv = 'Title,Author,Pages,ISBN,Tags,Date\n' +
+        'Dune,Frank Herbert,688,0-441-17271-7,Sci-Fi,2026-01-05\n';
+    const info = readCSVHeaders(csv);
+    const mapping = mapThroughDialog(info);
+
+    assertEqual(mapping.isbn, info.mapping.isbn, 'The dialog offers the guessed ISBN column');
+    const [dune] = importFromCSV(csv, mapping).data;
+    assertEqual(dune.isbn, '9780441172719');
+});
+
+// ===========================
+// Metadata Lookup Tests
+// ===========================
+
+// The bundled catalog, read from disk in place of fetching it
+const bundledCatalog = JSON.parse(readFileSync(new URL('../assets/catalog/catalog.json', import.meta.url), 'utf8')).books;
+registerMetadataProvider(createCatalogProvider(() => Promise.resolve(bundledCatalog)));
+
+const byIsbnLookup = await lookupMetadata({ isbn: '0-547-92822-X', title: '' });
+const byTitleLookup = await lookupMetadata({ isbn: '', title: 'the' });
+const missingLookup = await lookupMetadata({ isbn: '', title: 'No Such Book Anywhere' });
+
+test('Metadata: Look books up by ISBN or title in the bundled catalog', () => {
+    assertEqual(byIsbnLookup.provider.id, 'local-catalog');
+    assertEqual(byIsbnLookup.results.length, 1, 'An ISBN-10 finds the ISBN-13 record');
+    const [hobbit] = byIsbnLookup.results;
+    assertEqual(hobbit.title, 'The Hobbit');
+    assertEqual(formatContributors(hobbit.author), 'J.R.R. Tolkien');
+    assertEqual(hobbit.pages, 300);
+    assertEqual(hobbit.seriesIndex, undefined, 'Empty fields are left out');
+    assert(validateBook({ ...hobbit, date: '2026-01-01' }).valid, 'Catalog records are valid books');
+    assert(byTitleLookup.results.length > 1 && byTitleLookup.results.length <= 5, 'A title search lists several matches');
+    assertEqual(missingLookup.provider, null);
+    assertEqual(missingLookup.results.length, 0);
+});
+
+const fallbackResults = [];
+registerMetadataProvider({ id: 'broken', label: 'Broken', lookup: () => Promise.reject(new Error('offline')) });
+unregisterMetadataProvider('local-catalog');
+registerMetadataProvider({
+    id: 'remote',
+    label: 'Remote',
+    lookup: query => Promise.resolve([{ title: 'Remote Book', author: 'Ann Leckie', pages: '386', isbn: query.isbn }])
+});
+fallbackResults.push(await lookupMetadata({ isbn: '9780316246651', title: '' }));
+unregisterMetadataProvider('broken');
+unregisterMetadataProvider('remote');
+
+test('Metadata: Providers plug in without changes and failures fall through', () => {
+    assert(!registerMetadataProvider({ id: 'no-lookup' }), 'Providers need a lookup function');
+    const [{ provider, results }] = fallbackResults;
+    assertEqual(provider.id, 'remote', 'A failing provider is skipped');
+    assertEqual(results[0].pages, 386, 'Records are normalised');
+    assertEqual(formatContributors(results[0].author), 'Ann Leckie');
+    assertEqual(getMetadataProviders().length, 0);
+});
+
+// ===========================
+// Text Normalisation Tests
+// ===========================
+
+test('Normalisation: Compose characters and collapse spaces', () => {
+    assertEqual(normalizeText('  Gabriel   Garci\u0301a\tMárquez '), 'Gabriel García Márquez');
+    assertEqual(normalizeText('Garci\u0301a'), 'García');
+    assertEqual(toContributors('Gabriel  Garci\u0301a Márquez, Edith  Grossman (Translator)')
+        .map(contributor => contributor.name).join('|'), 'Gabriel García Márquez|Edith Grossman');
+    assertEqual(toTags(['Ciencia ficcio\u0301n', 'ciencia  ficción']).join('|'), 'Ciencia ficción',
+        'Tags differing only in normalisation are one tag');
+});
+
+test('Normalisation: Imports and search use the normalised form', () => {
+    const csv = 'title,author,pages,tags,date\n' +
+        'Cien  años de soledad,Gabriel Garci\u0301a Márquez,417,Ficción,2026-01-05\n';
+    const result = importFromCSV(csv, readCSVHeaders(csv).mapping);
+    assertEqual(result.rowErrors.length, 0);
+    const [book] = result.data;
+    assertEqual(book.title, 'Cien años de soledad');
+    assertEqual(book.author[0].name, 'Gabriel García Márquez');
+
+    const json = JSON.stringify([{ ...book, title: 'Cien  an\u0303os de soledad', date: '2026-01-05' }]);
+    assertEqual(importFromJSON(json).data[0].title, 'Cien años de soledad');
+
+    // Legacy text saved decomposed is found by a composed query and the other way round
+    const legacy = { ...book, author: [{ name: 'Gabriel Garci\u0301a Márquez', role: 'author' }] };
+    assertEqual(filterBooks([legacy], compileSearch('García').matcher).length, 1);
+    assertEqual(filterBooks([book], compileSearch('Garci\u0301a').matcher).length, 1);
+    assertEqual(filterBooks([book], compileSearch('author:Garci\u0301a', { mode: 'query' }).matcher).length, 1);
+});
+
+// ===========================
+// Fuzzy Search Tests
+// ===========================
+
+const fuzzyBooks = [
+    { ...mergeBase, id: 'f1', title: 'Cien años de soledad', author: [{ name: 'Gabriel García Márquez', role: 'author' }] },
+    { ...mergeBase, id: 'f2', title: 'The Hobbit', author: [{ name: 'J.R.R. Tolkien', role: 'author' }] },
+    { ...mergeBase, id: 'f3', title: 'Dune', author: [{ name: 'Frank Herbert', role: 'author' }], notes: 'Reread after The Hobbit' },
+    { ...mergeBase, id: 'f4', title: 'Die Straße', author: [{ name: 'Jane Doe', role: 'author' }] }
+];
+
+/**
+ * Titles of the books a fuzzy search finds, best match first
+ * @param {string} input - Search words
+ * @returns {string} Titles joined with |
+ */
+function fuzzyTitles(input) {
+    const search = compileSearch(input, { mode: 'fuzzy' });
+    return sortBooks(filterBooks(fuzzyBooks, search.matcher), 'relevance', search.rank)
+        .map(book => book.title).join('|');
+}
+
+test('Fuzzy search: Ignore case and accents', () => {
+    assertEqual(foldText('García Márquez'), 'garcia marquez');
+    assertEqual(foldText('Straße'), 'strasse');
+    assertEqual(fuzzyTitles('garcia'), 'Cien años de soledad');
+    assertEqual(fuzzyTitles('GABRIEL MARQUEZ'), 'Cien años de soledad', 'Every word must match');
+    assertEqual(fuzzyTitles('anos soledad'), 'Cien años de soledad');
+    assertEqual(fuzzyTitles('strasse'), 'Die Straße');
+    assertEqual(fuzzyTitles('garcia herbert'), '', 'A word matching nothing rules the book out');
+});
+
+test('Fuzzy search: Tolerate typos and rank by relevance', () => {
+    assertEqual(fuzzyTitles('Tolkein'), 'The Hobbit', 'Swapped letters are one typo');
+    assertEqual(fuzzyTitles('Hebert'), 'Dune', 'A missing letter is one typo');
+    assertEqual(fuzzyTitles('Dnue'), 'Dune');
+    assertEqual(fuzzyTitles('Dun'), 'Dune', 'Words being typed match the start of a word');
+    assertEqual(fuzzyTitles('Tlk'), '', 'Short words must be spelled right');
+    assertEqual(fuzzyTitles('hobbit'), 'The Hobbit|Dune', 'A title match outranks a match in the notes');
+    assertEqual(compileSearch('', { mode: 'fuzzy' }).matcher, null);
+    assertEqual(sortBooks(fuzzyBooks, 'relevance').length, 4, 'Without a fuzzy search the order is kept');
+});
+
+test('Fuzzy search: Highlight matches in the original text', () => {
+    const highlight = text => highlightMatches(text, compileSearch('garcia marq tolkein', { mode: 'fuzzy' }).highlight);
+    assertEqual(highlight('Gabriel García Márquez'), 'Gabriel <mark>García</mark> <mark>Márq</mark>uez');
+    assertEqual(highlight('J.R.R. Tolkien & <friends>'), 'J.R.R. <mark>Tolkien</mark> &amp; &lt;friends&gt;');
+    assertEqual(highlight('Garci\u0301a'), '<mark>García</mark>', 'Decomposed text is composed first');
+    assertEqual(highlight('Dune'), 'Dune');
+});
+
+// ===========================
+// Notes Search Tests
+// ===========================
+
+const notesBook = {
+    ...mergeBase,
+    id: 'n1',
+    title: 'Dune',
+    notes: 'Started on the train. The spice melange is a great idea; the spice trade drives the whole plot of the book.\nFinished in a week.',
+    review: 'Spice, sand and politics.'
+};
+
+test('Notes search: Count matches per field', () => {
+    const regex = compileSearch('spice').highlight;
+    assertEqual(JSON.stringify(countFieldMatches(notesBook, regex)), '{"review":1,"notes":2}');
+    assertEqual(JSON.stringify(countFieldMatches(notesBook, compileSearch('herbert|dune').highlight)), '{"title":1,"author":1}');
+    assertEqual(countMatches([notesBook, { ...notesBook, id: 'n2', review: '' }], regex), 5);
+    assertEqual(countMatches([notesBook], compileSearch('pages:>100', { mode: 'query' }).highlight), 0,
+        'Queries without text terms have no matches to count');
+    assertEqual(JSON.stringify(countFieldMatches(notesBook, compileSearch('melnage', { mode: 'fuzzy' }).highlight)), '{"notes":1}');
+});
+
+test('Notes search: Field queries on notes and review show snippets', () => {
+    const highlight = compileSearch('notes:melange', { mode: 'query' }).highlight;
+    assertEqual(JSON.stringify(countFieldMatches(notesBook, highlight)), '{"notes":1}');
+    assertEqual(getMatchSnippet(notesBook.notes, highlight, 10), '…spice <mark>melange</mark> is a…');
+    assertEqual(JSON.stringify(countFieldMatches(notesBook, compileSearch('review:politics', { mode: 'query' }).highlight)), '{"review":1}');
+});
+
+test('Notes search: Snippets around the first match', () => {
+    const snippet = getMatchSnippet(notesBook.notes, compileSearch('trade').highlight, 20);
+    assertEqual(snippet, '…idea; the spice <mark>trade</mark> drives the whole…');
+    assertEqual(getMatchSnippet('Short <note>', compileSearch('note').highlight), 'Short &lt;<mark>note</mark>&gt;',
+        'Short text is shown whole and escaped');
+    assertEqual(getMatchSnippet(notesBook.notes, compileSearch('spice').highlight),
+        'Started on the train. The <mark>spice</mark> melange is a great idea; the <mark>spice</mark>…',
+        'Later matches inside the snippet are marked too');
+    assertEqual(getMatchSnippet(notesBook.notes, compileSearch('cthulhu').highlight), '');
+    assertEqual(getMatchSnippet('', compileSearch('spice').highlight), '');
+});
+
+// ===========================
+// Two-Tab Sync Tests
+// ===========================
+
+// Delivers messages between channels with the same name, as between tabs; sync starts
+// here so the earlier tests run without a channel
+class FakeBroadcastChannel {
+    static open = [];
+
+    constructor(name) {
+        this.name = name;
+        this.onmessage = null;
+        FakeBroadcastChannel.open.push(this);
+    }
+
+    postMessage(data) {
+        FakeBroadcastChannel.open
+            .filter(channel => channel !== this && channel.name === this.name)
+            .forEach(channel => channel.onmessage?.({ data: structuredClone(data) }));
+    }
+}
+
+global.BroadcastChannel = FakeBroadcastChannel;
+startSync(() => {});
+// Stands in for a second tab of the app
+const otherTab = new FakeBroadcastChannel('booksVault:sync');
+const otherTabMessages = [];
+otherTab.onmessage = (e) => otherTabMessages.push(e.data);
+
+test('Two tabs: Sessions logged in both tabs are all kept', () => {
+    setBooks([{ ...mergeBase, id: 't1', title: 'Dune', status: 'reading' }]);
+    addSession('t1', { date: '2026-03-01', pages: 10 });
+    const theirs = { id: 'session_tab_b', bookId: 't1', date: '2026-03-02', pages: 20, minutes: 30 };
+    otherTab.postMessage({ source: 'tab_b', store: 'sessions', changes: { put: [theirs], remove: [] } });
+    assert(getSessions('t1').some(session => session.id === 'session_tab_b'), 'The other tab\'s session should appear');
+
+    otherTabMessages.length = 0;
+    addSession('t1', { date: '2026-03-03', pages: 15 });
+    const saved = JSON.parse(localStore['booksVault:sessions']).filter(session => session.bookId === 't1');
+    assertEqual(saved.length, 3, 'Saving here should not drop the other tab\'s session');
+
+    const message = otherTabMessages.find(item => item.store === 'sessions');
+    assert(message, 'The new session should be broadcast');
+    assertEqual(message.changes.put.length, 1, 'Only the new session is sent');
+    assertEqual(message.changes.put[0].date, '2026-03-03');
+});
+
+// Settings are saved once storage.js has been imported again
+updateSettings({ pageUnit: 'pages', targetPages: 1000 });
+await new Promise(resolve => setTimeout(resolve, 0));
+otherTab.postMessage({ source: 'tab_b', store: 'settings', changes: { put: { pageUnit: 'words' }, remove: [] } });
+const settingsFromOtherTab = getSettings().pageUnit;
+otherTabMessages.length = 0;
+updateSettings({ targetPages: 2500 });
+await new Promise(resolve => setTimeout(resolve, 0));
+
+test('Two tabs: Settings changed in both tabs are merged key by key', () => {
+    assertEqual(settingsFromOtherTab, 'words');
+    const saved = JSON.parse(localStore['booksVault:settings']);
+    assertEqual(saved.pageUnit, 'words', 'Saving here should keep the other tab\'s setting');
+    assertEqual(saved.targetPages, 2500);
+    const message = otherTabMessages.find(item => item.store === 'settings');
+    assertEqual(JSON.stringify(message.changes), '{"put":{"targetPages":2500},"remove":[]}', 'Only the changed key is sent');
+});
+
+test('Two tabs: New undo history entries are sent to the other tab', () => {
+    setBooks([{ ...mergeBase, id: 't2', title: 'Emma' }]);
+    updateBook('t2', { title: 'Emma (Annotated)' });
+    const message = otherTabMessages.filter(item => item.store === 'history').pop();
+    assert(message && message.changes.undo.put.some(entry => entry.label.includes('Emma')), 'The new history entry should be broadcast');
+});
+
 // Summary
 console.log('\n===========================');
 console.log(`Total: ${results.total}, Passed: ${results.passed}, Failed: ${results.failed}`);
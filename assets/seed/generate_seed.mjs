@@ -6,13 +6,13 @@ const oneDay = 24 * 60 * 60 * 1000;
 const categories = ['Fiction', 'Non-Fiction', 'Sci-Fi', 'Fantasy', 'Mystery', 'Biography', 'History', 'Technology', 'Self-Help', 'Business'];
 
 const baseBooks = [
-    { title: "The Great Gatsby", author: "F Scott Fitzgerald", pages: 180 },
+    { title: "The Great Gatsby", author: "F. Scott Fitzgerald", pages: 180 },
     { title: "Sapiens", author: "Yuval Noah Harari", pages: 443 },
-    { title: "Clean Code", author: "Robert C Martin", pages: 464 },
+    { title: "Clean Code", author: "Robert C. Martin", pages: 464 },
     { title: "1984", author: "George Orwell", pages: 328 },
     { title: "The Art of War", author: "Sun Tzu", pages: 273 },
     { title: "Brief Answers to the Big Questions", author: "Stephen Hawking", pages: 256 },
-    { title: "The Hobbit", author: "J R R Tolkien", pages: 310 },
+    { title: "The Hobbit", author: "J.R.R. Tolkien", pages: 310 },
     { title: "Educated", author: "Tara Westover", pages: 334 },
     { title: "Atomic Habits", author: "James Clear", pages: 320 },
     { title: "The Book Thief", author: "Markus Zusak", pages: 552 },
@@ -0,0 +1,82 @@
+/**
+ * contributors.js
+ * Ordered book contributors (authors, editors, translators, illustrators)
+ */
+
+import { normalizeText } from './text.js';
+
+// Roles a contributor can have, in the order they are offered in the form
+export const CONTRIBUTOR_ROLES = ['author', 'editor', 'translator', 'illustrator'];
+
+export const ROLE_LABELS = {
+    author: 'Author',
+    editor: 'Editor',
+    translator: 'Translator',
+    illustrator: 'Illustrator'
+};
+
+/**
+ * Read a book's author field in either shape: the original single-name
+ * string or the list of contributors
+ * @param {string|Array} value - Author field ('Name', 'A, B (Translator)' or [{ name, role }])
+ * @returns {Array} Contributors ({ name, role }) in order, names normalised
+ */
+export function toContributors(value) {
+    if (typeof value === 'string') {
+        return parseContributors(value);
+    }
+
+    if (!Array.isArray(value)) return [];
+
+    return value
+        .map(item => (typeof item === 'string'
+            ? { name: normalizeText(item), role: 'author' }
+            : { name: normalizeText(item?.name), role: item?.role || 'author' }))
+        .filter(contributor => contributor.name !== '');
+}
+
+/**
+ * Parse contributors written as text, e.g. "Leo Tolstoy, Richard Pevear (Translator)".
+ * Names are separated by commas or semicolons; a role in parentheses follows the name
+ * (role names are matched case-insensitively, and a name without one is an author).
+ * Names are normalised (NFC, single spaces).
+ * @param {string} text - Contributors text
+ * @returns {Array} Contributors ({ name, role })
+ */
+export function parseContributors(text) {
+    return String(text || '')
+        .split(/[,;]/)
+        .map(normalizeText)
+        .filter(Boolean)
+        .map(part => {
+            const match = part.match(/^(.*?)\s*\(([^)]*)\)$/);
+            if (!match) return { name: part, role: 'author' };
+
+            // Unknown roles are kept so validation can report them
+            return { name: match[1], role: match[2].trim().toLowerCase() };
+        });
+}
+
+/**
+ * Format contributors as text that parseContributors reads back.
+ * Authors are listed by name only, other roles get the role in parentheses.
+ * @param {string|Array} value - Author field in either shape
+ * @returns {string} e.g. "Leo Tolstoy, Richard Pevear (Translator)"
+ */
+export function formatContributors(value) {
+    return toContributors(value)
+        .map(({ name, role }) => (role === 'author' ? name : `${name} (${ROLE_LABELS[role] || role})`))
+        .join(', ');
+}
+
+/**
+ * Get contributor names, optionally only those with one role
+ * @param {string|Array} value - Author field in either shape
+ * @param {string} role - Role to keep (all roles when omitted)
+ * @returns {Array} Names in order
+ */
+export function contributorNames(value, role = '') {
+    return toContributors(value)
+        .filter(contributor => !role || contributor.role === role)
+        .map(contributor => contributor.name);
+}
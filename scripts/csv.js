@@ -0,0 +1,94 @@
+/**
+ * csv.js
+ * RFC 4180 CSV parsing and formatting
+ */
+
+/**
+ * Parse CSV text into rows of cells.
+ * Handles quoted fields, escaped quotes ("") and line breaks inside quotes.
+ * @param {string} text - CSV text
+ * @returns {Object} { rows: Array<Array<string>>, error: string }
+ */
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let i = 0;
+
+    // Ignore a UTF-8 byte order mark written by some spreadsheet apps
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    while (i < input.length) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 2;
+            } else if (char === '"') {
+                inQuotes = false;
+                i++;
+            } else {
+                field += char;
+                i++;
+            }
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            inQuotes = true;
+            i++;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+            i++;
+        } else if (char === '\r' || char === '\n') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            i += char === '\r' && input[i + 1] === '\n' ? 2 : 1;
+        } else {
+            field += char;
+            i++;
+        }
+    }
+
+    if (inQuotes) {
+        return { rows: [], error: 'Unterminated quoted field' };
+    }
+
+    // Last line without a trailing newline
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return { rows: rows.filter(cells => cells.some(cell => cell.trim() !== '')), error: '' };
+}
+
+/**
+ * Format rows of cells as CSV text (CRLF line endings, quoting where needed)
+ * @param {Array<Array<*>>} rows - Rows of cell values
+ * @returns {string} CSV text
+ */
+export function formatCSV(rows) {
+    return rows.map(cells => cells.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Quote a single cell if it contains a comma, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function formatCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+}
@@ -0,0 +1,240 @@
+/**
+ * fuzzy.js
+ * Fuzzy search: accent-insensitive, typo-tolerant matching ranked by relevance
+ *
+ * Text is folded before it is compared: lowercased, accents and other marks removed,
+ * and a few letters spelled out (ß → ss, æ → ae, ø → o), so "garcia" finds "García".
+ * Every search word must match a word of the book: exactly, as its start, inside it
+ * (three letters or more), or within a typo or two ("Tolkein" finds "Tolkien").
+ */
+
+import { formatContributors } from './contributors.js';
+import { getBookTags, formatTags } from './tags.js';
+import { composeText } from './text.js';
+
+// Fields searched, and how much a match in each counts toward relevance
+const FIELD_WEIGHTS = {
+    title: 3,
+    author: 3,
+    series: 2,
+    tags: 2,
+    isbn: 1,
+    review: 1,
+    notes: 1
+};
+
+// Letters folding spells out instead of stripping a mark
+const LETTER_FOLDS = {
+    'ß': 'ss',
+    'æ': 'ae',
+    'œ': 'oe',
+    'ø': 'o',
+    'ł': 'l',
+    'đ': 'd',
+    'ð': 'd',
+    'þ': 'th',
+    'ı': 'i'
+};
+
+// Words: runs of letters (with their marks) and digits
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+/**
+ * Fold text for comparing: lowercase, without accents or other marks
+ * @param {string} text - Text to fold
+ * @returns {string} e.g. "garcia marquez" for "García Márquez"
+ */
+export function foldText(text) {
+    return [...composeText(text)].map(foldChar).join('');
+}
+
+/**
+ * Compile fuzzy search input
+ * @param {string} input - Search words
+ * @returns {Object} { valid, predicate: Function|null, highlight: Function|null, rank: Function|null, error }
+ *   predicate(book) tells whether a book matches, rank(book) gives its relevance (higher is better)
+ *   and highlight(text) the [start, end] ranges of text to mark (all null for empty input)
+ */
+export function compileFuzzy(input) {
+    const terms = foldText(input).match(WORD_PATTERN) || [];
+    const result = { valid: true, predicate: null, highlight: null, rank: null, error: '' };
+
+    if (terms.length === 0) return result;
+
+    result.rank = book => scoreBook(book, terms);
+    result.predicate = book => scoreBook(book, terms) > 0;
+    result.highlight = text => findWordMatches(text, terms);
+    return result;
+}
+
+/**
+ * Score a book against the search words
+ * @param {Object} book - Book object
+ * @param {Array} terms - Folded search words
+ * @returns {number} Relevance, or 0 if a search word matches nothing
+ */
+function scoreBook(book, terms) {
+    const fields = Object.entries(FIELD_WEIGHTS).map(([name, weight]) => ({
+        weight,
+        words: foldText(fieldText(book, name)).match(WORD_PATTERN) || []
+    }));
+
+    let total = 0;
+    for (const term of terms) {
+        let best = 0;
+        fields.forEach(({ weight, words }) => {
+            words.forEach(word => {
+                const match = matchWord(term, word);
+                if (match) best = Math.max(best, match.score * weight);
+            });
+        });
+
+        if (best === 0) return 0;
+        total += best;
+    }
+    return total;
+}
+
+/**
+ * Get the text of a searched field
+ * @param {Object} book - Book object
+ * @param {string} name - Field name (a key of FIELD_WEIGHTS)
+ * @returns {string} Field text
+ */
+function fieldText(book, name) {
+    if (name === 'author') return formatContributors(book.author);
+    if (name === 'tags') return formatTags(getBookTags(book));
+    return String(book[name] ?? '');
+}
+
+/**
+ * Match a search word against a word of the book (both folded)
+ * @param {string} term - Search word
+ * @param {string} word - Book word
+ * @returns {Object|null} { score, start, end } with the matched span of word, or null
+ */
+function matchWord(term, word) {
+    if (word === term) return { score: 1, start: 0, end: word.length };
+    if (word.startsWith(term)) return { score: 0.8, start: 0, end: term.length };
+
+    // Shorter words would match inside too many others
+    const index = term.length >= 3 ? word.indexOf(term) : -1;
+    if (index !== -1) return { score: 0.6, start: index, end: index + term.length };
+
+    const allowed = allowedTypos(term);
+    if (allowed === 0) return null;
+
+    const distance = editDistance(term, word);
+    if (distance <= allowed) return { score: 0.5 / distance, start: 0, end: word.length };
+
+    // A word still being typed: compare with the start of the book word
+    if (word.length > term.length) {
+        const prefixDistance = editDistance(term, word.slice(0, term.length));
+        if (prefixDistance <= allowed) return { score: 0.4 / prefixDistance, start: 0, end: term.length };
+    }
+
+    return null;
+}
+
+/**
+ * Number of typos tolerated in a search word (none in short words or numbers)
+ * @param {string} term - Search word
+ * @returns {number} Allowed edit distance
+ */
+function allowedTypos(term) {
+    if (term.length < 4 || /\d/.test(term)) return 0;
+    return term.length < 8 ? 1 : 2;
+}
+
+/**
+ * Count the edits between two words: inserted, deleted or changed letters,
+ * and two neighbouring letters swapped
+ * @param {string} a - Word
+ * @param {string} b - Word
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+        for (let j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                rows[i].push(j);
+                continue;
+            }
+
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, rows[i - 2][j - 2] + 1);
+            }
+            rows[i].push(distance);
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * Find the spans of original (unfolded) text that match the search words
+ * @param {string} text - Text as displayed
+ * @param {Array} terms - Folded search words
+ * @returns {Array} [start, end] ranges in order, not overlapping
+ */
+function findWordMatches(text, terms) {
+    const ranges = [];
+
+    for (const { 0: word, index } of String(text ?? '').matchAll(WORD_PATTERN)) {
+        const { folded, starts, ends } = foldWithOffsets(word);
+
+        terms.forEach(term => {
+            const match = matchWord(term, folded);
+            if (match) ranges.push([index + starts[match.start], index + ends[match.end - 1]]);
+        });
+    }
+
+    return ranges
+        .sort((a, b) => a[0] - b[0])
+        .reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push([...range]);
+            }
+            return merged;
+        }, []);
+}
+
+/**
+ * Fold a word, keeping where each folded letter came from
+ * @param {string} word - Word as displayed
+ * @returns {Object} { folded, starts, ends }: folded letter i comes from word[starts[i]] up to word[ends[i]]
+ */
+function foldWithOffsets(word) {
+    let folded = '';
+    const starts = [];
+    const ends = [];
+    let index = 0;
+
+    for (const char of word) {
+        const part = foldChar(char);
+        for (let i = 0; i < part.length; i++) {
+            starts.push(index);
+            ends.push(index + char.length);
+        }
+        folded += part;
+        index += char.length;
+    }
+
+    return { folded, starts, ends };
+}
+
+/**
+ * Fold one character
+ * @param {string} char - Character (a whole code point)
+ * @returns {string} Folded letters ('' for a combining mark)
+ */
+function foldChar(char) {
+    const lower = char.toLowerCase();
+    return LETTER_FOLDS[lower] ?? lower.normalize('NFD').replace(/\p{M}/gu, '');
+}
@@ -0,0 +1,313 @@
+/**
+ * importers.js
+ * Importers for reading-service export files (Goodreads, StoryGraph)
+ */
+
+import { parseCSV } from './csv.js';
+import { validateBook, validateAuthor, patterns } from './validators.js';
+import { parseContributors, formatContributors } from './contributors.js';
+import { toTags } from './tags.js';
+import { isValidIsbn, toIsbn13 } from './isbn.js';
+import { normalizeText } from './text.js';
+
+// Tag used when a record is on no custom shelf
+const DEFAULT_TAG = 'Uncategorized';
+
+/**
+ * Supported export layouts.
+ * Each format is recognised by its signature headers and turns one
+ * record (header name to cell value) into a book.
+ */
+export const IMPORT_FORMATS = {
+    goodreads: {
+        label: 'Goodreads',
+        signature: ['Book Id', 'Exclusive Shelf', 'Bookshelves'],
+        toBook(record) {
+            const status = shelfToStatus(record['Exclusive Shelf']);
+            const dateRead = toISODate(record['Date Read']);
+            const { title, series, seriesIndex } = splitSeriesTitle(record['Title']);
+
+            return {
+                title,
+                series,
+                seriesIndex,
+                author: joinContributors(record['Author'], record['Additional Authors']),
+                pages: record['Number of Pages'],
+                isbn: findIsbn(record['ISBN13'], record['ISBN']),
+                tags: shelvesToTags(record['Bookshelves'], record['Exclusive Shelf']),
+                date: dateRead || toISODate(record['Date Added']),
+                status,
+                finishDate: status === 'finished' ? dateRead : '',
+                // Goodreads exports 0 for books without a rating
+                rating: toRating(record['My Rating']),
+                review: joinNotes(record['My Review']),
+                notes: joinNotes(record['Private Notes'])
+            };
+        }
+    },
+
+    storygraph: {
+        label: 'StoryGraph',
+        signature: ['Read Status', 'Last Date Read', 'Star Rating'],
+        toBook(record) {
+            const status = shelfToStatus(record['Read Status']);
+            const dateRead = toISODate(record['Last Date Read']);
+            const { title, series, seriesIndex } = splitSeriesTitle(record['Title']);
+
+            return {
+                title,
+                series,
+                seriesIndex,
+                // Co-authors are listed comma separated, translators etc. with their role in parentheses
+                author: joinContributors(record['Authors'], record['Contributors']),
+                // StoryGraph exports carry no page count, so importFromService asks for one
+                // Books without an ISBN have a StoryGraph ID in this column
+                isbn: findIsbn(record['ISBN/UID']),
+                tags: shelvesToTags(record['Tags'], ''),
+                date: dateRead || toISODate(record['Date Added']),
+                status,
+                finishDate: status === 'finished' ? dateRead : '',
+                // StoryGraph allows quarter stars
+                rating: toRating(record['Star Rating']),
+                review: joinNotes(record['Review'])
+            };
+        }
+    }
+};
+
+/**
+ * Detect which service produced a CSV export from its header row
+ * @param {Array} headers - Header row
+ * @returns {string|null} Key of IMPORT_FORMATS, or null for a generic CSV
+ */
+export function detectImportFormat(headers) {
+    const present = new Set(headers.map(header => header.trim()));
+
+    const match = Object.entries(IMPORT_FORMATS)
+        .find(([, format]) => format.signature.every(header => present.has(header)));
+
+    return match ? match[0] : null;
+}
+
+/**
+ * Import a Goodreads or StoryGraph export.
+ * Contributor names that fail validateAuthor are replaced by a normalised suggestion
+ * (reported in `suggestions` as the whole contributor text) instead of rejecting the row.
+ * Rows without a page count (every StoryGraph row) are imported without pages and
+ * listed in `missingPages`, so the page counts can be asked for before saving.
+ * @param {string} csvString - CSV text
+ * @param {string} formatKey - Key of IMPORT_FORMATS
+ * @returns {Object} { valid, data, errors, rowErrors: Array<{ row, errors }>, suggestions: Array<{ row, index, field, original, suggested }>,
+ *   missingPages: Array<{ row, index, title }> }
+ */
+export function importFromService(csvString, formatKey) {
+    const result = { valid: false, data: [], errors: [], rowErrors: [], suggestions: [], missingPages: [] };
+    const format = IMPORT_FORMATS[formatKey];
+
+    if (!format) {
+        result.errors.push(`Unknown import format: ${formatKey}`);
+        return result;
+    }
+
+    const { rows, error } = parseCSV(csvString);
+
+    if (error) {
+        result.errors.push(`Invalid CSV: ${error}`);
+        return result;
+    }
+
+    const headers = (rows[0] || []).map(header => header.trim());
+
+    rows.slice(1).forEach((cells, index) => {
+        // Row numbers match the spreadsheet (header is row 1)
+        const rowNumber = index + 2;
+        const record = {};
+        headers.forEach((header, column) => {
+            record[header] = (cells[column] ?? '').trim();
+        });
+
+        const book = {};
+        for (const [field, value] of Object.entries(format.toBook(record))) {
+            const text = (value ?? '').trim();
+            if (text !== '') book[field] = text;
+        }
+
+        let suggestion = null;
+        if (book.author) {
+            const contributors = parseContributors(book.author).map(contributor =>
+                validateAuthor(contributor.name).valid
+                    ? contributor
+                    : { ...contributor, name: suggestAuthorName(contributor.name) || contributor.name }
+            );
+            const suggested = formatContributors(contributors);
+            if (suggested !== formatContributors(book.author)) {
+                suggestion = { row: rowNumber, field: 'author', original: book.author, suggested };
+                book.author = suggested;
+            }
+        }
+
+        const { errors } = validateBook(book);
+        if (!book.pages) delete errors.pages;
+
+        if (Object.keys(errors).length > 0) {
+            result.rowErrors.push({ row: rowNumber, errors });
+            return;
+        }
+
+        if (suggestion) {
+            result.suggestions.push({ ...suggestion, index: result.data.length });
+        }
+        if (!book.pages) {
+            result.missingPages.push({ row: rowNumber, index: result.data.length, title: book.title });
+        }
+        result.data.push({
+            ...book,
+            author: parseContributors(book.author),
+            tags: toTags(book.tags),
+            ...(book.pages && { pages: parseInt(book.pages, 10) }),
+            ...(book.seriesIndex && { seriesIndex: Number(book.seriesIndex) }),
+            ...(book.rating && { rating: Number(book.rating) }),
+            ...(book.isbn && { isbn: toIsbn13(book.isbn) })
+        });
+    });
+
+    result.valid = result.data.length > 0;
+    if (!result.valid && result.rowErrors.length === 0) {
+        result.errors.push('Export contains no books');
+    }
+    return result;
+}
+
+/**
+ * Suggest a version of an author name that passes validateAuthor.
+ * Anything but letters, apostrophes, periods and hyphens becomes a space,
+ * so "Stephen King & Owen King" becomes "Stephen King Owen King" and "Banksy™" "Banksy".
+ * @param {string} name - Author name as exported
+ * @returns {string} Suggested name, or '' if none can be made
+ */
+export function suggestAuthorName(name) {
+    const cleaned = lettersOnly(String(name || '').replace(/`/g, "'"));
+    return patterns.category.test(cleaned) ? cleaned : '';
+}
+
+/**
+ * Split the series both services append to titles, e.g.
+ * "The Way of Kings (The Stormlight Archive, #1)"
+ * @param {string} text - Title as exported
+ * @returns {Object} { title, series, seriesIndex } (series fields are '' when the title has none)
+ */
+function splitSeriesTitle(text) {
+    const title = normalizeText(text);
+    const match = title.match(/^(.*\S)\s*\(([^()]*[^\s,()]),?\s*#(\d+(?:\.\d)?)\)$/);
+
+    if (!match) return { title, series: '', seriesIndex: '' };
+    return { title: match[1], series: match[2], seriesIndex: match[3] };
+}
+
+/**
+ * Join comma-separated contributor lists from several columns
+ * @param {...string} lists - Column values
+ * @returns {string} Contributors text for parseContributors
+ */
+function joinContributors(...lists) {
+    return lists.map(list => String(list || '').trim()).filter(Boolean).join(', ');
+}
+
+/**
+ * Map an exclusive shelf / read status to a book status
+ * @param {string} shelf - Shelf or status name from the export
+ * @returns {string} Book status
+ */
+function shelfToStatus(shelf) {
+    const value = String(shelf || '').trim().toLowerCase();
+
+    if (value === 'read') return 'finished';
+    if (value === 'currently-reading') return 'reading';
+    if (/did-not-finish|dnf|abandon/.test(value)) return 'abandoned';
+    return 'to-read';
+}
+
+/**
+ * Turn a comma-separated shelf list into tags.
+ * Status shelves are skipped and every remaining shelf becomes a tag,
+ * e.g. "to-read, science-fiction, classics" becomes "Science-Fiction, Classics".
+ * @param {string} shelves - Comma-separated shelves or tags
+ * @param {string} exclusiveShelf - Shelf that only records the reading status
+ * @returns {string} Comma-separated tags for toTags
+ */
+function shelvesToTags(shelves, exclusiveShelf) {
+    const statusShelves = ['read', 'currently-reading', 'to-read', String(exclusiveShelf || '').toLowerCase()];
+
+    const tags = String(shelves || '')
+        .split(',')
+        .map(name => name.trim())
+        .filter(name => name && !statusShelves.includes(name.toLowerCase()))
+        .map(shelf => lettersOnly(shelf).replace(/(^|[ -])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase()))
+        .filter(Boolean);
+
+    return tags.length > 0 ? tags.join(', ') : DEFAULT_TAG;
+}
+
+/**
+ * Reduce text to letters (in any script, with their marks), apostrophes and periods,
+ * separated by single spaces or hyphens
+ * @param {string} text - Text to clean
+ * @returns {string} Cleaned text
+ */
+function lettersOnly(text) {
+    return normalizeText(text)
+        .replace(/[^\p{L}\p{M}'’.-]+/gu, ' ')
+        .replace(/\s*-\s*/g, '-')
+        .replace(/-+/g, '-')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s'’.-]+|[\s'’-]+$/g, '');
+}
+
+/**
+ * Convert an exported date (YYYY/MM/DD or YYYY-MM-DD) to YYYY-MM-DD
+ * @param {string} value - Exported date
+ * @returns {string} ISO date, or '' if the value is empty or unrecognised
+ */
+function toISODate(value) {
+    const match = String(value || '').trim().match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/);
+    if (!match) return '';
+
+    const [, year, month, day] = match;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+/**
+ * Pick the first valid ISBN from export columns. Goodreads writes ISBNs
+ * as spreadsheet formulas (="0306406152") so they keep their leading zeros.
+ * @param {...string} values - Column values
+ * @returns {string} ISBN, or '' if no column holds a valid one
+ */
+function findIsbn(...values) {
+    return values
+        .map(value => String(value || '').replace(/^="?|"$/g, '').trim())
+        .find(isValidIsbn) || '';
+}
+
+/**
+ * Convert an exported star rating to the nearest half star
+ * @param {string} value - Exported rating (e.g. "4", "3.75")
+ * @returns {string} Rating text, or '' for unrated books and unrecognised values
+ */
+function toRating(value) {
+    const rating = parseFloat(String(value || '').trim());
+    if (!Number.isFinite(rating) || rating <= 0) return '';
+
+    return String(Math.min(Math.max(Math.round(rating * 2) / 2, 0.5), 5));
+}
+
+/**
+ * Join review or note text, turning HTML line breaks into newlines
+ * @param {...string} parts - Text fragments
+ * @returns {string} Text with fragments separated by blank lines
+ */
+function joinNotes(...parts) {
+    return parts
+        .map(part => String(part || '').replace(/<br\s*\/?>/gi, '\n').trim())
+        .filter(Boolean)
+        .join('\n\n');
+}
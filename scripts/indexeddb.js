@@ -0,0 +1,166 @@
+/**
+ * indexeddb.js
+ * IndexedDB book store with per-record writes
+ */
+
+import { contributorNames } from './contributors.js';
+
+const DB_NAME = 'booksVault';
+const DB_VERSION = 1;
+const BOOK_STORE = 'books';
+const META_STORE = 'meta';
+
+// Fields indexed for lookups without loading the whole library, with their index options
+// (multi-entry fields find a book under each of its tags or contributor names)
+export const BOOK_INDEXES = {
+    authorNames: { multiEntry: true },
+    tags: { multiEntry: true },
+    date: {}
+};
+
+/**
+ * Open (and create or upgrade) the book database
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+ */
+export function openBookDatabase() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.resolve(null);
+    }
+
+    return new Promise(resolve => {
+        let request;
+        try {
+            request = indexedDB.open(DB_NAME, DB_VERSION);
+        } catch (error) {
+            // Some browsers throw in private mode instead of failing the request
+            console.error('Error opening IndexedDB:', error);
+            resolve(null);
+            return;
+        }
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(BOOK_STORE)) {
+                const books = db.createObjectStore(BOOK_STORE, { keyPath: 'id' });
+                Object.entries(BOOK_INDEXES).forEach(([field, options]) => books.createIndex(field, field, options));
+            }
+            // Records the schema version of the stored books
+            if (!db.objectStoreNames.contains(META_STORE)) {
+                db.createObjectStore(META_STORE);
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.error('Error opening IndexedDB:', request.error);
+            resolve(null);
+        };
+    });
+}
+
+/**
+ * Read every book in the store
+ * @param {IDBDatabase} db - Open database
+ * @returns {Promise<Array>} Book objects
+ */
+export function readAllBooks(db) {
+    return requestResult(db.transaction(BOOK_STORE).objectStore(BOOK_STORE).getAll())
+        .then(records => records.map(fromStoredRecord));
+}
+
+/**
+ * Read the schema version of the stored books
+ * @param {IDBDatabase} db - Open database
+ * @returns {Promise<number>} Schema version (1 if no books have been written yet)
+ */
+export function readSchemaVersion(db) {
+    return requestResult(db.transaction(META_STORE).objectStore(META_STORE).get('schemaVersion'))
+        .then(version => version || 1);
+}
+
+/**
+ * Read the books whose indexed field equals a value
+ * @param {IDBDatabase} db - Open database
+ * @param {string} field - A key of BOOK_INDEXES
+ * @param {string} value - Value to look up
+ * @returns {Promise<Array>} Matching book objects
+ */
+export function readBooksByIndex(db, field, value) {
+    const index = db.transaction(BOOK_STORE).objectStore(BOOK_STORE).index(field);
+    return requestResult(index.getAll(value)).then(records => records.map(fromStoredRecord));
+}
+
+/**
+ * Tell whether a book would be found under a value of an index
+ * (for looking books up the same way when they are not in IndexedDB)
+ * @param {Object} book - Book object
+ * @param {string} field - A key of BOOK_INDEXES
+ * @param {string} value - Value looked up
+ * @returns {boolean} True if the indexed field holds the value
+ */
+export function hasIndexValue(book, field, value) {
+    return [].concat(toStoredRecord(book)[field] ?? []).includes(value);
+}
+
+/**
+ * Write changed books and delete removed ones in a single transaction
+ * @param {IDBDatabase} db - Open database
+ * @param {Object} changes - { put: Array of books, remove: Array of ids }
+ * @param {number} schemaVersion - Schema version the books are written in
+ * @returns {Promise} Resolves when the transaction commits
+ */
+export function writeBookChanges(db, { put, remove }, schemaVersion) {
+    const transaction = db.transaction([BOOK_STORE, META_STORE], 'readwrite');
+    const store = transaction.objectStore(BOOK_STORE);
+
+    put.forEach(book => store.put(toStoredRecord(book)));
+    remove.forEach(id => store.delete(id));
+    transaction.objectStore(META_STORE).put(schemaVersion, 'schemaVersion');
+
+    return transactionDone(transaction);
+}
+
+/**
+ * Add the fields that are indexed but not kept on books (encrypted records are left as they are)
+ * @param {Object} book - Book object, or an encrypted record ({ id, sealed })
+ * @returns {Object} Record to store
+ */
+function toStoredRecord(book) {
+    if (book.sealed) return book;
+    return { ...book, authorNames: contributorNames(book.author) };
+}
+
+/**
+ * Remove the derived fields from a stored record
+ * @param {Object} record - Stored record
+ * @returns {Object} Book object (or encrypted record)
+ */
+function fromStoredRecord(record) {
+    const { authorNames, ...book } = record;
+    return book;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise} Resolves with the request result
+ */
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wrap a transaction's completion in a promise
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise} Resolves on complete, rejects on error or abort
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
@@ -0,0 +1,118 @@
+/**
+ * isbn.js
+ * ISBN checksums, ISBN-10/ISBN-13 conversion and hyphenation
+ */
+
+// Publisher ranges of the English-language registration groups (978-0 and 978-1).
+// Each [start, end] pair covers publisher codes of start.length digits.
+const PUBLISHER_RANGES = {
+    0: [['00', '19'], ['200', '699'], ['7000', '8499'], ['85000', '89999'], ['900000', '949999'], ['9500000', '9999999']],
+    1: [['00', '09'], ['100', '399'], ['4000', '5499'], ['55000', '86979'], ['869800', '998999'], ['9990000', '9999999']]
+};
+
+/**
+ * Strip an ISBN down to its digits (and a final X for ISBN-10),
+ * dropping an "ISBN", "ISBN-13:" etc. prefix, hyphens and spaces
+ * @param {string} value - ISBN as typed or exported
+ * @returns {string} e.g. "9780306406157"
+ */
+export function cleanIsbn(value) {
+    return String(value ?? '')
+        .trim()
+        .replace(/^ISBN(?:-1[03])?:?/i, '')
+        .replace(/[-\s]/g, '')
+        .toUpperCase();
+}
+
+/**
+ * Check an ISBN-10 or ISBN-13, including its check digit
+ * @param {string} value - ISBN (hyphens, spaces and an "ISBN" prefix allowed)
+ * @returns {boolean} True if the ISBN is well formed and its check digit matches
+ */
+export function isValidIsbn(value) {
+    const isbn = cleanIsbn(value);
+
+    if (/^\d{9}[\dX]$/.test(isbn)) return checkDigit10(isbn.slice(0, 9)) === isbn[9];
+    if (/^97[89]\d{10}$/.test(isbn)) return checkDigit13(isbn.slice(0, 12)) === isbn[12];
+    return false;
+}
+
+/**
+ * Convert an ISBN to ISBN-13 (the form books are stored and compared in)
+ * @param {string} value - Valid ISBN-10 or ISBN-13
+ * @returns {string} 13 digits, or '' if the ISBN is not valid
+ */
+export function toIsbn13(value) {
+    if (!isValidIsbn(value)) return '';
+
+    const isbn = cleanIsbn(value);
+    if (isbn.length === 13) return isbn;
+
+    const body = `978${isbn.slice(0, 9)}`;
+    return body + checkDigit13(body);
+}
+
+/**
+ * Convert an ISBN to ISBN-10. Only 978 ISBNs have an ISBN-10 form.
+ * @param {string} value - Valid ISBN-10 or ISBN-13
+ * @returns {string} 10 characters, or '' if the ISBN is not valid or starts with 979
+ */
+export function toIsbn10(value) {
+    const isbn13 = toIsbn13(value);
+    if (!isbn13.startsWith('978')) return '';
+
+    const body = isbn13.slice(3, 12);
+    return body + checkDigit10(body);
+}
+
+/**
+ * Hyphenate an ISBN into prefix, group, publisher, title and check digit,
+ * e.g. "978-0-306-40615-7". Publisher ranges are only known for the English-language
+ * groups, so other ISBNs are returned without hyphens.
+ * @param {string} value - Valid ISBN-10 or ISBN-13 (hyphenated in the same length)
+ * @returns {string} Hyphenated ISBN, or the value unchanged if it is not a valid ISBN
+ */
+export function hyphenateIsbn(value) {
+    if (!isValidIsbn(value)) return value;
+
+    const isbn = cleanIsbn(value);
+    const isbn13 = toIsbn13(isbn);
+    const group = isbn13[3];
+    const ranges = isbn13.startsWith('978') ? PUBLISHER_RANGES[group] : null;
+    if (!ranges) return isbn;
+
+    // Publisher and title digits, after the group and before the check digit
+    const rest = isbn13.slice(4, 12);
+    const range = ranges.find(([start, end]) => {
+        const code = rest.slice(0, start.length);
+        return code >= start && code <= end;
+    });
+    if (!range) return isbn;
+
+    const publisher = rest.slice(0, range[0].length);
+    const title = rest.slice(range[0].length);
+    const parts = [group, publisher, title, isbn[isbn.length - 1]];
+
+    return (isbn.length === 13 ? ['978', ...parts] : parts).join('-');
+}
+
+/**
+ * Compute the ISBN-10 check digit (weights 10 down to 2, modulo 11)
+ * @param {string} body - First 9 digits
+ * @returns {string} Check digit ('X' for 10)
+ */
+function checkDigit10(body) {
+    const sum = [...body].reduce((total, digit, index) => total + Number(digit) * (10 - index), 0);
+    const check = (11 - (sum % 11)) % 11;
+    return check === 10 ? 'X' : String(check);
+}
+
+/**
+ * Compute the ISBN-13 check digit (alternate weights 1 and 3, modulo 10)
+ * @param {string} body - First 12 digits
+ * @returns {string} Check digit
+ */
+function checkDigit13(body) {
+    const sum = [...body].reduce((total, digit, index) => total + Number(digit) * (index % 2 ? 3 : 1), 0);
+    return String((10 - (sum % 10)) % 10);
+}
@@ -4,9 +4,47 @@
  * Coordinates all modules and handles events
  */
 
-import { initState, getBooks, addBook, updateBook, deleteBook, setBooks, getBookById } from './state.js';
-import { validateBook, getTodayDate } from './validators.js';
-import { compileRegex, filterBooks, sortBooks } from './search.js';
+import {
+    initStateAsync,
+    getBooks,
+    addBook,
+    updateBook,
+    deleteBook,
+    setBooks,
+    getBookById,
+    findBooks,
+    addSession,
+    deleteSession,
+    getShelves,
+    saveShelf,
+    deleteShelf,
+    undo,
+    redo,
+    getTrashedBooks,
+    restoreBook,
+    purgeBook,
+    emptyTrash,
+    getTrashRetentionDays,
+    purgeExpiredTrash,
+    planImportMerge,
+    applyMerge,
+    startSync,
+    resolveSyncConflict,
+    encryptVault,
+    changeVaultPassphrase,
+    decryptVault,
+    getSnapshots,
+    getSnapshotLimit,
+    takeSnapshot,
+    pruneSnapshots,
+    restoreSnapshot,
+    getTagInfo,
+    renameTags,
+    setTagColor,
+    setTagParent
+} from './state.js';
+import { validateBook, validateSession, validateContributors, validatePages, validatePassphrase, validateTag, getTodayDate } from './validators.js';
+import { SEARCH_MODE_LABELS, compileSearch, countMatches, filterBooks, filterByStatus, filterByRating, filterByTags, sortBooks, getSearchSuggestions } from './search.js';
 import {
     renderBooksTable,
     renderBooksCards,
@@ -16,41 +54,164 @@ import {
     clearFormErrors,
     navigateToSection,
     resetBookForm,
-    populateFormForEdit
+    populateFormForEdit,
+    renderContributorRows,
+    getContributorRows,
+    renderAuthorSuggestions,
+    renderTagSuggestions,
+    renderTagManager,
+    renderSeries,
+    renderSeriesSuggestions,
+    renderTagChips,
+    getTagChips,
+    renderStarInput,
+    getStarInput,
+    renderIsbnHint,
+    prefillBookForm,
+    renderMetadataResults,
+    hideMetadataResults,
+    renderDuplicateWarning,
+    hideDuplicateWarning,
+    renderAuthorBooks,
+    openSessionModal,
+    closeSessionModal,
+    renderSessionModal,
+    showSessionErrors,
+    syncGoalInput,
+    renderShelves,
+    showToast,
+    renderTrash,
+    renderSnapshots,
+    renderMergePreview,
+    closeMergeModal,
+    renderCSVMapping,
+    getCSVMapping,
+    renderCSVReport,
+    resetCSVReport,
+    getCSVSuggestionValues,
+    getCSVPageValues,
+    showCSVSuggestionError,
+    closeCSVModal,
+    renderSyncConflict,
+    closeSyncModal,
+    openPassphraseModal,
+    getPassphraseValues,
+    showPassphraseError,
+    setPassphraseBusy,
+    closePassphraseModal,
+    renderEncryptionSettings
 } from './ui.js';
-import { exportToJSON, importFromJSON, clearAllData } from './storage.js';
+import {
+    exportToJSON,
+    importFromJSON,
+    exportToCSV,
+    readCSVHeaders,
+    importFromCSV,
+    exportToEncryptedJSON,
+    isEncryptedJSON,
+    importFromEncryptedJSON,
+    onSaveError
+} from './storage.js';
+import { toPages, formatPages, getPagesPerHour } from './units.js';
+import { resolveConflict, findDuplicateBook } from './merge.js';
+import { IMPORT_FORMATS, detectImportFormat, importFromService } from './importers.js';
+import { upgradeData } from './schema.js';
+import { parseContributors, contributorNames } from './contributors.js';
+import { toTags, listTags } from './tags.js';
+import { groupSeries } from './series.js';
+import { MAX_RATING, RATING_STEP } from './ratings.js';
+import { toIsbn13 } from './isbn.js';
+import { normalizeText } from './text.js';
+import { registerMetadataProvider, createCatalogProvider, lookupMetadata } from './metadata.js';
+import { hasVault, unlockVault, onVaultHeaderChange } from './vault.js';
 
 // Application state
 let currentSearchRegex = null;
+let currentSearchMatcher = null;
+let currentSearchRank = null;
 let currentSortOption = 'date-desc';
+let currentStatusFilter = '';
+let currentRatingFilter = '';
+let currentTagFilter = [];
+let currentTagMode = 'any';
+let pendingMergePlan = null;
+let pendingCSV = null;
+let syncConflicts = [];
+let pendingPassphrase = null;
+let metadataResults = [];
 
 /**
  * Initialize the application
  */
 function init() {
-    // Load data from localStorage
-    initState();
+    // The passphrase prompt is needed before the app starts, to unlock an encrypted vault
+    document.getElementById('passphrase-form').addEventListener('submit', handlePassphraseSubmit);
+    document.getElementById('passphrase-cancel-btn').addEventListener('click', handleCancelPassphrase);
 
-    // Load settings and set target input
-    import('./state.js').then(({ getSettings }) => {
-        const settings = getSettings();
-        const targetInput = document.getElementById('pages-target');
-        if (targetInput && settings.targetPages) {
-            targetInput.value = settings.targetPages;
-        }
+    // Another tab turned encryption on or off or changed the passphrase: start over with the new key
+    onVaultHeaderChange(() => location.reload());
+
+    if (!hasVault()) {
+        loadApp();
+        return;
+    }
+
+    requestPassphrase({
+        title: 'Unlock Your Library',
+        message: 'Your library is encrypted. Enter your passphrase to open it.',
+        submitLabel: 'Unlock',
+        askCurrent: true,
+        cancellable: false
+    }, ({ current }) => unlockVault(current).then(unlocked => {
+        if (!unlocked) return 'Wrong passphrase';
+        loadApp();
+        return '';
+    }));
+}
+
+/**
+ * Load stored data and start the application
+ */
+function loadApp() {
+    // Load data (IndexedDB when available, migrating from localStorage) before rendering
+    initStateAsync().then(backend => {
+        document.getElementById('storage-backend').textContent = backend === 'indexeddb'
+            ? 'Books are stored in IndexedDB in this browser.'
+            : 'Books are stored in localStorage (IndexedDB is unavailable in this browser).';
+        startApp();
     });
+}
+
+/**
+ * Render the application once state is loaded
+ */
+function startApp() {
+    // Load settings into the goal input and display preferences
+    syncSettingsInputs();
+    renderEncryptionSettings(hasVault());
 
     // Set up event listeners
     setupEventListeners();
 
+    // Book metadata lookup (the bundled catalog works offline; other providers go after it)
+    registerMetadataProvider(createCatalogProvider());
+
+    // Pick up books saved in other tabs
+    startSync(handleRemoteChange);
+
+    // IndexedDB and encrypted writes finish after a change is shown: warn when one fails
+    onSaveError(() => showToast('Your latest changes could not be saved. Export a backup before closing this tab.'));
+
     // Check for first visit
     checkFirstVisit();
 
     // Initial render
     refreshUI();
 
-    // Set today's date as default
+    // Set today's date as default, with one empty contributor row
     document.getElementById('book-date').value = getTodayDate();
+    renderContributorRows([]);
+    renderTagChips('book-tags-list', []);
 }
 
 /**
@@ -66,6 +227,26 @@ function setupEventListeners() {
     const bookForm = document.getElementById('book-form');
     bookForm.addEventListener('submit', handleFormSubmit);
 
+    // Contributor rows
+    document.getElementById('add-contributor-btn').addEventListener('click', handleAddContributor);
+    document.getElementById('contributor-list').addEventListener('click', handleContributorAction);
+
+    // Tag chips
+    setupTagInput('book-tags-input', 'book-tags-list');
+
+    // Star rating
+    setupStarInput();
+
+    // ISBN-10/ISBN-13 forms of the typed ISBN
+    document.getElementById('book-isbn').addEventListener('input', (e) => renderIsbnHint(e.target.value));
+
+    // Metadata lookup by ISBN or title
+    document.getElementById('metadata-lookup-btn').addEventListener('click', handleMetadataLookup);
+    document.getElementById('metadata-results').addEventListener('click', handleMetadataPick);
+
+    // Duplicate warning: open the existing book or add this one anyway
+    document.getElementById('duplicate-warning').addEventListener('click', handleDuplicateWarning);
+
     // Cancel button
     document.getElementById('cancel-btn').addEventListener('click', () => {
         resetBookForm();
@@ -80,26 +261,143 @@ function setupEventListeners() {
     const caseSensitiveToggle = document.getElementById('case-sensitive-toggle');
     caseSensitiveToggle.addEventListener('change', handleSearch);
 
+    // Search mode (regex, structured query or fuzzy)
+    document.getElementById('search-mode').addEventListener('change', handleSearchModeChange);
+
     // Sort dropdown
     const sortSelect = document.getElementById('sort-select');
     sortSelect.addEventListener('change', handleSort);
 
+    // Status filter
+    document.getElementById('status-filter').addEventListener('change', handleStatusFilter);
+
+    // Rating filter
+    document.getElementById('rating-filter').addEventListener('change', handleRatingFilter);
+
+    // Tag filter
+    setupTagInput('tag-filter-input', 'tag-filter-list', handleTagFilter);
+    document.getElementById('tag-filter-mode').addEventListener('change', handleTagFilter);
+
+    // Smart shelves
+    document.getElementById('shelf-form').addEventListener('submit', handleSaveShelf);
+
     // Settings buttons
     document.getElementById('export-btn').addEventListener('click', handleExport);
+    document.getElementById('export-csv-btn').addEventListener('click', handleExportCSV);
+    document.getElementById('export-encrypted-btn').addEventListener('click', handleExportEncrypted);
     document.getElementById('import-btn').addEventListener('click', handleImport);
     document.getElementById('clear-data-btn').addEventListener('click', handleClearData);
+    document.getElementById('trash-retention').addEventListener('change', handleTrashRetentionChange);
+    document.getElementById('snapshot-limit').addEventListener('change', handleSnapshotLimitChange);
+
+    // Encryption
+    document.getElementById('vault-enable-btn').addEventListener('click', handleEnableEncryption);
+    document.getElementById('vault-change-btn').addEventListener('click', handleChangePassphrase);
+    document.getElementById('vault-disable-btn').addEventListener('click', handleDisableEncryption);
+
+    // Tag manager
+    document.getElementById('tag-rename-form').addEventListener('submit', handleRenameTags);
+    document.getElementById('tags-tbody').addEventListener('change', handleTagSettingChange);
+
+    // Trash
+    document.getElementById('empty-trash-btn').addEventListener('click', handleEmptyTrash);
+
+    // Merge import preview
+    document.getElementById('merge-strategy').addEventListener('change', handleMergeStrategy);
+    document.getElementById('merge-apply-btn').addEventListener('click', handleApplyMerge);
+    document.getElementById('merge-cancel-btn').addEventListener('click', handleCancelMerge);
+
+    // Cross-tab sync conflicts
+    document.getElementById('sync-keep-mine-btn').addEventListener('click', () => handleSyncChoice('mine'));
+    document.getElementById('sync-take-theirs-btn').addEventListener('click', () => handleSyncChoice('theirs'));
+
+    // CSV column mapping
+    document.getElementById('csv-mapping').addEventListener('change', handleCSVMappingChange);
+    document.getElementById('csv-validate-btn').addEventListener('click', handleValidateCSV);
+    document.getElementById('csv-import-btn').addEventListener('click', handleImportCSV);
+    document.getElementById('csv-cancel-btn').addEventListener('click', handleCancelCSV);
 
     // Target pages
     document.getElementById('set-target-btn').addEventListener('click', handleSetTarget);
 
+    // Display preferences
+    document.getElementById('page-unit').addEventListener('change', handleUnitChange);
+    document.getElementById('pages-per-hour').addEventListener('change', handleUnitChange);
+
     // Onboarding buttons
     document.getElementById('load-sample-btn').addEventListener('click', handleLoadSample);
     document.getElementById('start-fresh-btn').addEventListener('click', handleStartFresh);
 
+    // Reading sessions modal
+    document.getElementById('session-form').addEventListener('submit', handleSessionSubmit);
+    document.getElementById('session-close-btn').addEventListener('click', closeSessionModal);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeSessionModal();
+            if (pendingMergePlan) handleCancelMerge();
+            if (pendingCSV) handleCancelCSV();
+            if (pendingPassphrase && pendingPassphrase.options.cancellable !== false) handleCancelPassphrase();
+        }
+    });
+
+    // Undo/redo keyboard shortcuts
+    document.addEventListener('keydown', handleHistoryShortcuts);
+
     // TODO: Add event delegation for edit and delete buttons
     document.addEventListener('click', handleActionButtons);
 }
 
+/**
+ * Re-render after another tab saved changes, and ask about conflicting edits
+ * @param {Object} result - { changedIds, conflicts, store } from applyRemoteChanges
+ */
+function handleRemoteChange({ changedIds, conflicts, store }) {
+    refreshUI();
+    if (store === 'settings') {
+        syncSettingsInputs();
+    }
+
+    conflicts.forEach(conflict => queueSyncConflict(
+        conflict,
+        'This book was edited in this tab and in another tab at the same time.',
+        choice => resolveSyncConflict(conflict, choice)
+    ));
+
+    const editingId = document.getElementById('book-id').value;
+    if (editingId && changedIds.includes(editingId)) {
+        showStatus('form-status', 'This book was changed in another tab. Saving will ask which version to keep.', 'info');
+    }
+}
+
+/**
+ * Queue a "which copy to keep" prompt; prompts are shown one at a time
+ * @param {Object} conflict - { mine, theirs } book copies
+ * @param {string} message - Explanation for the prompt
+ * @param {Function} onChoose - Called with 'mine' or 'theirs'
+ */
+function queueSyncConflict(conflict, message, onChoose) {
+    syncConflicts.push({ conflict, message, onChoose });
+    if (syncConflicts.length === 1) {
+        renderSyncConflict(conflict, message);
+    }
+}
+
+/**
+ * Apply the choice for the current sync conflict and show the next one
+ * @param {string} choice - 'mine' or 'theirs'
+ */
+function handleSyncChoice(choice) {
+    const { onChoose } = syncConflicts.shift();
+    closeSyncModal();
+    onChoose(choice);
+    refreshUI();
+
+    if (syncConflicts.length > 0) {
+        const { conflict, message } = syncConflicts[0];
+        renderSyncConflict(conflict, message);
+    }
+}
+
 /**
  * Handle navigation clicks
  * @param {Event} e - Click event
@@ -120,13 +418,21 @@ function handleFormSubmit(e) {
     e.preventDefault();
     clearFormErrors();
 
-    // Gather form data
+    // Gather form data (titles are normalised like names and tags: NFC, single spaces)
     const bookData = {
-        title: document.getElementById('book-title').value,
-        author: document.getElementById('book-author').value,
+        title: normalizeText(document.getElementById('book-title').value),
+        author: getContributorRows(),
         pages: document.getElementById('book-pages').value,
-        tag: document.getElementById('book-tag').value,
+        isbn: document.getElementById('book-isbn').value,
+        tags: readTagInput('book-tags-input', 'book-tags-list'),
+        series: normalizeText(document.getElementById('book-series').value),
+        seriesIndex: document.getElementById('book-series-index').value.trim(),
         date: document.getElementById('book-date').value,
+        status: document.getElementById('book-status').value,
+        startDate: document.getElementById('book-start-date').value,
+        finishDate: document.getElementById('book-finish-date').value,
+        rating: getStarInput(),
+        review: document.getElementById('book-review').value,
         notes: document.getElementById('book-notes').value
     };
 
@@ -141,9 +447,284 @@ function handleFormSubmit(e) {
         return;
     }
 
+    // Pages and the number in the series are stored as numbers
+    bookData.pages = parseInt(bookData.pages, 10);
+    bookData.seriesIndex = bookData.seriesIndex === '' ? '' : Number(bookData.seriesIndex);
+
+    // ISBNs are stored as ISBN-13 digits
+    bookData.isbn = toIsbn13(bookData.isbn);
+
     // Check if editing or adding
     const bookId = document.getElementById('book-id').value;
 
+    // Warn before adding a book that is already in the library, unless "Add anyway" was chosen for it
+    const duplicate = bookId ? null : findDuplicateBook(bookData, getBooks());
+    if (duplicate && document.getElementById('book-form').dataset.allowDuplicate !== duplicate.book.id) {
+        renderDuplicateWarning(duplicate);
+        showStatus('form-status', 'This book may already be in your library', 'info');
+        return;
+    }
+    hideDuplicateWarning();
+
+    // Ask before overwriting changes saved since the form was opened (e.g. in another tab)
+    const current = bookId ? getBookById(bookId) : null;
+    const loadedAt = document.getElementById('book-form').dataset.updatedAt;
+    if (current && loadedAt !== undefined && (current.updatedAt || '') !== loadedAt) {
+        queueSyncConflict(
+            { mine: { ...current, ...bookData }, theirs: current },
+            'This book was saved somewhere else (probably another tab) while you were editing it.',
+            choice => {
+                if (choice === 'mine') {
+                    saveBookForm(bookId, bookData);
+                } else {
+                    editBook(getBookById(bookId));
+                    showStatus('form-status', 'Form reloaded with the saved version', 'info');
+                }
+            }
+        );
+        return;
+    }
+
+    saveBookForm(bookId, bookData);
+}
+
+/**
+ * Open a book in the form for editing, with the other books by its first author
+ * @param {Object} book - Book to edit
+ */
+function editBook(book) {
+    populateFormForEdit(book);
+    renderAuthorBooks('', []);
+
+    const [author] = contributorNames(book.author, 'author');
+    if (!author) return;
+
+    findBooks('authorNames', author).then(found => {
+        // Another book may have been opened meanwhile
+        if (document.getElementById('book-id').value !== book.id) return;
+        renderAuthorBooks(author, found.filter(other => other.id !== book.id));
+    });
+}
+
+/**
+ * Look the book in the form up by its ISBN, or by its title when there is none.
+ * A single match fills in the form; several are listed to pick from.
+ */
+function handleMetadataLookup() {
+    const isbn = document.getElementById('book-isbn').value;
+    const title = document.getElementById('book-title').value;
+    const button = document.getElementById('metadata-lookup-btn');
+
+    hideMetadataResults();
+    if (isbn.trim() && !toIsbn13(isbn)) {
+        showStatus('form-status', 'Fix the ISBN before looking it up', 'error');
+        return;
+    }
+    if (!isbn.trim() && !title.trim()) {
+        showStatus('form-status', 'Enter an ISBN or a title to look up', 'error');
+        return;
+    }
+
+    button.disabled = true;
+    lookupMetadata({ isbn, title })
+        .then(({ provider, results }) => {
+            metadataResults = results;
+
+            if (results.length === 0) {
+                showStatus('form-status', 'No match found; fill in the details by hand', 'info');
+            } else if (results.length === 1) {
+                prefillBookForm(results[0]);
+                showStatus('form-status', `Filled in from ${provider.label || provider.id}; check the details before saving`, 'success');
+            } else {
+                renderMetadataResults(results);
+                showStatus('form-status', `${results.length} matches in ${provider.label || provider.id}; pick one`, 'info');
+            }
+        })
+        .finally(() => {
+            button.disabled = false;
+        });
+}
+
+/**
+ * Fill in the form from the lookup match that was picked
+ * @param {Event} e - Click event
+ */
+function handleMetadataPick(e) {
+    const pick = e.target.closest('.metadata-pick');
+    if (!pick) return;
+
+    const record = metadataResults[Number(pick.dataset.index)];
+    if (!record) return;
+
+    prefillBookForm(record);
+    hideMetadataResults();
+    document.getElementById('book-title').focus();
+    showStatus('form-status', 'Filled in from the catalog; check the details before saving', 'success');
+}
+
+/**
+ * Handle the duplicate warning's link and button
+ * @param {Event} e - Click event
+ */
+function handleDuplicateWarning(e) {
+    const target = e.target;
+    const form = document.getElementById('book-form');
+
+    if (target.classList.contains('duplicate-open')) {
+        e.preventDefault();
+        const book = getBookById(target.dataset.id);
+        if (book) {
+            resetBookForm();
+            editBook(book);
+        }
+    } else if (target.classList.contains('duplicate-add')) {
+        form.dataset.allowDuplicate = target.dataset.id;
+        form.requestSubmit();
+    }
+}
+
+/**
+ * Add an empty contributor row to the book form
+ */
+function handleAddContributor() {
+    const contributors = getContributorRows({ includeEmpty: true });
+    renderContributorRows([...contributors, { name: '', role: 'author' }], contributors.length);
+}
+
+/**
+ * Handle the move up and remove buttons of contributor rows
+ * @param {Event} e - Click event
+ */
+function handleContributorAction(e) {
+    const row = e.target.closest('.contributor-row');
+    if (!row) return;
+
+    const index = Number(row.dataset.index);
+    const contributors = getContributorRows({ includeEmpty: true });
+
+    if (e.target.classList.contains('remove-contributor')) {
+        contributors.splice(index, 1);
+        renderContributorRows(contributors, Math.max(index - 1, 0));
+    } else if (e.target.classList.contains('move-contributor-up') && index > 0) {
+        [contributors[index - 1], contributors[index]] = [contributors[index], contributors[index - 1]];
+        renderContributorRows(contributors, index - 1);
+    }
+}
+
+/**
+ * Make a text input with a chip list behave as a tag input.
+ * Enter or a comma turns the typed text into chips (as does picking a suggestion
+ * or leaving the input), Backspace in the empty input removes the last chip.
+ * @param {string} inputId - ID of the text input
+ * @param {string} listId - ID of the chip list
+ * @param {Function} onChange - Called after chips are added or removed
+ */
+function setupTagInput(inputId, listId, onChange = () => {}) {
+    const input = document.getElementById(inputId);
+
+    const commit = () => {
+        if (input.value.trim() === '') return;
+        renderTagChips(listId, readTagInput(inputId, listId));
+        input.value = '';
+        onChange();
+    };
+
+    input.addEventListener('keydown', (e) => {
+        // Enter in an empty input still submits the form
+        if (e.key === ',' || (e.key === 'Enter' && input.value.trim() !== '')) {
+            e.preventDefault();
+            commit();
+        } else if (e.key === 'Backspace' && input.value === '') {
+            const tags = getTagChips(listId);
+            if (tags.length === 0) return;
+            renderTagChips(listId, tags.slice(0, -1));
+            onChange();
+        }
+    });
+
+    // Choosing an autocomplete suggestion replaces the text in one step
+    input.addEventListener('input', (e) => {
+        if (e.inputType === 'insertReplacementText') commit();
+    });
+    input.addEventListener('change', commit);
+
+    document.getElementById(listId).addEventListener('click', (e) => {
+        const chip = e.target.closest('.chip-remove') && e.target.closest('.chip');
+        if (!chip) return;
+
+        renderTagChips(listId, getTagChips(listId).filter(tag => tag !== chip.dataset.tag));
+        input.focus();
+        onChange();
+    });
+}
+
+/**
+ * Make the star rating in the book form work with the mouse and keyboard.
+ * Clicking the left half of a star gives a half star. The arrow keys change the
+ * rating by half a star, Page Up/Down by a whole star, Home/End go to no rating
+ * and five stars, and the number keys 0-5 pick a whole number of stars.
+ */
+function setupStarInput() {
+    const slider = document.getElementById('book-rating');
+    const current = () => getStarInput() || 0;
+    const setRating = value => renderStarInput(Math.min(Math.max(value, 0), MAX_RATING));
+
+    slider.addEventListener('click', (e) => {
+        const star = e.target.closest('.star');
+        if (!star) return;
+
+        const box = star.getBoundingClientRect();
+        const half = e.clientX - box.left < box.width / 2;
+        setRating(Number(star.dataset.star) - (half ? RATING_STEP : 0));
+        slider.focus();
+    });
+
+    slider.addEventListener('keydown', (e) => {
+        const steps = {
+            ArrowRight: RATING_STEP,
+            ArrowUp: RATING_STEP,
+            ArrowLeft: -RATING_STEP,
+            ArrowDown: -RATING_STEP,
+            PageUp: 1,
+            PageDown: -1
+        };
+
+        if (e.key in steps) {
+            setRating(current() + steps[e.key]);
+        } else if (e.key === 'Home') {
+            setRating(0);
+        } else if (e.key === 'End') {
+            setRating(MAX_RATING);
+        } else if (/^[0-5]$/.test(e.key)) {
+            setRating(Number(e.key));
+        } else {
+            return;
+        }
+        e.preventDefault();
+    });
+
+    document.getElementById('clear-rating-btn').addEventListener('click', () => {
+        setRating(0);
+        slider.focus();
+    });
+}
+
+/**
+ * Read a tag input: its chips plus any text typed but not yet turned into a chip
+ * @param {string} inputId - ID of the text input
+ * @param {string} listId - ID of the chip list
+ * @returns {Array} Tags in order
+ */
+function readTagInput(inputId, listId) {
+    return toTags([...getTagChips(listId), ...toTags(document.getElementById(inputId).value)]);
+}
+
+/**
+ * Add or update a book from validated form data
+ * @param {string} bookId - ID of the book being edited, or '' to add
+ * @param {Object} bookData - Validated form data
+ */
+function saveBookForm(bookId, bookData) {
     if (bookId) {
         // Update existing book
         updateBook(bookId, bookData);
@@ -168,25 +749,63 @@ function handleFormSubmit(e) {
 function handleSearch() {
     const searchInput = document.getElementById('search-input').value;
     const caseSensitive = document.getElementById('case-sensitive-toggle').checked;
+    const mode = document.getElementById('search-mode').value;
 
-    // Compile regex
-    const flags = caseSensitive ? 'g' : 'gi';
-    currentSearchRegex = compileRegex(searchInput, flags);
+    document.getElementById('search-help').classList.toggle('hidden', mode !== 'query');
+    document.getElementById('fuzzy-help').classList.toggle('hidden', mode !== 'fuzzy');
+    // Fuzzy search always ignores case
+    document.getElementById('case-sensitive-toggle').disabled = mode === 'fuzzy';
 
-    if (searchInput && !currentSearchRegex) {
-        showStatus('search-status', 'Invalid regex pattern', 'error');
+    const search = compileSearch(searchInput, { mode, caseSensitive });
+    if (!search.valid) {
+        showStatus('search-status', search.error, 'error');
         return;
     }
 
-    // Update status
+    currentSearchMatcher = search.matcher;
+    currentSearchRegex = search.highlight;
+    currentSearchRank = search.rank;
+
+    // Refresh display
+    const books = refreshBooksDisplay();
+
+    // Update status, announcing what was found
     if (searchInput) {
-        showStatus('search-status', `Searching with pattern: ${searchInput}`, 'info');
+        const label = SEARCH_MODE_LABELS[mode].toLowerCase();
+        showStatus('search-status', `Searching with ${label}: ${searchInput}. ${describeSearchResults(books)}`, 'info');
     } else {
         showStatus('search-status', '', 'info');
     }
+}
 
-    // Refresh display
-    refreshBooksDisplay();
+/**
+ * Describe how many books and matches the current search found
+ * @param {Array} books - Books shown
+ * @returns {string} e.g. "Found 2 books with 5 matches"
+ */
+function describeSearchResults(books) {
+    const found = `Found ${books.length} book${books.length === 1 ? '' : 's'}`;
+    // Queries that only filter on numbers or dates have nothing to highlight
+    const matches = countMatches(books, currentSearchRegex);
+    return matches > 0 ? `${found} with ${matches} match${matches === 1 ? '' : 'es'}` : found;
+}
+
+/**
+ * Handle search mode change. Fuzzy search switches the sort to relevance,
+ * and leaving it switches relevance back to the default sort.
+ * @param {Event} e - Change event
+ */
+function handleSearchModeChange(e) {
+    const sortSelect = document.getElementById('sort-select');
+
+    if (e.target.value === 'fuzzy') {
+        currentSortOption = 'relevance';
+    } else if (currentSortOption === 'relevance') {
+        currentSortOption = 'date-desc';
+    }
+    sortSelect.value = currentSortOption;
+
+    handleSearch();
 }
 
 /**
@@ -198,6 +817,101 @@ function handleSort(e) {
     refreshBooksDisplay();
 }
 
+/**
+ * Handle status filter change
+ * @param {Event} e - Change event
+ */
+function handleStatusFilter(e) {
+    currentStatusFilter = e.target.value;
+    refreshBooksDisplay();
+}
+
+/**
+ * Handle rating filter change
+ * @param {Event} e - Change event
+ */
+function handleRatingFilter(e) {
+    currentRatingFilter = e.target.value;
+    refreshBooksDisplay();
+}
+
+/**
+ * Handle tag filter changes (chips added or removed, any/all mode)
+ */
+function handleTagFilter() {
+    currentTagFilter = getTagChips('tag-filter-list');
+    currentTagMode = document.getElementById('tag-filter-mode').value;
+    refreshBooksDisplay();
+}
+
+/**
+ * Save the current search, case sensitivity, sort, status, rating and tag filters as a smart shelf
+ * @param {Event} e - Submit event
+ */
+function handleSaveShelf(e) {
+    e.preventDefault();
+
+    const nameInput = document.getElementById('shelf-name');
+    const name = nameInput.value.trim();
+    if (!name) {
+        showStatus('search-status', 'Please enter a name for the shelf', 'error');
+        return;
+    }
+
+    const pattern = document.getElementById('search-input').value;
+    const mode = document.getElementById('search-mode').value;
+    const caseSensitive = document.getElementById('case-sensitive-toggle').checked;
+
+    if (!compileSearch(pattern, { mode, caseSensitive }).valid) {
+        showStatus('search-status', 'Fix the search before saving it as a shelf', 'error');
+        return;
+    }
+
+    saveShelf({
+        name,
+        pattern,
+        mode,
+        caseSensitive,
+        sort: currentSortOption,
+        status: currentStatusFilter,
+        rating: currentRatingFilter,
+        tags: currentTagFilter,
+        tagMode: currentTagMode
+    });
+
+    nameInput.value = '';
+    renderShelves(getShelves(), getBooks());
+    showStatus('search-status', `Saved shelf "${name}"`, 'success');
+}
+
+/**
+ * Restore the search, sort, status, rating and tag filters saved in a smart shelf
+ * @param {string} id - Shelf ID
+ */
+function applyShelf(id) {
+    const shelf = getShelves().find(item => item.id === id);
+    if (!shelf) return;
+
+    document.getElementById('search-input').value = shelf.pattern;
+    document.getElementById('search-mode').value = shelf.mode;
+    document.getElementById('case-sensitive-toggle').checked = shelf.caseSensitive;
+    document.getElementById('sort-select').value = shelf.sort;
+    document.getElementById('status-filter').value = shelf.status;
+    // Shelves saved before rating or tag filtering have neither
+    document.getElementById('rating-filter').value = shelf.rating || '';
+    renderTagChips('tag-filter-list', shelf.tags || []);
+    document.getElementById('tag-filter-mode').value = shelf.tagMode || 'any';
+
+    currentSortOption = shelf.sort;
+    currentStatusFilter = shelf.status;
+    currentRatingFilter = shelf.rating || '';
+    currentTagFilter = shelf.tags || [];
+    currentTagMode = shelf.tagMode || 'any';
+
+    // handleSearch compiles the pattern and refreshes the display
+    handleSearch();
+}
+
 /**
  * Handle action buttons (edit/delete) via event delegation
  * @param {Event} e - Click event
@@ -210,49 +924,193 @@ function handleActionButtons(e) {
         const bookId = target.dataset.id;
         const book = getBookById(bookId);
         if (book) {
-            populateFormForEdit(book);
+            editBook(book);
+        }
+    }
+
+    // Log reading session button
+    if (target.classList.contains('log-session')) {
+        const book = getBookById(target.dataset.id);
+        if (book) {
+            openSessionModal(book, getTodayDate());
+        }
+    }
+
+    // Delete session button (inside the sessions modal)
+    if (target.classList.contains('delete-session')) {
+        const book = getBookById(target.dataset.bookId);
+        if (book && deleteSession(target.dataset.id)) {
+            renderSessionModal(book);
+            refreshUI();
+        }
+    }
+
+    // Apply smart shelf button (the count badge sits inside the button)
+    const shelfButton = target.closest('.apply-shelf');
+    if (shelfButton) {
+        applyShelf(shelfButton.dataset.id);
+    }
+
+    // Delete smart shelf button
+    if (target.classList.contains('delete-shelf')) {
+        const shelf = getShelves().find(item => item.id === target.dataset.id);
+        if (shelf && confirm(`Delete the "${shelf.name}" shelf?`)) {
+            deleteShelf(shelf.id);
+            renderShelves(getShelves(), getBooks());
         }
     }
 
-    // Delete button
+    // Delete button (moves the book to the trash, so no confirmation is needed)
     if (target.classList.contains('delete')) {
         const bookId = target.dataset.id;
         const book = getBookById(bookId);
 
-        if (book && confirm(`Are you sure you want to delete "${book.title}"?`)) {
-            deleteBook(bookId);
-            showStatus('search-status', 'Book deleted successfully', 'success');
+        if (book && deleteBook(bookId)) {
+            showStatus('search-status', 'Book moved to trash', 'success');
+            refreshUI();
+            showUndoToast(`Moved "${book.title}" to trash`);
+        }
+    }
+
+    // Restore from trash button
+    if (target.classList.contains('restore')) {
+        const book = getBookById(target.dataset.id);
+        if (book && restoreBook(book.id)) {
+            showStatus('trash-status', `Restored "${book.title}"`, 'success');
             refreshUI();
         }
     }
+
+    // Restore snapshot button (restoreSnapshot snapshots the current library first, and the restore can be undone)
+    if (target.classList.contains('restore-snapshot')) {
+        const snapshot = getSnapshots().find(item => item.id === target.dataset.id);
+        const takenAt = snapshot && new Date(snapshot.takenAt).toLocaleString();
+        if (snapshot && confirm(`Replace the library with the snapshot from ${takenAt}?`)) {
+            if (restoreSnapshot(snapshot.id)) {
+                refreshUI();
+                showStatus('settings-status', `Restored the snapshot from ${takenAt}`, 'success');
+                showUndoToast(`Restored the snapshot from ${takenAt}`);
+            } else {
+                showStatus('settings-status', 'This snapshot could not be restored', 'error');
+            }
+        }
+    }
+
+    // Permanently delete from trash button
+    if (target.classList.contains('purge')) {
+        const book = getBookById(target.dataset.id);
+        if (book && confirm(`Permanently delete "${book.title}"? Its reading sessions will be deleted too.`)) {
+            purgeBook(book.id);
+            showStatus('trash-status', `Permanently deleted "${book.title}"`, 'success');
+            refreshUI();
+            showUndoToast(`Permanently deleted "${book.title}"`);
+        }
+    }
 }
 
 /**
- * Handle export to JSON
+ * Handle reading session form submission
+ * @param {Event} e - Submit event
  */
-function handleExport() {
-    const books = getBooks();
-    const jsonString = exportToJSON(books);
+function handleSessionSubmit(e) {
+    e.preventDefault();
+
+    const bookId = document.getElementById('session-book-id').value;
+    const book = getBookById(bookId);
+    if (!book) return;
+
+    const sessionData = {
+        date: document.getElementById('session-date').value,
+        startPage: document.getElementById('session-start-page').value,
+        endPage: document.getElementById('session-end-page').value,
+        minutes: document.getElementById('session-minutes').value
+    };
 
-    if (!jsonString) {
-        showStatus('settings-status', 'Error exporting data', 'error');
+    const validation = validateSession(sessionData, book);
+    if (!validation.valid) {
+        showSessionErrors(validation.errors);
+        showStatus('session-status', 'Please fix the errors above', 'error');
         return;
     }
 
-    // Create download link
-    const blob = new Blob([jsonString], { type: 'application/json' });
+    addSession(bookId, sessionData);
+    showSessionErrors({});
+    showStatus('session-status', 'Session logged!', 'success');
+
+    // Prepare the form for the next session
+    document.getElementById('session-start-page').value = sessionData.endPage;
+    document.getElementById('session-end-page').value = '';
+    document.getElementById('session-minutes').value = '';
+
+    renderSessionModal(getBookById(bookId));
+    refreshUI();
+}
+
+/**
+ * Handle export to JSON
+ */
+function handleExport() {
+    import('./state.js').then(({ getSettings }) => {
+        // Include trashed books so the export is a complete backup
+        const books = getBooks({ includeTrashed: true });
+        const jsonString = exportToJSON(books, getSettings());
+
+        if (!jsonString) {
+            showStatus('settings-status', 'Error exporting data', 'error');
+            return;
+        }
+
+        downloadFile(jsonString, 'application/json', 'json');
+        showStatus('settings-status', 'Data exported successfully!', 'success');
+    });
+}
+
+/**
+ * Handle export to CSV
+ */
+function handleExportCSV() {
+    const csvString = exportToCSV(getBooks({ includeTrashed: true }));
+
+    downloadFile(csvString, 'text/csv', 'csv');
+    showStatus('settings-status', 'Data exported successfully!', 'success');
+}
+
+/**
+ * Handle export to a passphrase-encrypted JSON backup
+ */
+function handleExportEncrypted() {
+    requestPassphrase({
+        title: 'Export Encrypted Backup',
+        message: 'Choose a passphrase for the backup file. It is needed to import the file and cannot be recovered.',
+        submitLabel: 'Export',
+        askNew: true
+    }, ({ next }) => import('./state.js')
+        .then(({ getSettings }) => exportToEncryptedJSON(getBooks({ includeTrashed: true }), getSettings(), next))
+        .then(jsonString => {
+            downloadFile(jsonString, 'application/json', 'encrypted.json');
+            showStatus('settings-status', 'Encrypted backup exported successfully!', 'success');
+            return '';
+        }));
+}
+
+/**
+ * Download text as an export file
+ * @param {string} contents - File contents
+ * @param {string} type - MIME type
+ * @param {string} extension - File name extension
+ */
+function downloadFile(contents, type, extension) {
+    const blob = new Blob([contents], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `books-vault-export-${Date.now()}.json`;
+    a.download = `books-vault-export-${Date.now()}.${extension}`;
     a.click();
     URL.revokeObjectURL(url);
-
-    showStatus('settings-status', 'Data exported successfully!', 'success');
 }
 
 /**
- * Handle import from JSON
+ * Handle import from JSON or CSV
  */
 function handleImport() {
     const fileInput = document.getElementById('import-file');
@@ -263,9 +1121,43 @@ function handleImport() {
         return;
     }
 
+    const isCSV = file.name.toLowerCase().endsWith('.csv') || file.type === 'text/csv';
+
     const reader = new FileReader();
     reader.onload = (e) => {
+        // CSV files go through the column mapping step first
+        if (isCSV) {
+            const headerInfo = readCSVHeaders(e.target.result);
+
+            if (!headerInfo.valid) {
+                showStatus('settings-status', `Import failed: ${headerInfo.errors.join(', ')}`, 'error');
+                return;
+            }
+
+            const format = detectImportFormat(headerInfo.headers);
+            pendingCSV = { text: e.target.result, fileName: file.name, format };
+            renderCSVMapping({ ...headerInfo, fileName: file.name }, format ? IMPORT_FORMATS[format].label : '');
+            if (format) handleValidateCSV();
+            return;
+        }
+
         const jsonString = e.target.result;
+
+        // Encrypted backups need their passphrase before they can be read
+        if (isEncryptedJSON(jsonString)) {
+            requestPassphrase({
+                title: 'Import Encrypted Backup',
+                message: `Enter the passphrase for ${file.name}.`,
+                submitLabel: 'Decrypt',
+                askCurrent: true
+            }, ({ current }) => importFromEncryptedJSON(jsonString, current).then(result => {
+                if (!result.valid) return result.errors.join(', ');
+                applyImportedBooks(result.data, result.settings);
+                return '';
+            }));
+            return;
+        }
+
         const result = importFromJSON(jsonString);
 
         if (!result.valid) {
@@ -274,51 +1166,516 @@ function handleImport() {
         }
 
         // TODO: Add more thorough validation
-        setBooks(result.data);
-        localStorage.setItem('visited', 'true');
-        refreshUI();
-        showStatus('settings-status', 'Data imported successfully!', 'success');
-        fileInput.value = '';
+        applyImportedBooks(result.data, result.settings);
     };
 
     reader.readAsText(file);
 }
 
 /**
- * Handle clear all data
+ * Replace the library with imported books, or preview a merge in merge mode
+ * @param {Array} books - Validated books from the import file
+ * @param {Object|null} settings - Settings from a versioned export (restored when replacing)
+ */
+function applyImportedBooks(books, settings = null) {
+    // Merge mode previews the changes; nothing is written until it is applied
+    if (document.getElementById('import-mode').value === 'merge') {
+        pendingMergePlan = planImportMerge(books);
+        const strategy = document.getElementById('merge-strategy').value;
+        renderMergePreview(pendingMergePlan, conflict => resolveConflict(conflict, strategy));
+        return;
+    }
+
+    takeSnapshot('Before import');
+    setBooks(books, `Import ${books.length} books`, settings);
+    localStorage.setItem('visited', 'true');
+    syncSettingsInputs();
+    refreshUI();
+    showStatus('settings-status', 'Data imported successfully!', 'success');
+    showUndoToast(`Imported ${books.length} books`);
+    document.getElementById('import-file').value = '';
+}
+
+/**
+ * Check every CSV row against the chosen column mapping (or the recognised export layout)
+ */
+function handleValidateCSV() {
+    if (!pendingCSV) return;
+
+    pendingCSV.result = pendingCSV.format
+        ? importFromService(pendingCSV.text, pendingCSV.format)
+        : importFromCSV(pendingCSV.text, getCSVMapping());
+    renderCSVReport(pendingCSV.result);
+}
+
+/**
+ * Require the rows to be checked again after the column mapping changes
+ */
+function handleCSVMappingChange() {
+    if (pendingCSV) pendingCSV.result = null;
+    resetCSVReport();
+}
+
+/**
+ * Import the CSV rows that passed validation, using any edited author suggestions
+ * and the page counts entered for rows exported without one
+ */
+function handleImportCSV() {
+    const result = pendingCSV && pendingCSV.result;
+    if (!result || !result.valid) return;
+
+    const books = [...result.data];
+    for (const [index, author] of Object.entries(getCSVSuggestionValues())) {
+        const validation = validateContributors(author);
+        if (!validation.valid) {
+            showCSVSuggestionError(index, validation.message);
+            return;
+        }
+        books[index] = { ...books[index], author: parseContributors(author) };
+    }
+    for (const [index, pages] of Object.entries(getCSVPageValues())) {
+        const validation = validatePages(pages);
+        if (!validation.valid) {
+            showCSVSuggestionError(index, validation.message, 'pages');
+            return;
+        }
+        books[index] = { ...books[index], pages: parseInt(pages, 10) };
+    }
+
+    pendingCSV = null;
+    closeCSVModal();
+    applyImportedBooks(books);
+
+    if (result.rowErrors.length > 0) {
+        showStatus('settings-status', `Skipped ${result.rowErrors.length} invalid CSV rows`, 'info');
+    }
+}
+
+/**
+ * Discard the pending CSV import
+ */
+function handleCancelCSV() {
+    pendingCSV = null;
+    closeCSVModal();
+    showStatus('settings-status', 'CSV import cancelled, nothing was imported', 'info');
+}
+
+/**
+ * Apply the "Resolve all" strategy to every conflict in the merge preview
+ * @param {Event} e - Change event
+ */
+function handleMergeStrategy(e) {
+    if (!pendingMergePlan) return;
+
+    pendingMergePlan.conflicts.forEach(conflict => {
+        const select = document.getElementById(`conflict-${conflict.existing.id}`);
+        if (select) {
+            select.value = resolveConflict(conflict, e.target.value);
+        }
+    });
+}
+
+/**
+ * Write the previewed merge using the chosen conflict resolutions
+ */
+function handleApplyMerge() {
+    if (!pendingMergePlan) return;
+
+    const choices = {};
+    document.querySelectorAll('.conflict-choice').forEach(select => {
+        choices[select.dataset.id] = select.value;
+    });
+
+    takeSnapshot('Before merge import');
+    const summary = applyMerge(pendingMergePlan, choices);
+    pendingMergePlan = null;
+    closeMergeModal();
+
+    document.getElementById('import-file').value = '';
+    localStorage.setItem('visited', 'true');
+    refreshUI();
+
+    const message = `Merged: ${summary.added} added, ${summary.updated} updated, ${summary.kept} kept`;
+    showStatus('settings-status', message, 'success');
+    showUndoToast(message);
+}
+
+/**
+ * Discard the previewed merge
+ */
+function handleCancelMerge() {
+    pendingMergePlan = null;
+    closeMergeModal();
+    showStatus('settings-status', 'Merge cancelled, nothing was imported', 'info');
+}
+
+/**
+ * Ask for a passphrase, keeping the prompt open until the action succeeds
+ * @param {Object} options - Prompt options for openPassphraseModal
+ * @param {Function} onSubmit - Called with { current, next }; returns a Promise of an error message ('' on success)
+ */
+function requestPassphrase(options, onSubmit) {
+    pendingPassphrase = { options, onSubmit };
+    openPassphraseModal(options);
+}
+
+/**
+ * Check the passphrase prompt and run the pending action
+ * @param {Event} e - Submit event
+ */
+function handlePassphraseSubmit(e) {
+    e.preventDefault();
+    if (!pendingPassphrase) return;
+
+    const { options, onSubmit } = pendingPassphrase;
+    const values = getPassphraseValues();
+
+    if (options.askCurrent && !values.current) {
+        showPassphraseError('Passphrase is required');
+        return;
+    }
+
+    if (options.askNew) {
+        const validation = validatePassphrase(values.next);
+        if (!validation.valid) {
+            showPassphraseError(validation.message);
+            return;
+        }
+        if (values.next !== values.confirm) {
+            showPassphraseError('Passphrases do not match');
+            return;
+        }
+    }
+
+    setPassphraseBusy(true);
+    onSubmit(values)
+        .catch(error => {
+            console.error('Error handling passphrase:', error);
+            return 'Something went wrong, please try again';
+        })
+        .then(error => {
+            setPassphraseBusy(false);
+            if (error) {
+                showPassphraseError(error);
+                return;
+            }
+            pendingPassphrase = null;
+            closePassphraseModal();
+        });
+}
+
+/**
+ * Close the passphrase prompt without doing anything
+ */
+function handleCancelPassphrase() {
+    pendingPassphrase = null;
+    closePassphraseModal();
+}
+
+/**
+ * Handle "Turn On Encryption"
+ */
+function handleEnableEncryption() {
+    requestPassphrase({
+        title: 'Turn On Encryption',
+        message: 'Choose a passphrase to encrypt your library in this browser. It is asked for every time the app opens, and a forgotten passphrase cannot be recovered.',
+        submitLabel: 'Encrypt Library',
+        askNew: true
+    }, ({ next }) => encryptVault(next).then(saved => {
+        renderEncryptionSettings(true);
+        showStatus('settings-status', saved
+            ? 'Encryption turned on'
+            : 'Encryption turned on, but some data could not be rewritten', saved ? 'success' : 'error');
+        return '';
+    }));
+}
+
+/**
+ * Handle "Change Passphrase"
+ */
+function handleChangePassphrase() {
+    requestPassphrase({
+        title: 'Change Passphrase',
+        message: 'Your library will be re-encrypted with the new passphrase.',
+        submitLabel: 'Change Passphrase',
+        askCurrent: true,
+        askNew: true
+    }, ({ current, next }) => changeVaultPassphrase(current, next).then(changed => {
+        if (!changed) return 'Current passphrase is wrong';
+        showStatus('settings-status', 'Passphrase changed', 'success');
+        return '';
+    }));
+}
+
+/**
+ * Handle "Turn Off Encryption"
+ */
+function handleDisableEncryption() {
+    requestPassphrase({
+        title: 'Turn Off Encryption',
+        message: 'Your library will be stored in plain text in this browser.',
+        submitLabel: 'Decrypt Library',
+        askCurrent: true
+    }, ({ current }) => decryptVault(current).then(decrypted => {
+        if (!decrypted) return 'Wrong passphrase';
+        renderEncryptionSettings(false);
+        showStatus('settings-status', 'Encryption turned off', 'success');
+        return '';
+    }));
+}
+
+/**
+ * Handle clearing the library
  */
 function handleClearData() {
-    if (!confirm('Are you sure you want to delete ALL books? This cannot be undone!')) {
+    if (!confirm('Are you sure you want to delete ALL books? You can undo this from the notification or with Ctrl+Z.')) {
         return;
     }
 
-    clearAllData();
-    setBooks([]);
+    // Only the books (and their sessions) are removed, through the undoable path; settings stay
+    takeSnapshot('Before clear');
+    setBooks([], 'Clear all books');
     refreshUI();
-    showStatus('settings-status', 'All data cleared', 'success');
+    showStatus('settings-status', 'All books cleared', 'success');
+    showUndoToast('All books cleared');
+}
+
+/**
+ * Rename the selected tag, or merge the selected tags, on every book
+ * @param {Event} e - Submit event
+ */
+function handleRenameTags(e) {
+    e.preventDefault();
+
+    const input = document.getElementById('tag-rename-input');
+    const target = normalizeText(input.value);
+    const sources = [...document.querySelectorAll('#tags-tbody .tag-select:checked')].map(box => box.value);
+
+    if (sources.length === 0) {
+        showStatus('tags-status', 'Select the tags to rename or merge', 'error');
+        return;
+    }
+
+    const validation = validateTag(target);
+    if (!validation.valid) {
+        showStatus('tags-status', validation.message, 'error');
+        return;
+    }
+
+    if (sources.length === 1 && sources[0] === target) {
+        showStatus('tags-status', `The tag is already called "${target}"`, 'info');
+        return;
+    }
+
+    const count = renameTags(sources, target);
+    input.value = '';
+    refreshUI();
+
+    const message = sources.length === 1
+        ? `Renamed "${sources[0]}" to "${target}" on ${count} book${count === 1 ? '' : 's'}`
+        : `Merged ${sources.length} tags into "${target}" on ${count} book${count === 1 ? '' : 's'}`;
+    showStatus('tags-status', message, 'success');
+    showUndoToast(message);
+}
+
+/**
+ * Save a tag's colour or parent when changed in the tag manager
+ * @param {Event} e - Change event
+ */
+function handleTagSettingChange(e) {
+    const tag = e.target.dataset.tag;
+
+    if (e.target.classList.contains('tag-color')) {
+        setTagColor(tag, e.target.value);
+        refreshUI();
+        showUndoToast(`Changed the color of "${tag}"`);
+    }
+
+    if (e.target.classList.contains('tag-parent')) {
+        const parent = normalizeText(e.target.value);
+        const validation = parent ? validateTag(parent) : { valid: true };
+
+        if (!validation.valid) {
+            showStatus('tags-status', validation.message, 'error');
+        } else if (!setTagParent(tag, parent)) {
+            showStatus('tags-status', `"${tag}" cannot be placed under itself or one of its subtags`, 'error');
+        } else {
+            showUndoToast(parent ? `Moved "${tag}" under "${parent}"` : `Made "${tag}" a top-level tag`);
+        }
+        refreshUI();
+    }
+}
+
+/**
+ * Handle "Empty Trash"
+ */
+function handleEmptyTrash() {
+    const count = getTrashedBooks().length;
+    if (count === 0 || !confirm(`Permanently delete ${count} book${count === 1 ? '' : 's'} in the trash?`)) {
+        return;
+    }
+
+    emptyTrash();
+    refreshUI();
+    showStatus('trash-status', 'Trash emptied', 'success');
+    showUndoToast(`Emptied trash (${count} book${count === 1 ? '' : 's'})`);
+}
+
+/**
+ * Handle trash retention change
+ */
+function handleTrashRetentionChange() {
+    const days = parseInt(document.getElementById('trash-retention').value, 10);
+
+    if (isNaN(days) || days <= 0) {
+        showStatus('settings-status', 'Trash retention must be a positive number of days', 'error');
+        return;
+    }
+
+    import('./state.js').then(({ updateSettings }) => {
+        updateSettings({ trashRetentionDays: days });
+        const purged = purgeExpiredTrash();
+        refreshUI();
+        showStatus('settings-status', purged > 0
+            ? `Trashed books are kept for ${days} days (${purged} expired book${purged === 1 ? '' : 's'} purged)`
+            : `Trashed books are kept for ${days} days`, 'success');
+    });
+}
+
+/**
+ * Handle a change to the number of snapshots kept
+ */
+function handleSnapshotLimitChange() {
+    const limit = parseInt(document.getElementById('snapshot-limit').value, 10);
+
+    if (isNaN(limit) || limit <= 0) {
+        showStatus('settings-status', 'Snapshots to keep must be a positive number', 'error');
+        return;
+    }
+
+    import('./state.js').then(({ updateSettings }) => {
+        updateSettings({ snapshotLimit: limit });
+        pruneSnapshots();
+        refreshUI();
+        showStatus('settings-status', `The last ${limit} snapshot${limit === 1 ? ' is' : 's are'} kept`, 'success');
+    });
+}
+
+/**
+ * Show a toast offering to undo the change that was just made
+ * @param {string} message - Description of the change
+ */
+function showUndoToast(message) {
+    showToast(message, { label: 'Undo', onClick: handleUndo });
+}
+
+/**
+ * Undo the most recent change
+ */
+function handleUndo() {
+    const label = undo();
+    if (label) {
+        syncSettingsInputs();
+        refreshUI();
+        showToast(`Undone: ${label}`, { label: 'Redo', onClick: handleRedo });
+    } else {
+        showToast('Nothing to undo');
+    }
+}
+
+/**
+ * Redo the most recently undone change
+ */
+function handleRedo() {
+    const label = redo();
+    if (label) {
+        syncSettingsInputs();
+        refreshUI();
+        showToast(`Redone: ${label}`, { label: 'Undo', onClick: handleUndo });
+    } else {
+        showToast('Nothing to redo');
+    }
+}
+
+/**
+ * Handle Ctrl/Cmd+Z (undo) and Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y (redo)
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleHistoryShortcuts(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+    // Leave text fields to their native undo
+    const tag = e.target.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || e.target.isContentEditable) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
+    }
 }
 
 /**
  * Handle set target
  */
 function handleSetTarget() {
-    const target = parseInt(document.getElementById('pages-target').value);
+    const value = parseFloat(document.getElementById('pages-target').value);
 
-    if (isNaN(target) || target <= 0) {
+    if (isNaN(value) || value <= 0) {
         showStatus('settings-status', 'Please enter a valid target (positive number)', 'error');
         return;
     }
 
-    // Save target to settings
+    // Save target to settings (always stored in pages)
     import('./state.js').then(({ updateSettings, getSettings }) => {
+        const target = toPages(value, getSettings());
         updateSettings({ targetPages: target });
-        showStatus('settings-status', `Reading goal set to ${target.toLocaleString()} pages!`, 'success');
+        showStatus('settings-status', `Reading goal set to ${formatPages(target, getSettings(), true)}!`, 'success');
 
         // Refresh dashboard to update progress bar
         refreshUI();
     });
 }
 
+/**
+ * Handle page unit or reading speed change
+ */
+function handleUnitChange() {
+    const pageUnit = document.getElementById('page-unit').value;
+    const pagesPerHour = parseInt(document.getElementById('pages-per-hour').value, 10);
+
+    if (isNaN(pagesPerHour) || pagesPerHour <= 0) {
+        showStatus('settings-status', 'Reading speed must be a positive number of pages per hour', 'error');
+        return;
+    }
+
+    import('./state.js').then(({ updateSettings, getSettings }) => {
+        updateSettings({ pageUnit, pagesPerHour });
+        syncGoalInput(getSettings());
+        refreshUI();
+        showStatus('settings-status', pageUnit === 'hours'
+            ? `Showing estimated hours at ${pagesPerHour} pages per hour`
+            : 'Showing page counts', 'success');
+    });
+}
+
+/**
+ * Show the saved settings in the goal input and display preferences
+ */
+function syncSettingsInputs() {
+    import('./state.js').then(({ getSettings }) => {
+        const settings = getSettings();
+        syncGoalInput(settings);
+        document.getElementById('page-unit').value = settings.pageUnit || 'pages';
+        document.getElementById('pages-per-hour').value = getPagesPerHour(settings);
+        document.getElementById('trash-retention').value = getTrashRetentionDays();
+        document.getElementById('snapshot-limit').value = getSnapshotLimit();
+    });
+}
+
 /**
  * Check if this is the user's first visit
  */
@@ -345,14 +1702,15 @@ function handleLoadSample() {
             return response.json();
         })
         .then(data => {
-            if (Array.isArray(data)) {
-                setBooks(data);
+            const upgraded = upgradeData(data);
+            if (upgraded.valid) {
+                setBooks(upgraded.books, 'Load sample data');
                 localStorage.setItem('visited', 'true');
                 document.getElementById('onboarding-modal').classList.add('hidden');
                 refreshUI();
                 showStatus('search-status', 'Sample data loaded successfully! Enjoy your charts.', 'success');
             } else {
-                console.error('Seed data is not an array');
+                console.error('Invalid seed data:', upgraded.errors.join(', '));
             }
         })
         .catch(err => {
@@ -376,25 +1734,47 @@ function handleStartFresh() {
 function refreshUI() {
     refreshBooksDisplay();
     updateDashboard(getBooks());
+    renderShelves(getShelves(), getBooks());
+    renderTrash(getTrashedBooks(), getTrashRetentionDays());
+    renderSnapshots(getSnapshots());
+    const suggestions = getSearchSuggestions(getBooks());
+    renderAuthorSuggestions(suggestions.authors);
+    renderTagSuggestions(suggestions.tags);
+    renderTagManager(listTags(getBooks(), getTagInfo()));
+
+    const seriesList = groupSeries(getBooks());
+    renderSeries(seriesList);
+    renderSeriesSuggestions(seriesList.map(series => series.name));
 }
 
 /**
  * Refresh books display (table and cards)
+ * @returns {Array} Books shown
  */
 function refreshBooksDisplay() {
     let books = getBooks();
 
-    // Apply search filter
-    if (currentSearchRegex) {
-        books = filterBooks(books, currentSearchRegex);
+    // Apply search filter (regex or query predicate)
+    if (currentSearchMatcher) {
+        books = filterBooks(books, currentSearchMatcher);
     }
 
+    // Apply status filter
+    books = filterByStatus(books, currentStatusFilter);
+
+    // Apply rating filter
+    books = filterByRating(books, currentRatingFilter);
+
+    // Apply tag filter
+    books = filterByTags(books, currentTagFilter, currentTagMode, getTagInfo());
+
     // Apply sorting
-    books = sortBooks(books, currentSortOption);
+    books = sortBooks(books, currentSortOption, currentSearchRank);
 
     // Render
     renderBooksTable(books, currentSearchRegex);
     renderBooksCards(books, currentSearchRegex);
+    return books;
 }
 
 // Initialize app when DOM is ready
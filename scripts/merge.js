@@ -0,0 +1,159 @@
+/**
+ * merge.js
+ * Plans a merge of imported books into the existing library
+ */
+
+import { contributorNames } from './contributors.js';
+import { toIsbn13 } from './isbn.js';
+import { normalizeText } from './text.js';
+
+// Fields that describe when a record changed rather than what it contains
+const META_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+export const CONFLICT_STRATEGIES = ['keep-mine', 'take-theirs', 'newest'];
+
+/**
+ * Compare imported books with the library and classify every record.
+ *
+ * - added: no matching book in the library
+ * - unchanged: same content, or the library copy is the newer one
+ * - updated: the imported copy is newer and was the only one edited
+ * - conflicts: both copies were edited since they were created
+ *
+ * Books are matched by id, falling back to title + author.
+ * @param {Array} existingBooks - Books currently in the library (including trashed)
+ * @param {Array} incomingBooks - Books from the import file
+ * @returns {Object} { added, updated, unchanged, conflicts } (entries are { incoming, existing, matchedBy })
+ */
+export function planMerge(existingBooks, incomingBooks) {
+    const plan = { added: [], updated: [], unchanged: [], conflicts: [] };
+
+    const byId = new Map(existingBooks.map(book => [book.id, book]));
+    const byTitleAuthor = new Map();
+    existingBooks.forEach(book => {
+        const key = titleAuthorKey(book);
+        if (!byTitleAuthor.has(key)) byTitleAuthor.set(key, book);
+    });
+    const matchedIds = new Set();
+
+    incomingBooks.forEach(incoming => {
+        let existing = incoming.id ? byId.get(incoming.id) : null;
+        let matchedBy = 'id';
+
+        if (!existing) {
+            const candidate = byTitleAuthor.get(titleAuthorKey(incoming));
+            if (candidate && !matchedIds.has(candidate.id)) {
+                existing = candidate;
+                matchedBy = 'title-author';
+            }
+        }
+
+        if (!existing || matchedIds.has(existing.id)) {
+            plan.added.push({ incoming, existing: null, matchedBy: null });
+            return;
+        }
+
+        matchedIds.add(existing.id);
+        const entry = { incoming, existing, matchedBy };
+
+        if (diffFields(existing, incoming).length === 0) {
+            plan.unchanged.push(entry);
+        } else if (wasEdited(existing) && wasEdited(incoming)) {
+            plan.conflicts.push(entry);
+        } else if (isNewer(incoming, existing)) {
+            plan.updated.push(entry);
+        } else {
+            plan.unchanged.push(entry);
+        }
+    });
+
+    return plan;
+}
+
+/**
+ * Pick the winning copy of a conflicting book
+ * @param {Object} conflict - { incoming, existing }
+ * @param {string} strategy - 'keep-mine', 'take-theirs' or 'newest'
+ * @returns {string} 'mine' or 'theirs'
+ */
+export function resolveConflict(conflict, strategy) {
+    switch (strategy) {
+        case 'take-theirs':
+            return 'theirs';
+
+        case 'newest':
+            return isNewer(conflict.incoming, conflict.existing) ? 'theirs' : 'mine';
+
+        default:
+            return 'mine';
+    }
+}
+
+/**
+ * Build the normalised title + first contributor key used for fallback matching
+ * (so a copy that gained a co-author or translator still matches)
+ * @param {Object} book - Book object
+ * @returns {string} Match key
+ */
+export function titleAuthorKey(book) {
+    const normalize = value => normalizeText(value).toLowerCase();
+    return `${normalize(book.title)}|${normalize(contributorNames(book.author)[0])}`;
+}
+
+/**
+ * Find a book in the library that a new book duplicates: one with the same ISBN
+ * (ISBN-10 and ISBN-13 forms match each other), or else the same title and first contributor
+ * @param {Object} book - Book being added
+ * @param {Array} books - Books in the library (trashed books are ignored)
+ * @returns {Object|null} { book, matchedBy: 'isbn'|'title-author' }, or null if there is none
+ */
+export function findDuplicateBook(book, books) {
+    const candidates = books.filter(other => !other.deletedAt && other.id !== book.id);
+
+    const isbn = toIsbn13(book.isbn);
+    const sameIsbn = isbn && candidates.find(other => toIsbn13(other.isbn) === isbn);
+    if (sameIsbn) return { book: sameIsbn, matchedBy: 'isbn' };
+
+    const key = titleAuthorKey(book);
+    const sameTitle = candidates.find(other => titleAuthorKey(other) === key);
+    return sameTitle ? { book: sameTitle, matchedBy: 'title-author' } : null;
+}
+
+/**
+ * List the content fields that differ between two copies of a book
+ * (ids and timestamps are ignored)
+ * @param {Object} a - Book
+ * @param {Object} b - Book
+ * @returns {Array} Field names
+ */
+export function diffFields(a, b) {
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+    // Treat missing, null and empty values alike, and "180" like 180
+    const normalize = value => (value !== null && typeof value === 'object')
+        ? JSON.stringify(value)
+        : String(value ?? '');
+
+    return [...fields].filter(field =>
+        !META_FIELDS.includes(field) && normalize(a[field]) !== normalize(b[field])
+    );
+}
+
+/**
+ * Check whether a book was edited after it was created
+ * @param {Object} book - Book object
+ * @returns {boolean} True if updatedAt is later than createdAt
+ */
+function wasEdited(book) {
+    return Boolean(book.updatedAt && book.createdAt && book.updatedAt > book.createdAt);
+}
+
+/**
+ * Check whether one copy has a later updatedAt than another
+ * @param {Object} a - Candidate newer copy
+ * @param {Object} b - Other copy
+ * @returns {boolean} True if a is strictly newer (missing timestamps count as oldest)
+ */
+function isNewer(a, b) {
+    return (a.updatedAt || '') > (b.updatedAt || '');
+}
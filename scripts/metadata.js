@@ -0,0 +1,164 @@
+/**
+ * metadata.js
+ * Book metadata lookup for prefilling the book form.
+ *
+ * A provider is an object { id, label, lookup(query) }:
+ *   - query is { isbn, title } (either may be empty)
+ *   - lookup returns a Promise of matching records, best match first. A record is a
+ *     partial book ({ title, author, pages, isbn, tags, series, seriesIndex }, all optional;
+ *     author may be a contributor list or a comma-separated string, tags a list or text).
+ *
+ * Providers are asked in the order they were registered; the first one with a match wins.
+ * The bundled catalog works offline; online services can be registered after it.
+ */
+
+import { toContributors } from './contributors.js';
+import { toTags } from './tags.js';
+import { toIsbn13 } from './isbn.js';
+import { getSeriesIndex } from './series.js';
+
+// Bundled catalog of well-known books
+export const CATALOG_URL = 'assets/catalog/catalog.json';
+
+// Results offered for a title search
+const MAX_RESULTS = 5;
+
+// Registered providers, in lookup order
+const providers = [];
+
+/**
+ * Register a metadata provider (a provider with the same id is replaced)
+ * @param {Object} provider - { id, label, lookup(query) }
+ * @returns {boolean} False if the provider does not have the expected shape
+ */
+export function registerMetadataProvider(provider) {
+    if (!provider || !provider.id || typeof provider.lookup !== 'function') {
+        console.error('Invalid metadata provider:', provider);
+        return false;
+    }
+
+    const index = providers.findIndex(item => item.id === provider.id);
+    if (index === -1) {
+        providers.push(provider);
+    } else {
+        providers[index] = provider;
+    }
+    return true;
+}
+
+/**
+ * Remove a metadata provider
+ * @param {string} id - Provider ID
+ */
+export function unregisterMetadataProvider(id) {
+    const index = providers.findIndex(item => item.id === id);
+    if (index !== -1) providers.splice(index, 1);
+}
+
+/**
+ * Get the registered providers
+ * @returns {Array} Providers in lookup order
+ */
+export function getMetadataProviders() {
+    return [...providers];
+}
+
+/**
+ * Look a book up by ISBN or title. A failing provider is logged and skipped.
+ * @param {Object} query - { isbn, title }
+ * @returns {Promise<Object>} { provider, results } with normalised records
+ *   (provider is null and results empty when nothing matched)
+ */
+export function lookupMetadata(query) {
+    const isbn = toIsbn13(query.isbn);
+    const title = String(query.title || '').trim();
+    const none = { provider: null, results: [] };
+
+    if (!isbn && !title) return Promise.resolve(none);
+
+    return providers.reduce((found, provider) => found.then(result => {
+        if (result.results.length > 0) return result;
+
+        return Promise.resolve()
+            .then(() => provider.lookup({ isbn, title }))
+            .then(records => ({
+                provider,
+                results: (records || []).map(toMetadataRecord).filter(record => Object.keys(record).length > 0)
+            }))
+            .catch(error => {
+                console.error(`Metadata lookup failed (${provider.label || provider.id}):`, error);
+                return none;
+            });
+    }), Promise.resolve(none)).then(result => (result.results.length > 0 ? result : none));
+}
+
+/**
+ * Create the provider for a local catalog.
+ * Looks up by ISBN (ISBN-10 and ISBN-13 match each other), otherwise by title:
+ * exact titles first, then titles containing the search.
+ * @param {Function} loadCatalog - Returns a Promise of catalog records (loaded once)
+ * @returns {Object} Provider
+ */
+export function createCatalogProvider(loadCatalog = fetchCatalog) {
+    let catalog = null;
+
+    return {
+        id: 'local-catalog',
+        label: 'Local catalog',
+        lookup({ isbn, title }) {
+            catalog = catalog || loadCatalog().catch(error => {
+                // Try loading again on the next lookup
+                catalog = null;
+                throw error;
+            });
+
+            return catalog.then(records => {
+                if (isbn) {
+                    const match = records.find(record => toIsbn13(record.isbn) === isbn);
+                    if (match) return [match];
+                }
+
+                const needle = title.toLowerCase();
+                if (!needle) return [];
+
+                const exact = records.filter(record => String(record.title || '').toLowerCase() === needle);
+                const partial = records.filter(record =>
+                    !exact.includes(record) && String(record.title || '').toLowerCase().includes(needle));
+                return [...exact, ...partial].slice(0, MAX_RESULTS);
+            });
+        }
+    };
+}
+
+/**
+ * Load the bundled catalog
+ * @returns {Promise<Array>} Catalog records
+ */
+export function fetchCatalog() {
+    return fetch(CATALOG_URL)
+        .then(response => {
+            if (!response.ok) throw new Error('Failed to load the book catalog');
+            return response.json();
+        })
+        .then(data => (Array.isArray(data.books) ? data.books : []));
+}
+
+/**
+ * Normalise a provider record to the book model, dropping empty fields
+ * @param {Object} record - Record from a provider
+ * @returns {Object} { title, author, pages, isbn, tags, series, seriesIndex } (only those present)
+ */
+function toMetadataRecord(record) {
+    const book = {
+        title: String(record.title || '').trim(),
+        author: toContributors(record.author || []),
+        pages: parseInt(record.pages, 10) || '',
+        isbn: toIsbn13(record.isbn),
+        tags: toTags(record.tags || []),
+        series: String(record.series || '').trim(),
+        seriesIndex: record.series ? getSeriesIndex(record) ?? '' : ''
+    };
+
+    return Object.fromEntries(Object.entries(book).filter(([, value]) =>
+        Array.isArray(value) ? value.length > 0 : value !== ''));
+}
@@ -0,0 +1,473 @@
+/**
+ * query.js
+ * Structured query language for the search box
+ *
+ * Examples:
+ *   author:harari pages:>400
+ *   tag:Fantasy OR tag:"Science Fiction"
+ *   date:2026-01..2026-02 -tag:Sci-Fi
+ *   rating:>=4 review:"slow start"
+ *   NOT (status:finished OR status:abandoned) "hobbit"
+ *
+ * Terms separated by spaces are ANDed. NOT binds tighter than AND,
+ * which binds tighter than OR. Parentheses group expressions.
+ */
+
+import { formatContributors } from './contributors.js';
+import { getBookTags, formatTags } from './tags.js';
+import { hyphenateIsbn } from './isbn.js';
+import { composeText } from './text.js';
+import { getBookStatus } from './validators.js';
+
+// Fields matched as text (substring match); author matches any contributor, tag any tag
+const TEXT_FIELDS = {
+    title: 'title',
+    author: 'author',
+    tag: 'tags',
+    tags: 'tags',
+    series: 'series',
+    isbn: 'isbn',
+    notes: 'notes',
+    review: 'review',
+    status: 'status'
+};
+
+// Fields matched as dates (YYYY, YYYY-MM or YYYY-MM-DD, with comparisons and ranges)
+const DATE_FIELDS = {
+    date: 'date',
+    started: 'startDate',
+    finished: 'finishDate'
+};
+
+// Fields matched as numbers (with comparisons and ranges); unrated books match no rating condition
+const NUMBER_FIELDS = {
+    pages: 'pages',
+    rating: 'rating'
+};
+
+// Fields searched by a term without a field prefix
+const DEFAULT_FIELDS = ['title', 'author', 'tags', 'series', 'notes', 'review', 'date'];
+
+// Fields whose text matches are highlighted in the results (notes and review in the match snippets)
+const HIGHLIGHT_FIELDS = ['title', 'author', 'tag', 'tags', 'series', 'notes', 'review'];
+
+/**
+ * Compile a query string into a book predicate
+ * @param {string} input - Query string
+ * @param {Object} options - { caseSensitive: boolean }
+ * @returns {Object} { valid: boolean, predicate: Function|null, highlight: RegExp|null, error: string }
+ */
+export function compileQuery(input, options = {}) {
+    const result = { valid: false, predicate: null, highlight: null, error: '' };
+    const caseSensitive = Boolean(options.caseSensitive);
+
+    try {
+        const tokens = tokenize(input);
+        if (tokens.length === 0) {
+            result.valid = true;
+            return result;
+        }
+
+        const parser = { tokens, index: 0 };
+        const ast = parseOr(parser);
+
+        if (parser.index < tokens.length) {
+            throw syntaxError(`Unexpected ${describeToken(tokens[parser.index])}`, tokens[parser.index]);
+        }
+
+        const highlightTerms = [];
+        result.predicate = buildPredicate(ast, caseSensitive, highlightTerms, false);
+        result.highlight = buildHighlightRegex(highlightTerms, caseSensitive);
+        result.valid = true;
+        return result;
+    } catch (error) {
+        result.error = error.message;
+        return result;
+    }
+}
+
+/**
+ * Split a query string into tokens
+ * @param {string} input - Query string
+ * @returns {Array} Tokens ({ type, position, ... })
+ */
+function tokenize(input) {
+    const tokens = [];
+    let pos = 0;
+
+    while (pos < input.length) {
+        const char = input[pos];
+
+        if (/\s/.test(char)) {
+            pos++;
+            continue;
+        }
+
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char === '(' ? 'lparen' : 'rparen', position: pos });
+            pos++;
+            continue;
+        }
+
+        // Leading '-' negates the following term, e.g. -tag:Sci-Fi
+        if (char === '-' && pos + 1 < input.length && !/[\s)]/.test(input[pos + 1])) {
+            tokens.push({ type: 'not', position: pos });
+            pos++;
+            continue;
+        }
+
+        const term = readTerm(input, pos);
+
+        if (!term.quoted && !term.field && /^(AND|OR|NOT)$/.test(term.value)) {
+            tokens.push({ type: term.value.toLowerCase(), position: pos });
+        } else {
+            tokens.push({ type: 'term', position: pos, field: term.field, value: term.value });
+        }
+
+        pos = term.end;
+    }
+
+    return tokens;
+}
+
+/**
+ * Read a single term (optionally field-prefixed and/or quoted)
+ * @param {string} input - Query string
+ * @param {number} start - Position of the first character
+ * @returns {Object} { field, value, quoted, end }
+ */
+function readTerm(input, start) {
+    let pos = start;
+    let field = null;
+
+    if (input[pos] !== '"') {
+        const fieldMatch = /^([A-Za-z]+):/.exec(input.slice(pos));
+        if (fieldMatch) {
+            field = fieldMatch[1].toLowerCase();
+            pos += fieldMatch[0].length;
+        }
+    }
+
+    if (input[pos] === '"') {
+        const close = input.indexOf('"', pos + 1);
+        if (close === -1) {
+            throw syntaxError('Unterminated quote', { position: pos });
+        }
+        return { field, value: input.slice(pos + 1, close), quoted: true, end: close + 1 };
+    }
+
+    const valueStart = pos;
+    while (pos < input.length && !/[\s()]/.test(input[pos])) {
+        pos++;
+    }
+
+    const value = input.slice(valueStart, pos);
+    if (field && value === '') {
+        throw syntaxError(`Missing value for "${field}:"`, { position: start });
+    }
+
+    return { field, value, quoted: false, end: pos };
+}
+
+/**
+ * Parse OR expressions (lowest precedence)
+ * @param {Object} parser - { tokens, index }
+ * @returns {Object} AST node
+ */
+function parseOr(parser) {
+    let left = parseAnd(parser);
+
+    while (peek(parser, 'or')) {
+        parser.index++;
+        const right = parseAnd(parser);
+        left = { type: 'or', left, right };
+    }
+
+    return left;
+}
+
+/**
+ * Parse AND expressions (explicit AND or adjacent terms)
+ * @param {Object} parser - { tokens, index }
+ * @returns {Object} AST node
+ */
+function parseAnd(parser) {
+    let left = parseNot(parser);
+
+    while (parser.index < parser.tokens.length && !peek(parser, 'or') && !peek(parser, 'rparen')) {
+        if (peek(parser, 'and')) parser.index++;
+        const right = parseNot(parser);
+        left = { type: 'and', left, right };
+    }
+
+    return left;
+}
+
+/**
+ * Parse NOT expressions
+ * @param {Object} parser - { tokens, index }
+ * @returns {Object} AST node
+ */
+function parseNot(parser) {
+    if (peek(parser, 'not')) {
+        parser.index++;
+        return { type: 'not', operand: parseNot(parser) };
+    }
+
+    return parsePrimary(parser);
+}
+
+/**
+ * Parse a term or a parenthesised expression
+ * @param {Object} parser - { tokens, index }
+ * @returns {Object} AST node
+ */
+function parsePrimary(parser) {
+    const token = parser.tokens[parser.index];
+
+    if (!token) {
+        const last = parser.tokens[parser.tokens.length - 1];
+        throw syntaxError('Query ends unexpectedly', { position: last ? last.position : 0 });
+    }
+
+    if (token.type === 'lparen') {
+        parser.index++;
+        const expression = parseOr(parser);
+        if (!peek(parser, 'rparen')) {
+            throw syntaxError('Missing closing parenthesis', token);
+        }
+        parser.index++;
+        return expression;
+    }
+
+    if (token.type === 'term') {
+        parser.index++;
+        return token;
+    }
+
+    throw syntaxError(`Unexpected ${describeToken(token)}`, token);
+}
+
+/**
+ * Check the type of the current token
+ * @param {Object} parser - { tokens, index }
+ * @param {string} type - Token type
+ * @returns {boolean} True if the current token has that type
+ */
+function peek(parser, type) {
+    const token = parser.tokens[parser.index];
+    return Boolean(token) && token.type === type;
+}
+
+/**
+ * Turn an AST node into a predicate, collecting highlightable terms
+ * @param {Object} node - AST node
+ * @param {boolean} caseSensitive - Match text case-sensitively
+ * @param {Array} highlightTerms - Collected positive text terms
+ * @param {boolean} negated - Whether the node is under a NOT
+ * @returns {Function} Predicate (book) => boolean
+ */
+function buildPredicate(node, caseSensitive, highlightTerms, negated) {
+    switch (node.type) {
+        case 'and': {
+            const left = buildPredicate(node.left, caseSensitive, highlightTerms, negated);
+            const right = buildPredicate(node.right, caseSensitive, highlightTerms, negated);
+            return book => left(book) && right(book);
+        }
+
+        case 'or': {
+            const left = buildPredicate(node.left, caseSensitive, highlightTerms, negated);
+            const right = buildPredicate(node.right, caseSensitive, highlightTerms, negated);
+            return book => left(book) || right(book);
+        }
+
+        case 'not': {
+            const operand = buildPredicate(node.operand, caseSensitive, highlightTerms, !negated);
+            return book => !operand(book);
+        }
+
+        default:
+            return buildTermPredicate(node, caseSensitive, highlightTerms, negated);
+    }
+}
+
+/**
+ * Build the predicate for a single term
+ * @param {Object} term - Term token ({ field, value, position })
+ * @param {boolean} caseSensitive - Match text case-sensitively
+ * @param {Array} highlightTerms - Collected positive text terms
+ * @param {boolean} negated - Whether the term is under a NOT
+ * @returns {Function} Predicate (book) => boolean
+ */
+function buildTermPredicate(term, caseSensitive, highlightTerms, negated) {
+    const { field, value } = term;
+
+    if (field && NUMBER_FIELDS[field]) {
+        const test = parseNumberCondition(value, term);
+        return book => test(parseFloat(book[NUMBER_FIELDS[field]]));
+    }
+
+    if (field && DATE_FIELDS[field]) {
+        const test = parseDateCondition(value, term);
+        return book => Boolean(book[DATE_FIELDS[field]]) && test(book[DATE_FIELDS[field]]);
+    }
+
+    if (field && !TEXT_FIELDS[field]) {
+        const known = [...Object.keys(TEXT_FIELDS), ...Object.keys(NUMBER_FIELDS), ...Object.keys(DATE_FIELDS)];
+        throw syntaxError(`Unknown field "${field}" (use one of: ${known.join(', ')})`, term);
+    }
+
+    const fields = field ? [TEXT_FIELDS[field]] : DEFAULT_FIELDS;
+    const needle = caseSensitive ? value : value.toLowerCase();
+
+    if (!negated && (!field || HIGHLIGHT_FIELDS.includes(field))) {
+        highlightTerms.push(value);
+    }
+
+    return book => fields.some(name => {
+        const text = fieldText(book, name);
+        return (caseSensitive ? text : text.toLowerCase()).includes(needle);
+    });
+}
+
+/**
+ * Get the text a field is matched against
+ * @param {Object} book - Book object
+ * @param {string} name - Book field name
+ * @returns {string} Field text (lists are comma separated)
+ */
+function fieldText(book, name) {
+    if (name === 'author') return formatContributors(book.author);
+    if (name === 'tags') return formatTags(getBookTags(book));
+    // Stored as ISBN-13 digits; the hyphenated form is matched too
+    if (name === 'isbn') return book.isbn ? `${book.isbn} ${hyphenateIsbn(book.isbn)}` : '';
+    if (name === 'status') return getBookStatus(book);
+    // Composed like the query, for text saved before names were normalised
+    return composeText(book[name]);
+}
+
+/**
+ * Parse a numeric condition: 400, >400, >=400, <400, <=400, 100..300, 100.., ..300
+ * (decimals such as 3.5 are allowed for ratings)
+ * @param {string} value - Condition text
+ * @param {Object} term - Term token (for error positions)
+ * @returns {Function} Test (number) => boolean
+ */
+function parseNumberCondition(value, term) {
+    const toNumber = text => {
+        if (!/^\d+(\.\d+)?$/.test(text)) {
+            throw syntaxError(`Invalid number "${text}" for "${term.field}:"`, term);
+        }
+        return parseFloat(text);
+    };
+
+    if (value.includes('..')) {
+        const [from, to] = value.split('..');
+        const min = from ? toNumber(from) : -Infinity;
+        const max = to ? toNumber(to) : Infinity;
+        return n => n >= min && n <= max;
+    }
+
+    const match = /^(>=|<=|>|<|=)?(.*)$/.exec(value);
+    const operator = match[1] || '=';
+    const number = toNumber(match[2]);
+
+    switch (operator) {
+        case '>': return n => n > number;
+        case '>=': return n => n >= number;
+        case '<': return n => n < number;
+        case '<=': return n => n <= number;
+        default: return n => n === number;
+    }
+}
+
+/**
+ * Parse a date condition using partial ISO dates:
+ * 2026, 2026-01, 2026-01-15, >2026-01, <=2026, 2026-01..2026-02, 2026-01.., ..2026-02
+ * @param {string} value - Condition text
+ * @param {Object} term - Term token (for error positions)
+ * @returns {Function} Test (YYYY-MM-DD string) => boolean
+ */
+function parseDateCondition(value, term) {
+    if (value.includes('..')) {
+        const [from, to] = value.split('..');
+        const start = from ? toDateBounds(from, term).start : '';
+        const end = to ? toDateBounds(to, term).end : '9999-12-31';
+        return date => date >= start && date <= end;
+    }
+
+    const match = /^(>=|<=|>|<|=)?(.*)$/.exec(value);
+    const operator = match[1] || '=';
+    const { start, end } = toDateBounds(match[2], term);
+
+    // ISO dates compare correctly as strings
+    switch (operator) {
+        case '>': return date => date > end;
+        case '>=': return date => date >= start;
+        case '<': return date => date < start;
+        case '<=': return date => date <= end;
+        default: return date => date >= start && date <= end;
+    }
+}
+
+/**
+ * Expand a partial ISO date into the first and last day it covers
+ * @param {string} text - YYYY, YYYY-MM or YYYY-MM-DD
+ * @param {Object} term - Term token (for error positions)
+ * @returns {Object} { start, end } as YYYY-MM-DD strings
+ */
+function toDateBounds(text, term) {
+    if (/^\d{4}$/.test(text)) {
+        return { start: `${text}-01-01`, end: `${text}-12-31` };
+    }
+
+    if (/^\d{4}-(0[1-9]|1[0-2])$/.test(text)) {
+        return { start: `${text}-01`, end: `${text}-31` };
+    }
+
+    if (/^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(text)) {
+        return { start: text, end: text };
+    }
+
+    throw syntaxError(`Invalid date "${text}" for "${term.field}:" (use YYYY, YYYY-MM or YYYY-MM-DD)`, term);
+}
+
+/**
+ * Build a regex that highlights every positive text term
+ * @param {Array} terms - Text terms
+ * @param {boolean} caseSensitive - Match case-sensitively
+ * @returns {RegExp|null} Highlight regex or null
+ */
+function buildHighlightRegex(terms, caseSensitive) {
+    const escaped = terms
+        .filter(term => term.length > 0)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    if (escaped.length === 0) return null;
+
+    return new RegExp(escaped.join('|'), caseSensitive ? 'g' : 'gi');
+}
+
+/**
+ * Describe a token for error messages
+ * @param {Object} token - Token
+ * @returns {string} Description
+ */
+function describeToken(token) {
+    switch (token.type) {
+        case 'lparen': return '"("';
+        case 'rparen': return '")"';
+        case 'term': return `"${token.field ? `${token.field}:` : ''}${token.value}"`;
+        default: return `"${token.type.toUpperCase()}"`;
+    }
+}
+
+/**
+ * Create an error that reports where in the query it happened
+ * @param {string} message - Error message
+ * @param {Object} token - Token or { position }
+ * @returns {Error} Error with position in the message
+ */
+function syntaxError(message, token) {
+    return new Error(`${message} at position ${token.position + 1}`);
+}
@@ -0,0 +1,112 @@
+/**
+ * ratings.js
+ * Star ratings: reading them, formatting them and the rating statistics
+ */
+
+import { contributorNames } from './contributors.js';
+
+// Ratings go from half a star to five stars in half-star steps
+export const RATING_STEP = 0.5;
+export const MAX_RATING = 5;
+
+/**
+ * Read a book's rating
+ * @param {Object} book - Book object
+ * @returns {number|null} Rating, or null if the book is unrated
+ */
+export function getRating(book) {
+    if (book.rating === undefined || book.rating === null || book.rating === '') return null;
+
+    const rating = Number(book.rating);
+    return Number.isFinite(rating) && rating > 0 ? rating : null;
+}
+
+/**
+ * Format a rating as stars, e.g. "★★★½" for 3.5
+ * @param {number|null} rating - Rating
+ * @returns {string} Stars, or '' for no rating
+ */
+export function formatStars(rating) {
+    if (!rating) return '';
+    return '★'.repeat(Math.floor(rating)) + (rating % 1 ? '½' : '');
+}
+
+/**
+ * Describe a rating for screen readers and tooltips
+ * @param {number|null} rating - Rating
+ * @returns {string} e.g. "3.5 out of 5 stars", or "Not rated"
+ */
+export function describeRating(rating) {
+    return rating ? `${rating} out of ${MAX_RATING} stars` : 'Not rated';
+}
+
+/**
+ * Compare books by rating, highest first. Unrated books come last.
+ * @param {Object} a - Book
+ * @param {Object} b - Book
+ * @returns {number} Sort order
+ */
+export function compareRatings(a, b) {
+    return (getRating(b) ?? -1) - (getRating(a) ?? -1) || a.title.localeCompare(b.title);
+}
+
+/**
+ * Average the ratings of the rated books
+ * @param {Array} books - Books data
+ * @returns {number|null} Average rounded to one decimal, or null if no book is rated
+ */
+export function averageRating(books) {
+    const ratings = books.map(getRating).filter(rating => rating !== null);
+    if (ratings.length === 0) return null;
+
+    const total = ratings.reduce((sum, rating) => sum + rating, 0);
+    return Math.round((total / ratings.length) * 10) / 10;
+}
+
+/**
+ * Count books per rating for the distribution chart
+ * @param {Array} books - Books data
+ * @returns {Array} { rating, count } for every half-star step from 0.5 to 5
+ */
+export function countRatings(books) {
+    const steps = [];
+    for (let rating = RATING_STEP; rating <= MAX_RATING; rating += RATING_STEP) {
+        steps.push({ rating, count: 0 });
+    }
+
+    books.forEach(book => {
+        const rating = getRating(book);
+        const step = steps.find(item => item.rating === rating);
+        if (step) step.count++;
+    });
+
+    return steps;
+}
+
+/**
+ * Rank authors by the average rating of their rated books.
+ * Co-written books count for each author; editors, translators and illustrators are not counted.
+ * @param {Array} books - Books data
+ * @param {number} limit - Number of authors to return
+ * @returns {Array} { name, average, count } by average, then number of rated books, then name
+ */
+export function getTopRatedAuthors(books, limit = 3) {
+    const authors = new Map();
+
+    books.forEach(book => {
+        const rating = getRating(book);
+        if (rating === null) return;
+
+        contributorNames(book.author, 'author').forEach(name => {
+            const entry = authors.get(name) || { name, total: 0, count: 0 };
+            entry.total += rating;
+            entry.count++;
+            authors.set(name, entry);
+        });
+    });
+
+    return [...authors.values()]
+        .map(({ name, total, count }) => ({ name, average: Math.round((total / count) * 10) / 10, count }))
+        .sort((a, b) => b.average - a.average || b.count - a.count || a.name.localeCompare(b.name))
+        .slice(0, limit);
+}
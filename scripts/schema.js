@@ -0,0 +1,135 @@
+/**
+ * schema.js
+ * Versioned data envelope and the migrations that upgrade older data
+ */
+
+import { toContributors } from './contributors.js';
+import { toTags } from './tags.js';
+
+// Version 1 is the original, unversioned bare array of books
+export const SCHEMA_VERSION = 4;
+
+/**
+ * Migrations keyed by the version they upgrade from.
+ * Each takes { books, settings } at that version and returns it at the next one.
+ */
+const MIGRATIONS = {
+    // 1 -> 2: pages stored as numbers, creation/update timestamps on every book
+    1: data => ({
+        ...data,
+        books: data.books.map(book => {
+            const createdAt = book.createdAt || backfillTimestamp(book);
+            return {
+                ...book,
+                pages: toPageNumber(book.pages),
+                createdAt,
+                updatedAt: book.updatedAt || createdAt
+            };
+        })
+    }),
+
+    // 2 -> 3: author is an ordered list of contributors ({ name, role }) instead of one name
+    2: data => ({
+        ...data,
+        books: data.books.map(book => ({ ...book, author: toContributors(book.author) }))
+    }),
+
+    // 3 -> 4: the single tag becomes a list of tags
+    3: data => ({
+        ...data,
+        books: data.books.map(({ tag, ...book }) => ({ ...book, tags: toTags(book.tags ?? tag) }))
+    })
+};
+
+/**
+ * Wrap books and settings in a versioned export envelope
+ * @param {Array} books - Books to export
+ * @param {Object} settings - Settings to export
+ * @returns {Object} { schemaVersion, exportedAt, books, settings }
+ */
+export function createEnvelope(books, settings) {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        books,
+        settings
+    };
+}
+
+/**
+ * Read stored or imported data in any known shape and upgrade it to the current schema.
+ * Accepts a versioned envelope or a legacy bare array of books.
+ * @param {*} data - Parsed JSON
+ * @returns {Object} { valid, books, settings, fromVersion, errors }
+ */
+export function upgradeData(data) {
+    const result = { valid: false, books: [], settings: null, fromVersion: null, errors: [] };
+
+    let envelope;
+    if (Array.isArray(data)) {
+        envelope = { schemaVersion: 1, books: data, settings: null };
+    } else if (data && typeof data === 'object' && Array.isArray(data.books)) {
+        envelope = data;
+    } else {
+        result.errors.push('Data must be an array of books or a Books Vault export');
+        return result;
+    }
+
+    const version = envelope.schemaVersion;
+    if (!Number.isInteger(version) || version < 1) {
+        result.errors.push(`Unknown schema version: ${version}`);
+        return result;
+    }
+
+    if (version > SCHEMA_VERSION) {
+        result.errors.push(`Data uses schema version ${version}, but this app only supports up to ${SCHEMA_VERSION}`);
+        return result;
+    }
+
+    const upgraded = migrateData({ books: envelope.books, settings: envelope.settings || null }, version);
+
+    result.valid = true;
+    result.books = upgraded.books;
+    result.settings = upgraded.settings;
+    result.fromVersion = version;
+    return result;
+}
+
+/**
+ * Run every migration from a version up to the current schema
+ * @param {Object} data - { books, settings } at fromVersion
+ * @param {number} fromVersion - Schema version of the data
+ * @returns {Object} { books, settings } at SCHEMA_VERSION
+ */
+export function migrateData(data, fromVersion) {
+    let upgraded = data;
+    for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+        upgraded = MIGRATIONS[version](upgraded);
+    }
+    return upgraded;
+}
+
+/**
+ * Convert a pages value to a number, leaving values that are not whole numbers
+ * untouched so validation can report them
+ * @param {*} value - Pages value
+ * @returns {*} Number of pages, or the original value
+ */
+function toPageNumber(value) {
+    if (typeof value === 'string' && /^\s*\d+\s*$/.test(value)) {
+        return parseInt(value, 10);
+    }
+    return value;
+}
+
+/**
+ * Pick a creation time for a book saved without one: midnight UTC of the
+ * date it was added, or now when the book has no usable date
+ * @param {Object} book - Book object
+ * @returns {string} ISO timestamp
+ */
+function backfillTimestamp(book) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(book.date || '')
+        ? `${book.date}T00:00:00.000Z`
+        : new Date().toISOString();
+}
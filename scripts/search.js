@@ -3,6 +3,40 @@
  * Search and highlight functionality with regex
  */
 
+import { compileQuery } from './query.js';
+import { compileFuzzy } from './fuzzy.js';
+import { formatContributors, contributorNames } from './contributors.js';
+import { getBookTags, formatTags, hasTags } from './tags.js';
+import { compareSeries } from './series.js';
+import { getRating, compareRatings } from './ratings.js';
+import { composeText } from './text.js';
+import { getBookStatus } from './validators.js';
+
+/**
+ * Search modes offered in the My Books toolbar
+ */
+export const SEARCH_MODE_LABELS = {
+    regex: 'Pattern',
+    query: 'Query',
+    fuzzy: 'Fuzzy'
+};
+
+/**
+ * Book fields whose search matches are counted, with their labels
+ */
+export const SEARCH_FIELD_LABELS = {
+    title: 'Title',
+    author: 'Author',
+    tags: 'Tags',
+    series: 'Series',
+    isbn: 'ISBN',
+    review: 'Review',
+    notes: 'Notes'
+};
+
+// Characters of context shown on each side of a match in a snippet
+const SNIPPET_CONTEXT = 40;
+
 /**
  * Compile a regex pattern safely
  * @param {string} pattern - Regex pattern string
@@ -18,6 +52,54 @@ export function compileRegex(pattern, flags = 'i') {
     }
 }
 
+/**
+ * Compile search box input for any search mode.
+ * Input and book text are both composed (NFC), so accents match however they were typed.
+ * Fuzzy searches ignore case sensitivity and also return a relevance rank for sortBooks.
+ * @param {string} pattern - Search input
+ * @param {Object} options - { mode: 'regex'|'query'|'fuzzy', caseSensitive: boolean }
+ * @returns {Object} { valid, matcher: RegExp|Function|null, highlight: RegExp|Function|null, rank: Function|null, error }
+ */
+export function compileSearch(pattern, options = {}) {
+    const { mode = 'regex', caseSensitive = false } = options;
+    const input = composeText(pattern);
+
+    if (mode === 'query') {
+        const query = compileQuery(input, { caseSensitive });
+        return {
+            valid: query.valid,
+            matcher: query.predicate,
+            highlight: query.highlight,
+            rank: null,
+            error: query.valid ? '' : `Invalid query: ${query.error}`
+        };
+    }
+
+    if (mode === 'fuzzy') {
+        const fuzzy = compileFuzzy(input);
+        return {
+            valid: fuzzy.valid,
+            matcher: fuzzy.predicate,
+            highlight: fuzzy.highlight,
+            rank: fuzzy.rank,
+            error: fuzzy.error
+        };
+    }
+
+    // The matcher is not global: test() on a global regex resumes from the last match,
+    // so consecutive books would be tested from the middle of their text
+    const regex = compileRegex(input, caseSensitive ? '' : 'i');
+    const valid = !input || regex !== null;
+
+    return {
+        valid,
+        matcher: regex,
+        highlight: regex && new RegExp(regex.source, `${regex.flags}g`),
+        rank: null,
+        error: valid ? '' : 'Invalid regex pattern'
+    };
+}
+
 /**
  * Test if a book matches the search pattern
  * @param {Object} book - Book object
@@ -27,15 +109,16 @@ export function compileRegex(pattern, flags = 'i') {
 export function matchesSearch(book, regex) {
     if (!regex) return true;
 
-    // TODO: Search across multiple fields
-    // Test against: title, author, tag, notes, etc.
     const searchableText = [
         book.title,
-        book.author,
-        book.tag,
+        formatContributors(book.author),
+        formatTags(getBookTags(book)),
+        book.series || '',
+        book.isbn || '',
         book.notes || '',
+        book.review || '',
         book.date
-    ].join(' ');
+    ].map(composeText).join(' ');
 
     return regex.test(searchableText);
 }
@@ -43,15 +126,20 @@ export function matchesSearch(book, regex) {
 /**
  * Highlight matches in text using <mark> tags
  * @param {string} text - Text to highlight
- * @param {RegExp} regex - Regex pattern to match
+ * @param {RegExp|Function} regex - Regex pattern to match, or a fuzzy search highlighter
+ *   returning the [start, end] ranges to mark in the text as displayed
  * @returns {string} HTML string with <mark> tags
  */
 export function highlightMatches(text, regex) {
     if (!regex || !text) return text;
 
+    if (typeof regex === 'function') {
+        return highlightRanges(composeText(text), findMatchRanges(text, regex));
+    }
+
     try {
         // Escape HTML to prevent XSS
-        const escaped = escapeHtml(text);
+        const escaped = escapeHtml(composeText(text));
 
         // Replace matches with <mark> tags
         return escaped.replace(regex, match => `<mark>${match}</mark>`);
@@ -61,36 +149,190 @@ export function highlightMatches(text, regex) {
     }
 }
 
+/**
+ * Find the spans of text a search matches
+ * @param {string} text - Text to search
+ * @param {RegExp|Function} regex - Highlight regex, or a fuzzy search highlighter
+ * @returns {Array} [start, end] ranges of the composed (NFC) text, in order
+ */
+export function findMatchRanges(text, regex) {
+    const composed = composeText(text);
+    if (!regex || !composed) return [];
+
+    if (typeof regex === 'function') return regex(composed);
+
+    const global = regex.global ? regex : new RegExp(regex.source, `${regex.flags}g`);
+    return [...composed.matchAll(global)]
+        .filter(match => match[0] !== '')
+        .map(match => [match.index, match.index + match[0].length]);
+}
+
+/**
+ * Count a search's matches in each field of a book
+ * @param {Object} book - Book object
+ * @param {RegExp|Function} regex - Highlight regex, or a fuzzy search highlighter
+ * @returns {Object} Match count per field (keys of SEARCH_FIELD_LABELS), for fields with matches only
+ */
+export function countFieldMatches(book, regex) {
+    const texts = {
+        title: book.title,
+        author: formatContributors(book.author),
+        tags: formatTags(getBookTags(book)),
+        series: book.series,
+        isbn: book.isbn,
+        review: book.review,
+        notes: book.notes
+    };
+
+    return Object.fromEntries(Object.entries(texts)
+        .map(([field, text]) => [field, findMatchRanges(text, regex).length])
+        .filter(([, count]) => count > 0));
+}
+
+/**
+ * Count a search's matches in all fields of several books
+ * @param {Array} books - Books found
+ * @param {RegExp|Function} regex - Highlight regex, or a fuzzy search highlighter
+ * @returns {number} Total matches
+ */
+export function countMatches(books, regex) {
+    return books.reduce((total, book) =>
+        total + Object.values(countFieldMatches(book, regex)).reduce((sum, count) => sum + count, 0), 0);
+}
+
+/**
+ * Cut a snippet around the first match in long text (such as notes), with the
+ * matches in it highlighted. The snippet starts and ends at whole words.
+ * @param {string} text - Text to search
+ * @param {RegExp|Function} regex - Highlight regex, or a fuzzy search highlighter
+ * @param {number} context - Characters of context on each side of the match
+ * @returns {string} HTML string with <mark> tags and "…" where text was cut, or '' without a match
+ */
+export function getMatchSnippet(text, regex, context = SNIPPET_CONTEXT) {
+    const composed = composeText(text);
+    const ranges = findMatchRanges(composed, regex);
+    if (ranges.length === 0) return '';
+
+    const [matchStart, matchEnd] = ranges[0];
+    let start = Math.max(0, matchStart - context);
+    let end = Math.min(composed.length, matchEnd + context);
+
+    if (start > 0) {
+        const space = composed.slice(start, matchStart).search(/\s/);
+        if (space !== -1) start += space + 1;
+    }
+    if (end < composed.length) {
+        const space = composed.slice(matchEnd, end).search(/\s\S*$/);
+        if (space !== -1) end = matchEnd + space;
+    }
+
+    // Matches cut by the snippet are marked as far as they show
+    const visible = ranges
+        .map(([from, to]) => [Math.max(from, start) - start, Math.min(to, end) - start])
+        .filter(([from, to]) => from < to);
+
+    return `${start > 0 ? '…' : ''}${highlightRanges(composed.slice(start, end), visible)}${end < composed.length ? '…' : ''}`;
+}
+
+/**
+ * Mark ranges of text, escaping the rest
+ * @param {string} text - Text to highlight
+ * @param {Array} ranges - [start, end] ranges in order, not overlapping
+ * @returns {string} HTML string with <mark> tags
+ */
+function highlightRanges(text, ranges) {
+    let html = '';
+    let last = 0;
+
+    ranges.forEach(([start, end]) => {
+        html += `${escapeHtml(text.slice(last, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        last = end;
+    });
+
+    return html + escapeHtml(text.slice(last));
+}
+
 /**
  * Escape HTML to prevent XSS
  * @param {string} text - Text to escape
  * @returns {string} Escaped text
  */
-function escapeHtml(text) {
+export function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
 }
 
 /**
- * Filter books by regex pattern
+ * Filter books by regex pattern or query predicate
+ * @param {Array} books - Array of books
+ * @param {RegExp|Function} matcher - Regex pattern, or predicate from compileQuery
+ * @param {Object} options - { includeTrashed: boolean } (trashed books are excluded by default)
+ * @returns {Array} Filtered books
+ */
+export function filterBooks(books, matcher, options = {}) {
+    const candidates = options.includeTrashed ? books : books.filter(book => !book.deletedAt);
+
+    if (!matcher) return candidates;
+
+    if (typeof matcher === 'function') {
+        return candidates.filter(matcher);
+    }
+
+    return candidates.filter(book => matchesSearch(book, matcher));
+}
+
+/**
+ * Filter books by reading status
+ * @param {Array} books - Array of books
+ * @param {string} status - Status to keep (empty for all)
+ * @returns {Array} Filtered books
+ */
+export function filterByStatus(books, status) {
+    if (!status) return books;
+
+    return books.filter(book => getBookStatus(book) === status);
+}
+
+/**
+ * Filter books by rating
+ * @param {Array} books - Array of books
+ * @param {string} filter - Minimum rating (e.g. '4' for four stars and up), 'unrated', or empty for all
+ * @returns {Array} Filtered books
+ */
+export function filterByRating(books, filter) {
+    if (!filter) return books;
+
+    if (filter === 'unrated') {
+        return books.filter(book => getRating(book) === null);
+    }
+
+    const minimum = Number(filter);
+    return books.filter(book => (getRating(book) ?? 0) >= minimum);
+}
+
+/**
+ * Filter books by tags (a tag also matches books in its subtags)
  * @param {Array} books - Array of books
- * @param {RegExp} regex - Regex pattern
+ * @param {Array} tags - Tags to look for (empty for all)
+ * @param {string} mode - 'any' keeps books with at least one of the tags, 'all' books with every tag
+ * @param {Object} tagInfo - Tag settings keyed by tagKey (for parent tags)
  * @returns {Array} Filtered books
  */
-export function filterBooks(books, regex) {
-    if (!regex) return books;
+export function filterByTags(books, tags, mode = 'any', tagInfo = {}) {
+    if (tags.length === 0) return books;
 
-    return books.filter(book => matchesSearch(book, regex));
+    return books.filter(book => hasTags(book, tags, mode, tagInfo));
 }
 
 /**
  * Sort books by specified criteria
  * @param {Array} books - Array of books
  * @param {string} sortBy - Sort criterion
+ * @param {Function} rank - Relevance of a book, from a fuzzy search (for 'relevance')
  * @returns {Array} Sorted books
  */
-export function sortBooks(books, sortBy) {
+export function sortBooks(books, sortBy, rank = null) {
     const sorted = [...books];
 
     switch (sortBy) {
@@ -112,6 +354,24 @@ export function sortBooks(books, sortBy) {
         case 'pages-asc':
             return sorted.sort((a, b) => parseInt(a.pages) - parseInt(b.pages));
 
+        case 'series':
+            return sorted.sort(compareSeries);
+
+        // Unrated books come last either way
+        case 'rating-desc':
+            return sorted.sort(compareRatings);
+
+        case 'rating-asc':
+            return sorted.sort((a, b) =>
+                (getRating(a) ?? Infinity) - (getRating(b) ?? Infinity) || a.title.localeCompare(b.title));
+
+        // Best matches first; without a fuzzy search the order is left as it is
+        case 'relevance': {
+            if (!rank) return sorted;
+            const scores = new Map(sorted.map(book => [book, rank(book)]));
+            return sorted.sort((a, b) => scores.get(b) - scores.get(a) || a.title.localeCompare(b.title));
+        }
+
         default:
             return sorted;
     }
@@ -130,8 +390,8 @@ export function getSearchSuggestions(books) {
     };
 
     books.forEach(book => {
-        suggestions.authors.add(book.author);
-        suggestions.tags.add(book.tag);
+        contributorNames(book.author).forEach(name => suggestions.authors.add(name));
+        getBookTags(book).forEach(tag => suggestions.tags.add(tag));
 
         const year = book.date.split('-')[0];
         suggestions.years.add(year);
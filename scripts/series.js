@@ -0,0 +1,129 @@
+/**
+ * series.js
+ * Book series: grouping volumes, gaps in the numbering and the next volume to read
+ */
+
+import { getBookStatus } from './validators.js';
+
+// Statuses that mean a volume needs no more reading
+const DONE_STATUSES = ['finished', 'abandoned'];
+
+/**
+ * Read a book's number in its series
+ * @param {Object} book - Book object
+ * @returns {number|null} Number in the series, or null if it has none
+ */
+export function getSeriesIndex(book) {
+    if (book.seriesIndex === undefined || book.seriesIndex === null || book.seriesIndex === '') return null;
+
+    const index = Number(book.seriesIndex);
+    return Number.isFinite(index) ? index : null;
+}
+
+/**
+ * Format a book's place in its series
+ * @param {Object} book - Book object
+ * @returns {string} e.g. "The Stormlight Archive #3", or '' for books outside a series
+ */
+export function formatSeries(book) {
+    const series = String(book.series || '').trim();
+    if (!series) return '';
+
+    const index = getSeriesIndex(book);
+    return index === null ? series : `${series} #${index}`;
+}
+
+/**
+ * Compare books by series name and then number in the series.
+ * Books outside a series come last, as do volumes without a number within a series.
+ * @param {Object} a - Book
+ * @param {Object} b - Book
+ * @returns {number} Sort order
+ */
+export function compareSeries(a, b) {
+    const seriesA = String(a.series || '').trim();
+    const seriesB = String(b.series || '').trim();
+
+    if (!seriesA || !seriesB) {
+        return (seriesA ? 0 : 1) - (seriesB ? 0 : 1) || a.title.localeCompare(b.title);
+    }
+
+    const bySeries = seriesA.localeCompare(seriesB, undefined, { sensitivity: 'base' });
+    if (bySeries !== 0) return bySeries;
+
+    const indexA = getSeriesIndex(a) ?? Infinity;
+    const indexB = getSeriesIndex(b) ?? Infinity;
+    if (indexA !== indexB) return indexA < indexB ? -1 : 1;
+
+    return a.title.localeCompare(b.title);
+}
+
+/**
+ * Group books by series (names compared case-insensitively), with the volumes
+ * missing from the numbering and the volume to read next
+ * @param {Array} books - Books to group
+ * @returns {Array} Series, by name ({ name, books, missing, read, next })
+ *   - books: the series' books in series order
+ *   - missing: whole numbers from 1 to the highest number that no book has
+ *   - read: number of finished books
+ *   - next: { index, book } for the first volume not yet finished or abandoned
+ *     (book is null when that volume is not in the library), or null
+ */
+export function groupSeries(books) {
+    const groups = new Map();
+
+    books.forEach(book => {
+        const name = String(book.series || '').trim();
+        if (!name) return;
+
+        const key = name.toLowerCase();
+        if (!groups.has(key)) groups.set(key, { name, books: [] });
+        groups.get(key).books.push(book);
+    });
+
+    return [...groups.values()]
+        .map(({ name, books: volumes }) => {
+            const sorted = [...volumes].sort(compareSeries);
+            const indexes = new Set(sorted.map(getSeriesIndex).filter(index => index !== null));
+            const highest = Math.floor(Math.max(0, ...indexes));
+
+            const missing = [];
+            for (let index = 1; index <= highest; index++) {
+                if (!indexes.has(index)) missing.push(index);
+            }
+
+            return {
+                name,
+                books: sorted,
+                missing,
+                read: sorted.filter(book => getBookStatus(book) === 'finished').length,
+                next: findNextVolume(sorted, missing, highest)
+            };
+        })
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+}
+
+/**
+ * Find the volume to read next: the earliest unread book or missing number,
+ * or the number after the last volume once every volume is done
+ * @param {Array} volumes - The series' books in series order
+ * @param {Array} missing - Missing whole numbers
+ * @param {number} highest - Highest whole number in the series
+ * @returns {Object|null} { index, book } (index is null for an unnumbered book),
+ *   or null when every volume is done and none is numbered
+ */
+function findNextVolume(volumes, missing, highest) {
+    const unread = volumes.find(book => !DONE_STATUSES.includes(getBookStatus(book)));
+    const unreadIndex = unread ? getSeriesIndex(unread) : null;
+    const firstMissing = missing.length > 0 ? missing[0] : null;
+
+    if (firstMissing !== null && (unreadIndex === null || firstMissing < unreadIndex)) {
+        return { index: firstMissing, book: null };
+    }
+
+    if (unread) {
+        return { index: unreadIndex, book: unread };
+    }
+
+    return highest > 0 ? { index: highest + 1, book: null } : null;
+}
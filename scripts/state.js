@@ -3,28 +3,95 @@
  * Manages application state
  */
 
-import { loadBooks, saveBooks, loadSettings } from './storage.js';
+import {
+    loadBooks,
+    saveBooks,
+    findBooks as findSavedBooks,
+    loadSettings,
+    loadSessions,
+    saveSessions,
+    loadHistory,
+    saveHistory,
+    loadSnapshots,
+    saveSnapshots,
+    initStorage,
+    onRemoteChanges,
+    mergeStoreChanges,
+    enableEncryption,
+    changePassphrase,
+    disableEncryption
+} from './storage.js';
+import { getTodayDate, getBookStatus, LEGACY_STATUS } from './validators.js';
+import { planMerge, diffFields } from './merge.js';
+import { SCHEMA_VERSION, upgradeData } from './schema.js';
+import { toTags, getBookTags, replaceTags, renameTagInfo, canNestTag, tagKey } from './tags.js';
 
 // Application state
 let books = [];
+let sessions = [];
 let settings = {};
 let currentFilter = null;
 let currentSort = 'date-desc';
 
+// Days a trashed book is kept before it is purged (overridable in settings)
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Undo/redo history of book and session mutations
+const HISTORY_LIMIT = 20;
+
+// Entries changing more records than this (imports, clearing the library) can be undone
+// until the page is closed but are not saved, so they cannot fill localStorage with copies
+// of the library; the snapshot taken before such a change keeps it recoverable
+const SAVED_HISTORY_CHANGE_LIMIT = 50;
+let history = { undo: [], redo: [] };
+let historyDepth = 0;
+
+// Rolling copies of the whole library (how many are kept is overridable in settings)
+const DEFAULT_SNAPSHOT_LIMIT = 10;
+let snapshots = [];
+
+/**
+ * Open the book store (IndexedDB, migrating from localStorage) and then initialize state
+ * @returns {Promise<string>} Active storage backend
+ */
+export function initStateAsync() {
+    return initStorage().then(backend => {
+        initState();
+        return backend;
+    });
+}
+
 /**
- * Initialize state from localStorage
+ * Initialize state from the loaded storage
  */
 export function initState() {
-    books = loadBooks();
+    books = loadBooks().map(withDefaultStatus);
+    sessions = loadSessions();
     settings = loadSettings();
+    history = loadHistory();
+    snapshots = loadSnapshots();
+    purgeExpiredTrash();
 }
 
 /**
  * Get all books
+ * @param {Object} options - { includeTrashed: boolean } (trashed books are excluded by default)
  * @returns {Array} Array of books
  */
-export function getBooks() {
-    return [...books];
+export function getBooks(options = {}) {
+    if (options.includeTrashed) return [...books];
+
+    return books.filter(book => !book.deletedAt);
+}
+
+/**
+ * Get books in the trash, most recently deleted first
+ * @returns {Array} Array of trashed books
+ */
+export function getTrashedBooks() {
+    return books
+        .filter(book => book.deletedAt)
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
 }
 
 /**
@@ -36,23 +103,37 @@ export function getBookById(id) {
     return books.find(book => book.id === id) || null;
 }
 
+/**
+ * Find the books (outside the trash) by a contributor, with a tag or added on a date
+ * @param {string} field - 'authorNames', 'tags' or 'date'
+ * @param {string} value - Contributor name, tag or date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Matching books
+ */
+export function findBooks(field, value) {
+    return findSavedBooks(field, value)
+        .then(found => found.map(book => getBookById(book.id)).filter(book => book && !book.deletedAt));
+}
+
 /**
  * Add a new book
  * @param {Object} bookData - Book data without ID and timestamps
  * @returns {Object} The created book
  */
 export function addBook(bookData) {
-    const now = new Date().toISOString();
-    const newBook = {
-        id: generateId(),
-        ...bookData,
-        createdAt: now,
-        updatedAt: now
-    };
-    
-    books.push(newBook);
-    saveBooks(books);
-    return newBook;
+    return recordHistory(`Add "${bookData.title}"`, () => {
+        const now = new Date().toISOString();
+        const newBook = {
+            id: generateId(),
+            ...bookData,
+            ...applyStatusTransition({}, bookData),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        books.push(newBook);
+        saveBooks(books);
+        return newBook;
+    });
 }
 
 /**
@@ -64,33 +145,170 @@ export function addBook(bookData) {
 export function updateBook(id, updates) {
     const index = books.findIndex(book => book.id === id);
     if (index === -1) return null;
-    
-    books[index] = {
-        ...books[index],
-        ...updates,
-        id: books[index].id, // Preserve ID
-        createdAt: books[index].createdAt, // Preserve creation time
-        updatedAt: new Date().toISOString()
-    };
-    
-    saveBooks(books);
-    return books[index];
+
+    return recordHistory(`Edit "${books[index].title}"`, () => {
+        books[index] = {
+            ...books[index],
+            ...updates,
+            ...applyStatusTransition(books[index], updates),
+            id: books[index].id, // Preserve ID
+            createdAt: books[index].createdAt, // Preserve creation time
+            updatedAt: new Date().toISOString()
+        };
+
+        saveBooks(books);
+        return books[index];
+    });
 }
 
 /**
- * Delete a book
+ * Move a book to the trash (soft delete).
+ * The book and its sessions are kept until restored or purged.
  * @param {string} id - Book ID
  * @returns {boolean} Success status
  */
 export function deleteBook(id) {
-    const initialLength = books.length;
-    books = books.filter(book => book.id !== id);
-    
-    if (books.length < initialLength) {
+    const book = getBookById(id);
+    if (!book || book.deletedAt) return false;
+
+    return recordHistory(`Move "${book.title}" to trash`, () => {
+        books = books.map(item => (item.id === id ? { ...item, deletedAt: new Date().toISOString() } : item));
+        saveBooks(books);
+        return true;
+    });
+}
+
+/**
+ * Restore a book from the trash
+ * @param {string} id - Book ID
+ * @returns {boolean} Success status
+ */
+export function restoreBook(id) {
+    const book = getBookById(id);
+    if (!book || !book.deletedAt) return false;
+
+    return recordHistory(`Restore "${book.title}"`, () => {
+        const { deletedAt, ...restored } = book;
+        books = books.map(item => (item.id === id ? restored : item));
+        saveBooks(books);
+        return true;
+    });
+}
+
+/**
+ * Permanently delete a trashed book and its sessions
+ * @param {string} id - Book ID
+ * @returns {boolean} Success status
+ */
+export function purgeBook(id) {
+    const book = getBookById(id);
+    if (!book || !book.deletedAt) return false;
+
+    return recordHistory(`Permanently delete "${book.title}"`, () => {
+        books = books.filter(item => item.id !== id);
         saveBooks(books);
+        pruneSessions();
         return true;
+    });
+}
+
+/**
+ * Permanently delete every book in the trash
+ * @returns {number} Number of books purged
+ */
+export function emptyTrash() {
+    const trashed = getTrashedBooks().length;
+    if (trashed === 0) return 0;
+
+    recordHistory('Empty trash', () => {
+        books = books.filter(book => !book.deletedAt);
+        saveBooks(books);
+        pruneSessions();
+    });
+    return trashed;
+}
+
+/**
+ * Get how many days trashed books are kept
+ * @returns {number} Retention period in days
+ */
+export function getTrashRetentionDays() {
+    const days = parseInt(settings.trashRetentionDays, 10);
+    return days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Permanently delete books that have been in the trash longer than the retention period.
+ * This is housekeeping, so it is not recorded in the undo history.
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {number} Number of books purged
+ */
+export function purgeExpiredTrash(now = new Date()) {
+    const cutoff = now.getTime() - getTrashRetentionDays() * 24 * 60 * 60 * 1000;
+    const kept = books.filter(book => !book.deletedAt || new Date(book.deletedAt).getTime() > cutoff);
+    const purged = books.length - kept.length;
+
+    if (purged > 0) {
+        books = kept;
+        saveBooks(books);
+        pruneSessions();
     }
-    return false;
+    return purged;
+}
+
+/**
+ * Resolve status and start/finish dates for a status change.
+ * Moving into 'reading' stamps a start date, 'finished' stamps a finish
+ * date, 'abandoned' keeps the start date only if the book was started,
+ * and going back to 'to-read' clears both.
+ * @param {Object} previous - Current book (empty object for new books)
+ * @param {Object} updates - Incoming fields
+ * @returns {Object} { status, startDate, finishDate }
+ */
+export function applyStatusTransition(previous, updates) {
+    const today = getTodayDate();
+    const status = updates.status || previous.status || 'to-read';
+    let startDate = ('startDate' in updates ? updates.startDate : previous.startDate) || null;
+    let finishDate = ('finishDate' in updates ? updates.finishDate : previous.finishDate) || null;
+
+    switch (status) {
+        case 'to-read':
+            startDate = null;
+            finishDate = null;
+            break;
+
+        case 'reading':
+            startDate = startDate || today;
+            finishDate = null;
+            break;
+
+        case 'finished':
+            finishDate = finishDate || today;
+            startDate = startDate || finishDate;
+            break;
+
+        case 'abandoned':
+            finishDate = null;
+            break;
+    }
+
+    return { status, startDate, finishDate };
+}
+
+/**
+ * Fill in a status for books saved before statuses existed (LEGACY_STATUS)
+ * @param {Object} book - Book object
+ * @returns {Object} Book with status fields
+ */
+function withDefaultStatus(book) {
+    if (book.status) return book;
+
+    return {
+        ...book,
+        status: LEGACY_STATUS,
+        startDate: book.startDate || null,
+        finishDate: book.finishDate || book.date || null
+    };
 }
 
 /**
@@ -124,13 +342,809 @@ export function updateSettings(newSettings) {
     });
 }
 
+/**
+ * Get saved searches (smart shelves)
+ * @returns {Array} Array of shelves ({ id, name, pattern, mode, caseSensitive, sort, status })
+ */
+export function getShelves() {
+    return [...(settings.shelves || [])];
+}
+
+/**
+ * Save a search as a named smart shelf.
+ * Saving under an existing name replaces that shelf.
+ * @param {Object} shelfData - { name, pattern, mode, caseSensitive, sort, status, rating, tags, tagMode }
+ * @returns {Object} The saved shelf
+ */
+export function saveShelf(shelfData) {
+    const shelves = getShelves();
+    const name = shelfData.name.trim();
+    const existing = shelves.find(shelf => shelf.name.toLowerCase() === name.toLowerCase());
+
+    const shelf = {
+        id: existing ? existing.id : `shelf_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+        name,
+        pattern: shelfData.pattern || '',
+        mode: shelfData.mode || 'regex',
+        caseSensitive: Boolean(shelfData.caseSensitive),
+        sort: shelfData.sort || 'date-desc',
+        status: shelfData.status || '',
+        rating: shelfData.rating || '',
+        tags: toTags(shelfData.tags || []),
+        tagMode: shelfData.tagMode === 'all' ? 'all' : 'any'
+    };
+
+    updateSettings({
+        shelves: existing
+            ? shelves.map(item => (item.id === existing.id ? shelf : item))
+            : [...shelves, shelf]
+    });
+    return shelf;
+}
+
+/**
+ * Delete a smart shelf
+ * @param {string} id - Shelf ID
+ * @returns {boolean} Success status
+ */
+export function deleteShelf(id) {
+    const shelves = getShelves();
+    const remaining = shelves.filter(shelf => shelf.id !== id);
+
+    if (remaining.length < shelves.length) {
+        updateSettings({ shelves: remaining });
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Get per-tag settings (chosen colour and parent tag)
+ * @returns {Object} Tag settings keyed by tagKey ({ color, parent })
+ */
+export function getTagInfo() {
+    return { ...(settings.tagInfo || {}) };
+}
+
+/**
+ * Rename a tag, or merge several tags into one, on every book (trashed ones included)
+ * and in tag settings and smart shelves, as one undoable change
+ * @param {Array} sources - Tags to rename or merge
+ * @param {string} target - New tag name
+ * @returns {number} Number of books changed
+ */
+export function renameTags(sources, target) {
+    const label = sources.length === 1
+        ? `Rename tag "${sources[0]}" to "${target}"`
+        : `Merge ${sources.length} tags into "${target}"`;
+
+    return recordHistory(label, () => {
+        const now = new Date().toISOString();
+        let changed = 0;
+
+        books = books.map(book => {
+            const tags = getBookTags(book);
+            const renamed = replaceTags(tags, sources, target);
+            if (renamed.join('\n') === tags.join('\n')) return book;
+
+            changed++;
+            return { ...book, tags: renamed, updatedAt: now };
+        });
+        saveBooks(books);
+
+        updateSettings({
+            tagInfo: renameTagInfo(getTagInfo(), sources, target),
+            shelves: getShelves().map(shelf => ({ ...shelf, tags: replaceTags(shelf.tags || [], sources, target) }))
+        });
+        return changed;
+    });
+}
+
+/**
+ * Choose the colour a tag is shown in
+ * @param {string} tag - Tag
+ * @param {string} color - CSS colour ('' to go back to the automatic colour)
+ */
+export function setTagColor(tag, color) {
+    recordHistory(`Change color of tag "${tag}"`, () => {
+        updateTagInfo(tag, { color });
+    });
+}
+
+/**
+ * Nest a tag under a parent tag (e.g. Fantasy under Fiction)
+ * @param {string} tag - Tag
+ * @param {string} parent - Parent tag ('' for a top-level tag)
+ * @returns {boolean} False if the parent is the tag itself or one of its subtags
+ */
+export function setTagParent(tag, parent) {
+    const tagInfo = getTagInfo();
+    if (!canNestTag(tag, parent, tagInfo)) return false;
+
+    recordHistory(parent ? `Move tag "${tag}" under "${parent}"` : `Make "${tag}" a top-level tag`, () => {
+        updateTagInfo(tag, { parent });
+    });
+    return true;
+}
+
+/**
+ * Update the settings of one tag, dropping empty values
+ * @param {string} tag - Tag
+ * @param {Object} changes - { color, parent }
+ */
+function updateTagInfo(tag, changes) {
+    const tagInfo = getTagInfo();
+    const info = Object.fromEntries(
+        Object.entries({ ...tagInfo[tagKey(tag)], ...changes }).filter(([, value]) => value)
+    );
+
+    if (Object.keys(info).length > 0) {
+        tagInfo[tagKey(tag)] = info;
+    } else {
+        delete tagInfo[tagKey(tag)];
+    }
+    updateSettings({ tagInfo });
+}
+
 /**
  * Set all books (used for import)
  * @param {Array} newBooks - Array of books
+ * @param {string} label - Description shown in the undo history
+ * @param {Object|null} newSettings - Settings restored with the books (from a versioned export),
+ *   undone together with them
+ */
+export function setBooks(newBooks, label = 'Replace library', newSettings = null) {
+    recordHistory(label, () => {
+        const ids = new Set();
+        books = newBooks.map(book => withDefaultStatus(withIdentity(book, ids)));
+        saveBooks(books);
+        pruneSessions();
+        if (newSettings) updateSettings(newSettings);
+    });
+}
+
+/**
+ * Give imported books without an ID (e.g. CSV rows) a unique ID and timestamps
+ * @param {Object} book - Book object
+ * @param {Set} ids - IDs already used in the new library (updated in place)
+ * @returns {Object} Book with id, createdAt and updatedAt
+ */
+function withIdentity(book, ids) {
+    if (book.id && !ids.has(book.id) && book.createdAt && book.updatedAt) {
+        ids.add(book.id);
+        return book;
+    }
+
+    let id = book.id && !ids.has(book.id) ? book.id : generateId();
+    while (ids.has(id)) id = generateId(); // generateId can repeat within one millisecond
+    ids.add(id);
+
+    const now = new Date().toISOString();
+    return {
+        ...book,
+        id,
+        createdAt: book.createdAt || now,
+        updatedAt: book.updatedAt || book.createdAt || now
+    };
+}
+
+/**
+ * Plan merging imported books into the library without changing anything.
+ * Imported books get the same defaults as stored ones so legacy exports compare cleanly.
+ * @param {Array} incomingBooks - Books from the import file
+ * @returns {Object} Merge plan from planMerge
+ */
+export function planImportMerge(incomingBooks) {
+    return planMerge(books, incomingBooks.map(withDefaultStatus));
+}
+
+/**
+ * Apply a merge plan as a single undoable change.
+ * Matched books keep their library ID so their reading sessions stay linked.
+ * @param {Object} plan - Plan from planImportMerge
+ * @param {Object} choices - Existing book ID to 'mine' or 'theirs' for each conflict
+ * @returns {Object} { added, updated, kept } counts
+ */
+export function applyMerge(plan, choices = {}) {
+    const now = new Date().toISOString();
+    const replacements = new Map();
+    const summary = { added: plan.added.length, updated: plan.updated.length, kept: 0 };
+
+    const takeTheirs = ({ incoming, existing }) => {
+        replacements.set(existing.id, {
+            ...incoming,
+            id: existing.id,
+            createdAt: existing.createdAt || incoming.createdAt || now,
+            updatedAt: incoming.updatedAt || now
+        });
+    };
+
+    plan.updated.forEach(takeTheirs);
+    plan.conflicts.forEach(conflict => {
+        if (choices[conflict.existing.id] === 'theirs') {
+            takeTheirs(conflict);
+            summary.updated++;
+        } else {
+            summary.kept++;
+        }
+    });
+
+    const merged = books.map(book => replacements.get(book.id) || book);
+    const ids = new Set(merged.map(book => book.id));
+
+    plan.added.forEach(({ incoming }) => {
+        let id = incoming.id && !ids.has(incoming.id) ? incoming.id : generateId();
+        while (ids.has(id)) id = generateId(); // generateId can repeat within one millisecond
+        ids.add(id);
+        merged.push({
+            ...incoming,
+            id,
+            createdAt: incoming.createdAt || now,
+            updatedAt: incoming.updatedAt || now
+        });
+    });
+
+    setBooks(merged, `Merge import (${summary.added} added, ${summary.updated} updated)`);
+    return summary;
+}
+
+/**
+ * Start applying changes saved in other tabs of the app
+ * @param {Function} onChange - Called with the result of applyRemoteChanges after each remote save
+ */
+export function startSync(onChange) {
+    onRemoteChanges(message => onChange(applyRemoteChanges(message)));
+}
+
+/**
+ * Apply changes saved by another tab.
+ * A book edited here since the other tab loaded it (its updatedAt is neither the
+ * other tab's base nor the new value) is a conflict: this tab's copy is kept
+ * until resolveSyncConflict is called. Sessions, settings, history and snapshots
+ * are merged record by record (settings key by key), so changes made in this tab
+ * to other records survive. Remote changes are not added to the undo history.
+ * @param {Object} message - { put: Array<{ book, base }>, remove: Array of ids },
+ *   or { store, changes } for the other stores
+ * @returns {Object} { changedIds: Array, conflicts: Array<{ mine, theirs }>, store }
+ */
+export function applyRemoteChanges(message) {
+    if (message.store) {
+        applyRemoteStoreChanges(message.store, message.changes);
+        return { changedIds: [], conflicts: [], store: message.store };
+    }
+
+    const { put, remove } = message;
+    const byId = new Map(books.map(book => [book.id, book]));
+    const changedIds = [];
+    const conflicts = [];
+
+    put.forEach(({ book, base }) => {
+        const mine = byId.get(book.id);
+
+        if (mine && mine.updatedAt !== base && mine.updatedAt !== book.updatedAt) {
+            conflicts.push({ mine, theirs: book });
+            return;
+        }
+
+        byId.set(book.id, book);
+        changedIds.push(book.id);
+    });
+
+    remove.forEach(id => {
+        if (byId.delete(id)) changedIds.push(id);
+    });
+
+    books = [...byId.values()];
+    return { changedIds, conflicts, store: 'books' };
+}
+
+/**
+ * Merge another tab's changes to one of the stores besides books
+ * @param {string} store - 'sessions', 'settings', 'history' or 'snapshots'
+ * @param {Object} changes - Changes from the other tab
+ */
+function applyRemoteStoreChanges(store, changes) {
+    if (store === 'sessions') {
+        sessions = mergeStoreChanges(store, sessions, changes);
+    } else if (store === 'settings') {
+        settings = mergeStoreChanges(store, settings, changes);
+    } else if (store === 'snapshots') {
+        snapshots = mergeStoreChanges(store, snapshots, changes);
+    } else if (store === 'history') {
+        const merged = mergeStoreChanges(store, history, changes);
+        history = { undo: merged.undo.slice(-HISTORY_LIMIT), redo: merged.redo.slice(-HISTORY_LIMIT) };
+    }
+}
+
+/**
+ * Settle a cross-tab conflict by saving the chosen copy, which every tab then picks up
+ * @param {Object} conflict - { mine, theirs } from applyRemoteChanges
+ * @param {string} choice - 'mine' or 'theirs'
+ * @returns {Object} The saved book
+ */
+export function resolveSyncConflict({ mine, theirs }, choice) {
+    // Keeping mine restamps it so it is the newest copy everywhere
+    const winner = choice === 'theirs'
+        ? { ...theirs }
+        : { ...mine, updatedAt: new Date().toISOString() };
+
+    books = books.some(book => book.id === winner.id)
+        ? books.map(book => book.id === winner.id ? winner : book)
+        : [...books, winner];
+    saveBooks(books);
+    return winner;
+}
+
+/**
+ * Turn on encryption at rest and rewrite the library encrypted
+ * @param {string} passphrase - New vault passphrase
+ * @returns {Promise<boolean>} True once everything is rewritten
+ */
+export function encryptVault(passphrase) {
+    return enableEncryption(passphrase, { books, settings, sessions, history: savedHistory(), snapshots });
+}
+
+/**
+ * Re-encrypt the library under a new passphrase
+ * @param {string} currentPassphrase - Current vault passphrase
+ * @param {string} newPassphrase - New vault passphrase
+ * @returns {Promise<boolean>} False if the current passphrase is wrong
+ */
+export function changeVaultPassphrase(currentPassphrase, newPassphrase) {
+    return changePassphrase(currentPassphrase, newPassphrase, { books, settings, sessions, history: savedHistory(), snapshots });
+}
+
+/**
+ * Turn off encryption and rewrite the library in plain text
+ * @param {string} passphrase - Current vault passphrase
+ * @returns {Promise<boolean>} False if the passphrase is wrong
+ */
+export function decryptVault(passphrase) {
+    return disableEncryption(passphrase, { books, settings, sessions, history: savedHistory(), snapshots });
+}
+
+/**
+ * Get how many snapshots are kept
+ * @returns {number} Snapshot limit
+ */
+export function getSnapshotLimit() {
+    const limit = parseInt(settings.snapshotLimit, 10);
+    return limit > 0 ? limit : DEFAULT_SNAPSHOT_LIMIT;
+}
+
+/**
+ * Save a copy of the whole library, dropping the oldest snapshots beyond the limit.
+ * An empty library is not worth restoring, so no snapshot is taken for it.
+ * @param {string} reason - Why the snapshot was taken (e.g. 'Before import')
+ * @param {string|null} keepId - Snapshot never dropped for this one (the one being restored)
+ * @returns {Object|null} The snapshot, or null if none was taken
+ */
+export function takeSnapshot(reason, keepId = null) {
+    if (books.length === 0) return null;
+
+    const snapshot = {
+        id: `snapshot_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+        takenAt: new Date().toISOString(),
+        reason,
+        schemaVersion: SCHEMA_VERSION,
+        books: [...books]
+    };
+
+    const excess = snapshots.length + 1 - getSnapshotLimit();
+    const dropped = new Set(snapshots
+        .filter(item => item.id !== keepId)
+        .slice(0, Math.max(excess, 0))
+        .map(item => item.id));
+
+    snapshots = [...snapshots.filter(item => !dropped.has(item.id)), snapshot];
+    persistSnapshots();
+    return snapshot;
+}
+
+/**
+ * Drop the oldest snapshots beyond the current limit
+ */
+export function pruneSnapshots() {
+    const kept = snapshots.slice(-getSnapshotLimit());
+    if (kept.length !== snapshots.length) {
+        snapshots = kept;
+        persistSnapshots();
+    }
+}
+
+/**
+ * Save the snapshots, forgetting the ones storage had no room for
+ */
+function persistSnapshots() {
+    const saving = snapshots;
+
+    saveSnapshots(saving).then(kept => {
+        const dropped = new Set(saving.filter(snapshot => !kept.includes(snapshot)).map(snapshot => snapshot.id));
+        snapshots = snapshots.filter(snapshot => !dropped.has(snapshot.id));
+    });
+}
+
+/**
+ * Check whether a snapshot was taken today (in local time)
+ * @param {Object} snapshot - Snapshot
+ * @returns {boolean} True if taken today
+ */
+function takenToday(snapshot) {
+    return new Date(snapshot.takenAt).toDateString() === new Date().toDateString();
+}
+
+/**
+ * Get snapshots, newest first
+ * @returns {Array} Snapshots ({ id, takenAt, reason, schemaVersion, books })
+ */
+export function getSnapshots() {
+    return [...snapshots].reverse();
+}
+
+/**
+ * Summarise how the current library differs from a snapshot (trashed books included)
+ * @param {Object} snapshot - Snapshot from getSnapshots
+ * @returns {Object} { added, removed, changed } book counts since the snapshot
+ */
+export function compareSnapshot(snapshot) {
+    const current = new Map(books.map(book => [book.id, book]));
+    const summary = { added: 0, removed: 0, changed: 0 };
+
+    snapshot.books.forEach(book => {
+        const now = current.get(book.id);
+        if (!now) {
+            summary.removed++;
+        } else if (now !== book && diffFields(book, now).length > 0) {
+            summary.changed++;
+        }
+        current.delete(book.id);
+    });
+    summary.added = current.size;
+
+    return summary;
+}
+
+/**
+ * Replace the library with a snapshot as a single undoable change, snapshotting the
+ * current library first. Snapshots taken before a schema change are upgraded first.
+ * @param {string} id - Snapshot ID
+ * @returns {boolean} Success status
+ */
+export function restoreSnapshot(id) {
+    const snapshot = snapshots.find(item => item.id === id);
+    if (!snapshot) return false;
+
+    const upgraded = upgradeData({ schemaVersion: snapshot.schemaVersion, books: snapshot.books });
+    if (!upgraded.valid) {
+        console.error('Error restoring snapshot:', upgraded.errors.join(', '));
+        return false;
+    }
+
+    // The snapshot being restored is not the one dropped to make room at the limit
+    takeSnapshot('Before restore', id);
+    setBooks(upgraded.books, `Restore snapshot from ${snapshot.takenAt.split('T')[0]}`);
+    return true;
+}
+
+/**
+ * Get reading sessions for a book, oldest first
+ * @param {string} bookId - Book ID
+ * @returns {Array} Array of sessions
+ */
+export function getSessions(bookId) {
+    return sessions
+        .filter(session => session.bookId === bookId)
+        .sort((a, b) => a.date.localeCompare(b.date) || a.startPage - b.startPage);
+}
+
+/**
+ * Log a reading session against a book.
+ * A to-read book moves to 'reading' once a session is logged.
+ * @param {string} bookId - Book ID
+ * @param {Object} sessionData - { date, startPage, endPage, minutes }
+ * @returns {Object|null} The created session or null if the book does not exist
+ */
+export function addSession(bookId, sessionData) {
+    const book = getBookById(bookId);
+    if (!book) return null;
+
+    return recordHistory(`Log session for "${book.title}"`, () => addSessionRecord(book, sessionData));
+}
+
+/**
+ * Create and store a session (recorded in history by addSession)
+ * @param {Object} book - Book the session belongs to
+ * @param {Object} sessionData - { date, startPage, endPage, minutes }
+ * @returns {Object} The created session
+ */
+function addSessionRecord(book, sessionData) {
+    const bookId = book.id;
+    const newSession = {
+        id: `session_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+        bookId,
+        date: sessionData.date,
+        startPage: parseInt(sessionData.startPage, 10),
+        endPage: parseInt(sessionData.endPage, 10),
+        minutes: parseInt(sessionData.minutes, 10),
+        createdAt: new Date().toISOString()
+    };
+
+    sessions.push(newSession);
+    saveSessions(sessions);
+
+    if (getBookStatus(book) === 'to-read') {
+        updateBook(bookId, { status: 'reading', startDate: newSession.date });
+    }
+
+    return newSession;
+}
+
+/**
+ * Delete a reading session
+ * @param {string} id - Session ID
+ * @returns {boolean} Success status
+ */
+export function deleteSession(id) {
+    if (!sessions.some(session => session.id === id)) return false;
+
+    return recordHistory('Delete reading session', () => {
+        sessions = sessions.filter(session => session.id !== id);
+        saveSessions(sessions);
+        return true;
+    });
+}
+
+/**
+ * Get the number of distinct pages read in a book.
+ * Overlapping session ranges are only counted once, and a finished
+ * book counts in full even if no sessions were logged.
+ * @param {Object} book - Book object
+ * @returns {number} Pages read
+ */
+export function getPagesRead(book) {
+    const totalPages = parseInt(book.pages || 0);
+    if (getBookStatus(book) === 'finished') return totalPages;
+
+    const ranges = getSessions(book.id)
+        .map(session => [session.startPage, session.endPage])
+        .sort((a, b) => a[0] - b[0]);
+
+    let read = 0;
+    let coveredUntil = -Infinity;
+    for (const [start, end] of ranges) {
+        const from = Math.max(start, coveredUntil);
+        if (end > from) {
+            read += end - from;
+            coveredUntil = end;
+        }
+    }
+
+    return Math.min(read, totalPages);
+}
+
+/**
+ * Drop sessions whose book no longer exists
+ */
+function pruneSessions() {
+    const ids = new Set(books.map(book => book.id));
+    const kept = sessions.filter(session => ids.has(session.bookId));
+
+    if (kept.length !== sessions.length) {
+        sessions = kept;
+        saveSessions(sessions);
+    }
+}
+
+/**
+ * Run a mutation and record how to reverse it.
+ * Nested calls (e.g. addSession updating the book status) are folded into
+ * the outermost entry so one undo reverses the whole action.
+ * @param {string} label - Description of the change (e.g. 'Delete "Dune"')
+ * @param {Function} mutate - Function that changes books and/or sessions
+ * @returns {*} Return value of mutate
+ */
+function recordHistory(label, mutate) {
+    if (historyDepth > 0) return mutate();
+
+    // Keep the library as it was before the day's first change
+    if (!snapshots.some(takenToday)) {
+        takeSnapshot('Start of day');
+    }
+
+    const booksBefore = [...books];
+    const sessionsBefore = [...sessions];
+    const settingsBefore = settings;
+
+    historyDepth++;
+    let result;
+    try {
+        result = mutate();
+    } finally {
+        historyDepth--;
+    }
+
+    const entry = {
+        id: `history_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+        label,
+        timestamp: new Date().toISOString(),
+        books: diffRecords(booksBefore, books),
+        sessions: diffRecords(sessionsBefore, sessions),
+        settings: diffSettings(settingsBefore, settings)
+    };
+
+    if (entry.books.length > 0 || entry.sessions.length > 0 || entry.settings) {
+        history.undo = [...history.undo, entry].slice(-HISTORY_LIMIT);
+        history.redo = [];
+        saveHistory(savedHistory());
+    }
+
+    return result;
+}
+
+/**
+ * List the records that changed between two versions of a collection.
+ * Records are replaced rather than mutated, so reference equality is enough.
+ * @param {Array} before - Records before the change
+ * @param {Array} after - Records after the change
+ * @returns {Array} Changes ({ id, before, after, beforeIndex, afterIndex })
+ */
+function diffRecords(before, after) {
+    const changes = [];
+    const afterById = new Map(after.map((record, index) => [record.id, { record, index }]));
+    const seen = new Set();
+
+    before.forEach((record, index) => {
+        const match = afterById.get(record.id);
+        seen.add(record.id);
+        if (!match || match.record !== record) {
+            changes.push({
+                id: record.id,
+                before: record,
+                after: match ? match.record : null,
+                beforeIndex: index,
+                afterIndex: match ? match.index : -1
+            });
+        }
+    });
+
+    after.forEach((record, index) => {
+        if (!seen.has(record.id)) {
+            changes.push({ id: record.id, before: null, after: record, beforeIndex: -1, afterIndex: index });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Find the settings changed by an action (e.g. tag colours), to undo them with the books
+ * @param {Object} before - Settings before the change
+ * @param {Object} after - Settings after the change
+ * @returns {Object|null} { before, after } holding only the changed keys, or null if none changed
+ */
+function diffSettings(before, after) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(key => before[key] !== after[key]);
+    if (keys.length === 0) return null;
+
+    return {
+        before: Object.fromEntries(keys.map(key => [key, before[key]])),
+        after: Object.fromEntries(keys.map(key => [key, after[key]]))
+    };
+}
+
+/**
+ * Apply one side of a list of changes to a collection.
+ * A record changed since (e.g. saved in another tab) keeps that newer version.
+ * @param {Array} records - Current records
+ * @param {Array} changes - Changes from diffRecords
+ * @param {string} side - 'before' (undo) or 'after' (redo)
+ * @returns {Array} Updated records
  */
-export function setBooks(newBooks) {
-    books = newBooks;
+function applyChanges(records, changes, side) {
+    const indexKey = side === 'before' ? 'beforeIndex' : 'afterIndex';
+    const otherSide = side === 'before' ? 'after' : 'before';
+    const current = new Map(records.map(record => [record.id, record]));
+    const applicable = changes.filter(change => sameVersion(current.get(change.id) || null, change[otherSide]));
+    const changedIds = new Set(applicable.map(change => change.id));
+    const result = records.filter(record => !changedIds.has(record.id));
+
+    // Re-insert in ascending index order so original positions are restored
+    applicable
+        .filter(change => change[side])
+        .sort((a, b) => a[indexKey] - b[indexKey])
+        .forEach(change => {
+            result.splice(Math.min(change[indexKey], result.length), 0, change[side]);
+        });
+
+    return result;
+}
+
+/**
+ * Check whether two copies of a record are the same version
+ * (by updatedAt for books, by content for records without one)
+ * @param {Object|null} a - Record, or null if it does not exist
+ * @param {Object|null} b - Record, or null if it does not exist
+ * @returns {boolean} True if they are the same version
+ */
+function sameVersion(a, b) {
+    if (a === b) return true;
+    if (!a || !b) return false;
+
+    return 'updatedAt' in a ? a.updatedAt === b.updatedAt : JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Undo the most recent change
+ * @returns {string|null} Label of the undone change or null if nothing to undo
+ */
+export function undo() {
+    const entry = history.undo[history.undo.length - 1];
+    if (!entry) return null;
+
+    books = applyChanges(books, entry.books, 'before');
+    sessions = applyChanges(sessions, entry.sessions, 'before');
+    if (entry.settings) updateSettings(entry.settings.before);
+    history.undo = history.undo.slice(0, -1);
+    history.redo = [...history.redo, entry].slice(-HISTORY_LIMIT);
+    persistAfterHistoryMove();
+    return entry.label;
+}
+
+/**
+ * Redo the most recently undone change
+ * @returns {string|null} Label of the redone change or null if nothing to redo
+ */
+export function redo() {
+    const entry = history.redo[history.redo.length - 1];
+    if (!entry) return null;
+
+    books = applyChanges(books, entry.books, 'after');
+    sessions = applyChanges(sessions, entry.sessions, 'after');
+    if (entry.settings) updateSettings(entry.settings.after);
+    history.redo = history.redo.slice(0, -1);
+    history.undo = [...history.undo, entry].slice(-HISTORY_LIMIT);
+    persistAfterHistoryMove();
+    return entry.label;
+}
+
+/**
+ * Check whether there is a change to undo
+ * @returns {boolean} True if undo is possible
+ */
+export function canUndo() {
+    return history.undo.length > 0;
+}
+
+/**
+ * Check whether there is a change to redo
+ * @returns {boolean} True if redo is possible
+ */
+export function canRedo() {
+    return history.redo.length > 0;
+}
+
+/**
+ * Save books, sessions and history after an undo or redo
+ */
+function persistAfterHistoryMove() {
     saveBooks(books);
+    saveSessions(sessions);
+    saveHistory(savedHistory());
+}
+
+/**
+ * Get the part of the history that is saved: the entries too large to store are left out,
+ * with the ones that could only be undone or redone after them
+ * @returns {Object} { undo: Array, redo: Array }
+ */
+function savedHistory() {
+    const isLarge = entry => entry.books.length + entry.sessions.length > SAVED_HISTORY_CHANGE_LIMIT;
+
+    return {
+        undo: history.undo.slice(history.undo.findLastIndex(isLarge) + 1),
+        redo: history.redo.slice(history.redo.findLastIndex(isLarge) + 1)
+    };
 }
 
 /**
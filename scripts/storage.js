@@ -1,19 +1,197 @@
 /**
  * storage.js
- * Handles localStorage persistence for books data
+ * Handles persistence for books data (IndexedDB when available, otherwise localStorage),
+ * encrypting everything at rest while the vault is unlocked
  */
 
+import { BOOK_STATUSES, validateBook, validateContributors, validateTags, validateSeries, validateRating, validateIsbn } from './validators.js';
+import { parseContributors, formatContributors, toContributors } from './contributors.js';
+import { toTags, formatTags } from './tags.js';
+import { parseCSV, formatCSV } from './csv.js';
+import { toIsbn13, hyphenateIsbn } from './isbn.js';
+import { normalizeText } from './text.js';
+import {
+    openBookDatabase,
+    readAllBooks,
+    readSchemaVersion,
+    readBooksByIndex,
+    hasIndexValue,
+    writeBookChanges
+} from './indexeddb.js';
+import { SCHEMA_VERSION, createEnvelope, upgradeData, migrateData } from './schema.js';
+import {
+    isVaultUnlocked,
+    verifyPassphrase,
+    createVaultKey,
+    useVaultKey,
+    writeVaultHeader,
+    removeVaultHeader,
+    sealValue,
+    openValue,
+    encryptExport,
+    decryptExport,
+    isEncryptedExport
+} from './vault.js';
+
 const STORAGE_KEY = 'booksVault:data';
 const SETTINGS_KEY = 'booksVault:settings';
+const SESSIONS_KEY = 'booksVault:sessions';
+const HISTORY_KEY = 'booksVault:history';
+const SNAPSHOTS_KEY = 'booksVault:snapshots';
+
+// BroadcastChannel name, and the localStorage key used instead where it is unsupported
+const SYNC_CHANNEL = 'booksVault:sync';
+
+// IndexedDB backend: the open database and the books read at startup
+let bookDatabase = null;
+let cachedBooks = [];
+
+// Last saved copy of every record, to write and broadcast only what changed
+let savedRecords = new Map();
+
+// Last saved (or received) value of the other stores other tabs are told about record by record
+let savedStores = {};
+
+// Cross-tab sync: this tab's id, the open channel and the state listener
+const tabId = `tab_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+let syncChannel = null;
+let remoteChangeListener = null;
+
+// Encrypted mode: decrypted localStorage values by key, read once after unlocking
+let vaultCache = null;
+
+// Asynchronous writes (IndexedDB and encryption) run one after another in save order
+let writeQueue = Promise.resolve(true);
+
+// Told when a save fails, including the asynchronous writes that finish after saveBooks returns
+let saveErrorListener = null;
+
+// Book fields written to and read from CSV, in column order
+export const CSV_COLUMNS = [
+    'id', 'title', 'author', 'pages', 'isbn', 'tags', 'series', 'seriesIndex', 'date', 'status',
+    'startDate', 'finishDate', 'rating', 'review', 'notes', 'createdAt', 'updatedAt', 'deletedAt'
+];
+
+// Header names (lowercase, without spaces/punctuation) recognised for each field
+const CSV_HEADER_ALIASES = {
+    id: ['id', 'bookid'],
+    title: ['title', 'booktitle', 'bookname', 'name'],
+    author: ['author', 'authors', 'writer', 'by', 'contributors'],
+    pages: ['pages', 'pagecount', 'numberofpages', 'numpages', 'length'],
+    isbn: ['isbn', 'isbn13', 'isbn10', 'isbnuid'],
+    tags: ['tags', 'tag', 'genres', 'genre', 'categories', 'category', 'shelves', 'shelf'],
+    series: ['series', 'seriesname'],
+    seriesIndex: ['seriesindex', 'seriesnumber', 'volume', 'numberinseries'],
+    date: ['date', 'dateadded', 'added'],
+    status: ['status', 'readingstatus', 'state'],
+    startDate: ['startdate', 'started', 'datestarted'],
+    finishDate: ['finishdate', 'finished', 'datefinished', 'dateread', 'completed'],
+    rating: ['rating', 'myrating', 'starrating', 'stars', 'score'],
+    review: ['review', 'myreview'],
+    notes: ['notes', 'note', 'comments', 'comment'],
+    createdAt: ['createdat', 'created'],
+    updatedAt: ['updatedat', 'updated', 'modified'],
+    deletedAt: ['deletedat', 'deleted']
+};
+
+/**
+ * Open the IndexedDB book store, moving books saved in localStorage into it.
+ * Falls back to localStorage when IndexedDB is unavailable or the migration fails.
+ * @returns {Promise<string>} Active backend: 'indexeddb' or 'localStorage'
+ */
+export function initStorage() {
+    return loadVaultCache()
+        .then(() => openBookDatabase())
+        .then(db => {
+            if (!db) return 'localStorage';
+
+            return Promise.all([readAllBooks(db).then(openBookRecords), readSchemaVersion(db)])
+                .then(([records, version]) => {
+                    if (version > SCHEMA_VERSION) {
+                        throw new Error(`Stored books use schema version ${version}, newer than ${SCHEMA_VERSION}`);
+                    }
+
+                    const legacyBooks = readLocalBooks();
+
+                    if (records.length === 0 && legacyBooks.length > 0) {
+                        // One-time move; the localStorage copy is removed once the write commits
+                        return writeBookRecords(db, { put: legacyBooks, remove: [] }).then(saved => {
+                            if (!saved) throw new Error('Could not move books to IndexedDB');
+                            localStorage.removeItem(STORAGE_KEY);
+                            return legacyBooks;
+                        });
+                    }
+
+                    if (version < SCHEMA_VERSION) {
+                        const { books } = migrateData({ books: records, settings: null }, version);
+                        return writeBookRecords(db, { put: books, remove: [] }).then(() => books);
+                    }
+
+                    return records;
+                })
+                .then(records => {
+                    bookDatabase = db;
+                    cachedBooks = records;
+                    savedRecords = new Map(records.map(book => [book.id, book]));
+                    return 'indexeddb';
+                });
+        })
+        .catch(error => {
+            console.error('IndexedDB unavailable, using localStorage:', error);
+            bookDatabase = null;
+            return 'localStorage';
+        });
+}
+
+/**
+ * Get the storage backend in use
+ * @returns {string} 'indexeddb' or 'localStorage'
+ */
+export function getStorageBackend() {
+    return bookDatabase ? 'indexeddb' : 'localStorage';
+}
+
+/**
+ * Work out which records (books, or other records with an id) a save has to write or delete.
+ * Records are replaced rather than mutated, so a changed record is a new object.
+ * @param {Map} saved - Record id to the last written record
+ * @param {Array} books - Records to save
+ * @returns {Object} { put: Array of records, remove: Array of ids }
+ */
+export function diffBookRecords(saved, books) {
+    const ids = new Set(books.map(book => book.id));
+
+    return {
+        put: books.filter(book => saved.get(book.id) !== book),
+        remove: [...saved.keys()].filter(id => !ids.has(id))
+    };
+}
 
 /**
- * Load books data from localStorage
+ * Load books data
  * @returns {Array} Array of book objects
  */
 export function loadBooks() {
+    const books = bookDatabase ? [...cachedBooks] : readLocalBooks();
+    savedRecords = new Map(books.map(book => [book.id, book]));
+    return books;
+}
+
+/**
+ * Load books data from localStorage, upgrading older schema versions
+ * @returns {Array} Array of book objects
+ */
+function readLocalBooks() {
     try {
-        const data = localStorage.getItem(STORAGE_KEY);
-        return data ? JSON.parse(data) : [];
+        const data = readStored(STORAGE_KEY);
+        if (!data) return [];
+
+        const upgraded = upgradeData(data);
+        if (!upgraded.valid) {
+            console.error('Error loading books from localStorage:', upgraded.errors.join(', '));
+            return [];
+        }
+        return upgraded.books;
     } catch (error) {
         console.error('Error loading books from localStorage:', error);
         return [];
@@ -21,34 +199,558 @@ export function loadBooks() {
 }
 
 /**
- * Save books data to localStorage
+ * Save books data. With IndexedDB only added, changed and removed records are written.
  * @param {Array} books - Array of book objects to save
- * @returns {boolean} Success status
+ * @returns {boolean} Success status (IndexedDB and encrypted writes finish later and
+ *   report a failure to the onSaveError listener instead)
  */
 export function saveBooks(books) {
+    const previous = savedRecords;
+    const changes = diffBookRecords(previous, books);
+    savedRecords = new Map(books.map(book => [book.id, book]));
+
+    if (changes.put.length > 0 || changes.remove.length > 0) {
+        broadcastBookChanges(changes, previous);
+    }
+
+    if (bookDatabase) {
+        if (changes.put.length > 0 || changes.remove.length > 0) {
+            writeBookRecords(bookDatabase, changes);
+        }
+        return true;
+    }
+
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(books));
+        writeStored(STORAGE_KEY, { schemaVersion: SCHEMA_VERSION, books });
         return true;
     } catch (error) {
         console.error('Error saving books to localStorage:', error);
+        if (saveErrorListener) saveErrorListener(error);
+        return false;
+    }
+}
+
+/**
+ * Be told when saving fails, to warn that the latest changes may be lost
+ * @param {Function} listener - Called with the error
+ */
+export function onSaveError(listener) {
+    saveErrorListener = listener;
+}
+
+/**
+ * Find the saved books whose indexed field holds a value: through the IndexedDB index,
+ * or by going through the books with localStorage or while the vault is unlocked
+ * @param {string} field - A key of BOOK_INDEXES ('authorNames', 'tags' or 'date')
+ * @param {string} value - Contributor name, tag or date to look up
+ * @returns {Promise<Array>} Matching book objects, as of the last save
+ */
+export function findBooks(field, value) {
+    const scan = () => [...savedRecords.values()].filter(book => hasIndexValue(book, field, value));
+
+    // Pending writes go first so the index reflects the last save
+    return writeQueue.then(() => {
+        if (!bookDatabase || isVaultUnlocked()) return scan();
+
+        return readBooksByIndex(bookDatabase, field, value).catch(error => {
+            console.error('Error reading the IndexedDB index:', error);
+            return scan();
+        });
+    });
+}
+
+/**
+ * Write book records to IndexedDB, encrypting each one while the vault is unlocked
+ * (the indexes then stay empty)
+ * @param {IDBDatabase} db - Open database
+ * @param {Object} changes - { put: Array of books, remove: Array of ids }
+ * @returns {Promise<boolean>} Resolves once written (false if the write failed)
+ */
+function writeBookRecords(db, { put, remove }) {
+    return queueWrite(() => {
+        if (!isVaultUnlocked()) {
+            return writeBookChanges(db, { put, remove }, SCHEMA_VERSION);
+        }
+
+        return Promise.all(put.map(book => sealValue(book).then(sealed => ({ id: book.id, sealed }))))
+            .then(records => writeBookChanges(db, { put: records, remove }, SCHEMA_VERSION));
+    }, 'books to IndexedDB');
+}
+
+/**
+ * Decrypt book records read from IndexedDB (plain records are returned as they are)
+ * @param {Array} records - Stored records
+ * @returns {Promise<Array>} Book objects
+ */
+function openBookRecords(records) {
+    return Promise.all(records.map(record => record.sealed ? openValue(record.sealed) : record));
+}
+
+/**
+ * Queue an asynchronous write behind the ones already pending
+ * @param {Function} task - Returns a promise for the write
+ * @param {string} description - What is written, for error messages
+ * @returns {Promise<boolean>} Resolves when the write is done (false if it failed)
+ */
+function queueWrite(task, description) {
+    writeQueue = writeQueue.then(task).then(() => true, error => {
+        console.error(`Error saving ${description}:`, error);
+        if (saveErrorListener) saveErrorListener(error);
         return false;
+    });
+    return writeQueue;
+}
+
+/**
+ * Read a JSON value from localStorage (from the decrypted cache while the vault is unlocked)
+ * @param {string} key - localStorage key
+ * @returns {*} Parsed value, or null if nothing is stored
+ */
+function readStored(key) {
+    if (isVaultUnlocked()) {
+        return vaultCache?.[key] ?? null;
+    }
+
+    const data = localStorage.getItem(key);
+    return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Write a JSON value to localStorage, encrypted while the vault is unlocked
+ * (plain values are written immediately, encrypted ones through the write queue)
+ * @param {string} key - localStorage key
+ * @param {*} value - Value to store
+ * @returns {Promise<boolean>} Resolves once written (false if the write failed)
+ */
+function writeStored(key, value) {
+    if (!isVaultUnlocked()) {
+        localStorage.setItem(key, JSON.stringify(value));
+        return Promise.resolve(true);
+    }
+
+    vaultCache = { ...vaultCache, [key]: value };
+    return queueWrite(
+        () => sealValue(value).then(sealed => localStorage.setItem(key, JSON.stringify({ sealed }))),
+        key
+    );
+}
+
+/**
+ * Decrypt the encrypted localStorage values once the vault is unlocked
+ * @returns {Promise} Resolves when the cache is filled
+ */
+function loadVaultCache() {
+    if (!isVaultUnlocked()) {
+        vaultCache = null;
+        return Promise.resolve();
+    }
+
+    const keys = [STORAGE_KEY, SETTINGS_KEY, SESSIONS_KEY, HISTORY_KEY, SNAPSHOTS_KEY];
+
+    return Promise.all(keys.map(key => {
+        const data = localStorage.getItem(key);
+        const value = data ? JSON.parse(data) : null;
+        // Values written before encryption was turned on are still plain
+        return value?.sealed ? openValue(value.sealed) : value;
+    })).then(values => {
+        vaultCache = Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+    });
+}
+
+/**
+ * Turn on encryption and rewrite all stored data encrypted
+ * @param {string} passphrase - New vault passphrase
+ * @param {Object} data - { books, settings, sessions, history, snapshots } currently in memory
+ * @returns {Promise<boolean>} True once everything is rewritten
+ */
+export function enableEncryption(passphrase, data) {
+    return createVaultKey(passphrase).then(({ key, header }) => {
+        // The header goes first: leftover plain values are still readable after unlocking
+        writeVaultHeader(header);
+        useVaultKey(key);
+        vaultCache = {};
+        // Sync messages stored as a fallback for BroadcastChannel would stay in plain text
+        localStorage.removeItem(SYNC_CHANNEL);
+        return rewriteAll(data);
+    });
+}
+
+/**
+ * Re-encrypt all stored data under a new passphrase
+ * @param {string} currentPassphrase - Current vault passphrase
+ * @param {string} newPassphrase - New vault passphrase
+ * @param {Object} data - { books, settings, sessions, history, snapshots } currently in memory
+ * @returns {Promise<boolean>} False if the current passphrase is wrong
+ */
+export function changePassphrase(currentPassphrase, newPassphrase, data) {
+    return verifyPassphrase(currentPassphrase).then(valid => {
+        if (!valid) return false;
+
+        return createVaultKey(newPassphrase).then(({ key, header }) =>
+            writeQueue.then(() => {
+                writeVaultHeader(header);
+                useVaultKey(key);
+                return rewriteAll(data);
+            })
+        );
+    });
+}
+
+/**
+ * Turn off encryption and rewrite all stored data in plain text
+ * @param {string} passphrase - Current vault passphrase
+ * @param {Object} data - { books, settings, sessions, history, snapshots } currently in memory
+ * @returns {Promise<boolean>} False if the passphrase is wrong
+ */
+export function disableEncryption(passphrase, data) {
+    return verifyPassphrase(passphrase).then(valid => {
+        if (!valid) return false;
+
+        // Let pending encrypted writes finish before switching to plain text
+        return writeQueue.then(() => {
+            useVaultKey(null);
+            vaultCache = null;
+            return rewriteAll(data);
+        }).then(saved => {
+            // The header goes last: until then the data is still readable after unlocking
+            if (saved) removeVaultHeader();
+            return saved;
+        });
+    });
+}
+
+/**
+ * Rewrite every stored value with the current encryption setting
+ * @param {Object} data - { books, settings, sessions, history, snapshots }
+ * @returns {Promise<boolean>} True once every write succeeded
+ */
+function rewriteAll({ books, settings, sessions, history, snapshots }) {
+    savedRecords = new Map(books.map(book => [book.id, book]));
+    savedStores = { settings, sessions, history, snapshots };
+
+    const writes = [
+        bookDatabase
+            ? writeBookRecords(bookDatabase, { put: books, remove: [] })
+            : writeStored(STORAGE_KEY, { schemaVersion: SCHEMA_VERSION, books }),
+        writeStored(SETTINGS_KEY, settings),
+        writeStored(SESSIONS_KEY, sessions),
+        writeStored(HISTORY_KEY, history),
+        writeStored(SNAPSHOTS_KEY, snapshots)
+    ];
+
+    return Promise.all(writes).then(results => results.every(Boolean));
+}
+
+/**
+ * Start listening for changes saved by other tabs of the app
+ * @param {Function} listener - Called with each message: books as { put: Array<{ book, base }>,
+ *   remove: Array of ids }, where base is the updatedAt of the copy the other tab replaced;
+ *   the other stores as { store, changes } (see mergeStoreChanges)
+ */
+export function onRemoteChanges(listener) {
+    remoteChangeListener = listener;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+        syncChannel = new BroadcastChannel(SYNC_CHANNEL);
+        syncChannel.onmessage = (e) => receiveSyncMessage(e.data);
+    } else {
+        // Storage events only fire in the other tabs, which is exactly what is needed here
+        window.addEventListener('storage', (e) => {
+            if (e.key === SYNC_CHANNEL && e.newValue) {
+                receiveSyncMessage(JSON.parse(e.newValue));
+            }
+        });
+    }
+}
+
+/**
+ * Tell other tabs which records this tab just saved
+ * @param {Object} changes - { put, remove } from diffBookRecords
+ * @param {Map} previous - Records as saved before this change
+ */
+function broadcastBookChanges(changes, previous) {
+    postSyncMessage({
+        put: changes.put.map(book => ({ book, base: previous.get(book.id)?.updatedAt ?? null })),
+        remove: changes.remove
+    });
+}
+
+/**
+ * Tell other tabs what changed in a store kept under one localStorage key, so a tab
+ * holding an older copy merges the change instead of overwriting it with its next save
+ * @param {string} store - 'sessions', 'settings', 'history' or 'snapshots'
+ * @param {*} value - Value just saved
+ */
+function broadcastStoreChanges(store, value) {
+    const changes = diffStore(store, savedStores[store], value);
+    savedStores[store] = value;
+
+    if (changes) postSyncMessage({ store, changes });
+}
+
+/**
+ * Send a message to the other tabs
+ * @param {Object} message - Book or store changes
+ */
+function postSyncMessage(message) {
+    // Nothing is listening until sync has been started, and the
+    // localStorage fallback would leave decrypted data at rest
+    if (!remoteChangeListener || (!syncChannel && isVaultUnlocked())) return;
+
+    try {
+        if (syncChannel) {
+            syncChannel.postMessage({ ...message, source: tabId });
+        } else {
+            // sentAt makes every message a new value, so the storage event always fires
+            localStorage.setItem(SYNC_CHANNEL, JSON.stringify({ ...message, source: tabId, sentAt: Date.now() }));
+        }
+    } catch (error) {
+        console.error('Error broadcasting changes:', error);
     }
 }
 
+/**
+ * Record changes saved by another tab and pass them on to the state listener
+ * @param {Object} message - Message from postSyncMessage
+ */
+function receiveSyncMessage(message) {
+    if (!message || message.source === tabId) return;
+
+    // The other tab has already written these records
+    if (message.store) {
+        savedStores[message.store] = mergeStoreChanges(message.store, savedStores[message.store], message.changes);
+    } else {
+        message.put.forEach(({ book }) => savedRecords.set(book.id, book));
+        message.remove.forEach(id => savedRecords.delete(id));
+    }
+
+    remoteChangeListener(message);
+}
+
+/**
+ * Remember a store's value as loaded, to tell other tabs only what later saves change
+ * @param {string} store - Store name
+ * @param {*} value - Loaded value
+ * @returns {*} The value
+ */
+function loadedStore(store, value) {
+    savedStores[store] = value;
+    return value;
+}
+
+/**
+ * Work out what a save changes in a store: records by id (history per list),
+ * settings key by key
+ * @param {string} store - 'sessions', 'settings', 'history' or 'snapshots'
+ * @param {*} saved - Value as last saved, if any
+ * @param {*} value - Value being saved
+ * @returns {Object|null} Changes, or null if nothing changed
+ */
+function diffStore(store, saved, value) {
+    if (store === 'settings') {
+        const before = saved || {};
+        const put = Object.fromEntries(Object.entries(value).filter(([key, item]) => before[key] !== item));
+        const remove = Object.keys(before).filter(key => !(key in value));
+        return Object.keys(put).length > 0 || remove.length > 0 ? { put, remove } : null;
+    }
+
+    const diffList = (before = [], after) => diffBookRecords(new Map(before.map(record => [record.id, record])), after);
+    const isEmpty = changes => changes.put.length === 0 && changes.remove.length === 0;
+
+    if (store === 'history') {
+        const changes = { undo: diffList(saved?.undo, value.undo), redo: diffList(saved?.redo, value.redo) };
+        return isEmpty(changes.undo) && isEmpty(changes.redo) ? null : changes;
+    }
+
+    const changes = diffList(saved, value);
+    return isEmpty(changes) ? null : changes;
+}
+
+/**
+ * Apply another tab's changes to a store: changed records are replaced where they are,
+ * new ones added at the end and removed ones dropped (settings are merged key by key)
+ * @param {string} store - 'sessions', 'settings', 'history' or 'snapshots'
+ * @param {*} value - Value in this tab
+ * @param {Object} changes - Changes from the other tab ({ put, remove }; history: { undo, redo })
+ * @returns {*} Merged value
+ */
+export function mergeStoreChanges(store, value, changes) {
+    if (store === 'settings') {
+        const merged = { ...value, ...changes.put };
+        changes.remove.forEach(key => delete merged[key]);
+        return merged;
+    }
+
+    const mergeList = (list = [], { put, remove }) => {
+        const replacements = new Map(put.map(record => [record.id, record]));
+        const merged = list
+            .filter(record => !remove.includes(record.id))
+            .map(record => replacements.get(record.id) || record);
+        const ids = new Set(merged.map(record => record.id));
+        return [...merged, ...put.filter(record => !ids.has(record.id))];
+    };
+
+    if (store === 'history') {
+        return { undo: mergeList(value?.undo, changes.undo), redo: mergeList(value?.redo, changes.redo) };
+    }
+    return mergeList(value, changes);
+}
+
+/**
+ * Load reading sessions from localStorage
+ * @returns {Array} Array of session objects ({ id, bookId, date, startPage, endPage, minutes })
+ */
+export function loadSessions() {
+    try {
+        return loadedStore('sessions', readStored(SESSIONS_KEY) || []);
+    } catch (error) {
+        console.error('Error loading sessions from localStorage:', error);
+        return loadedStore('sessions', []);
+    }
+}
+
+/**
+ * Save reading sessions to localStorage
+ * @param {Array} sessions - Array of session objects to save
+ * @returns {boolean} Success status
+ */
+export function saveSessions(sessions) {
+    try {
+        writeStored(SESSIONS_KEY, sessions);
+        broadcastStoreChanges('sessions', sessions);
+        return true;
+    } catch (error) {
+        console.error('Error saving sessions to localStorage:', error);
+        return false;
+    }
+}
+
+/**
+ * Load undo/redo history from localStorage
+ * @returns {Object} { undo: Array, redo: Array }
+ */
+export function loadHistory() {
+    try {
+        const history = readStored(HISTORY_KEY);
+        // Entries saved before they had ids get ones every tab derives the same way
+        const withIds = (entries, list) => Array.isArray(entries)
+            ? entries.map((entry, index) => entry.id ? entry : { ...entry, id: `history_${list}_${index}_${entry.timestamp}` })
+            : [];
+        return loadedStore('history', {
+            undo: withIds(history?.undo, 'undo'),
+            redo: withIds(history?.redo, 'redo')
+        });
+    } catch (error) {
+        console.error('Error loading history from localStorage:', error);
+        return loadedStore('history', { undo: [], redo: [] });
+    }
+}
+
+/**
+ * Save undo/redo history to localStorage
+ * @param {Object} history - { undo: Array, redo: Array }
+ * @returns {boolean} Success status
+ */
+export function saveHistory(history) {
+    try {
+        writeStored(HISTORY_KEY, history);
+        broadcastStoreChanges('history', history);
+        return true;
+    } catch (error) {
+        console.error('Error saving history to localStorage:', error);
+        return false;
+    }
+}
+
+/**
+ * Load library snapshots from localStorage
+ * @returns {Array} Snapshots ({ id, takenAt, reason, schemaVersion, books }), oldest first
+ */
+export function loadSnapshots() {
+    try {
+        return loadedStore('snapshots', readStored(SNAPSHOTS_KEY) || []);
+    } catch (error) {
+        console.error('Error loading snapshots from localStorage:', error);
+        return loadedStore('snapshots', []);
+    }
+}
+
+/**
+ * Save library snapshots to localStorage. Each one is a full copy of the library, so when
+ * storage is full the oldest ones are dropped until the rest fit (while the vault is unlocked
+ * this happens in the queued encrypted write).
+ * @param {Array} snapshots - Snapshots to save, oldest first
+ * @returns {Promise<Array>} Resolves with the snapshots kept (already written without the vault)
+ */
+export function saveSnapshots(snapshots) {
+    // Other tabs are told about the snapshots that were actually kept
+    return writeSnapshots(snapshots).then(kept => {
+        broadcastStoreChanges('snapshots', kept);
+        return kept;
+    });
+}
+
+/**
+ * Write library snapshots, dropping the oldest ones while storage is full
+ * @param {Array} snapshots - Snapshots to save, oldest first
+ * @returns {Promise<Array>} Resolves with the snapshots kept
+ */
+function writeSnapshots(snapshots) {
+    if (!isVaultUnlocked()) {
+        return Promise.resolve(writeSnapshotsToFit(snapshots));
+    }
+
+    vaultCache = { ...vaultCache, [SNAPSHOTS_KEY]: snapshots };
+    let kept = snapshots;
+
+    const write = () => sealValue(kept).then(sealed => {
+        try {
+            localStorage.setItem(SNAPSHOTS_KEY, JSON.stringify({ sealed }));
+        } catch (error) {
+            if (kept.length <= 1) throw error;
+            kept = kept.slice(1);
+            return write();
+        }
+    });
+
+    return queueWrite(write, 'snapshots').then(() => {
+        // Unless a later save replaced them meanwhile
+        if (vaultCache[SNAPSHOTS_KEY] === snapshots) {
+            vaultCache = { ...vaultCache, [SNAPSHOTS_KEY]: kept };
+        }
+        return kept;
+    });
+}
+
+/**
+ * Write snapshots to localStorage, dropping the oldest ones while storage is full
+ * @param {Array} snapshots - Snapshots, oldest first
+ * @returns {Array} Snapshots written (the newest one is kept even if it does not fit)
+ */
+function writeSnapshotsToFit(snapshots) {
+    try {
+        localStorage.setItem(SNAPSHOTS_KEY, JSON.stringify(snapshots));
+    } catch (error) {
+        console.error('Error saving snapshots to localStorage:', error);
+        if (snapshots.length > 1) return writeSnapshotsToFit(snapshots.slice(1));
+    }
+    return snapshots;
+}
+
 /**
  * Load settings from localStorage
  * @returns {Object} Settings object
  */
 export function loadSettings() {
     try {
-        const settings = localStorage.getItem(SETTINGS_KEY);
-        return settings ? JSON.parse(settings) : {
+        return loadedStore('settings', readStored(SETTINGS_KEY) || {
             pageUnit: 'pages',
+            pagesPerHour: 50,
             targetPages: 1000
-        };
+        });
     } catch (error) {
         console.error('Error loading settings:', error);
-        return { pageUnit: 'pages', targetPages: 1000 };
+        return loadedStore('settings', { pageUnit: 'pages', pagesPerHour: 50, targetPages: 1000 });
     }
 }
 
@@ -59,7 +761,8 @@ export function loadSettings() {
  */
 export function saveSettings(settings) {
     try {
-        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        writeStored(SETTINGS_KEY, settings);
+        broadcastStoreChanges('settings', settings);
         return true;
     } catch (error) {
         console.error('Error saving settings:', error);
@@ -68,54 +771,211 @@ export function saveSettings(settings) {
 }
 
 /**
- * Clear all data from localStorage
- * @returns {boolean} Success status
+ * Export books and settings as JSON in a versioned envelope
+ * @param {Array} books - Books to export
+ * @param {Object} settings - Settings to export
+ * @returns {string} JSON string
  */
-export function clearAllData() {
+export function exportToJSON(books, settings = {}) {
     try {
-        localStorage.removeItem(STORAGE_KEY);
-        localStorage.removeItem(SETTINGS_KEY);
-        localStorage.removeItem('visited');
-        return true;
+        return JSON.stringify(createEnvelope(books, settings), null, 2);
     } catch (error) {
-        console.error('Error clearing data:', error);
-        return false;
+        console.error('Error exporting to JSON:', error);
+        return null;
     }
 }
 
 /**
- * Export books data as JSON
+ * Export books and settings as a passphrase-encrypted JSON file
  * @param {Array} books - Books to export
- * @returns {string} JSON string
+ * @param {Object} settings - Settings to export
+ * @param {string} passphrase - Passphrase for the file
+ * @returns {Promise<string>} JSON string
+ */
+export function exportToEncryptedJSON(books, settings, passphrase) {
+    return encryptExport(createEnvelope(books, settings), passphrase)
+        .then(file => JSON.stringify(file, null, 2));
+}
+
+/**
+ * Check whether a JSON string is an encrypted export
+ * @param {string} jsonString - File contents
+ * @returns {boolean} True if the file needs a passphrase to import
  */
-export function exportToJSON(books) {
+export function isEncryptedJSON(jsonString) {
     try {
-        return JSON.stringify(books, null, 2);
+        return isEncryptedExport(JSON.parse(jsonString));
     } catch (error) {
-        console.error('Error exporting to JSON:', error);
-        return null;
+        return false;
+    }
+}
+
+/**
+ * Decrypt and import an encrypted export
+ * @param {string} jsonString - File contents
+ * @param {string} passphrase - Passphrase for the file
+ * @returns {Promise<Object>} Same result as importFromJSON
+ */
+export function importFromEncryptedJSON(jsonString, passphrase) {
+    return decryptExport(JSON.parse(jsonString), passphrase).then(envelope => {
+        if (!envelope) {
+            return { valid: false, data: null, settings: null, errors: ['Wrong passphrase or damaged file'] };
+        }
+        return importFromJSON(JSON.stringify(envelope));
+    });
+}
+
+/**
+ * Export books data as CSV with one column per book field
+ * @param {Array} books - Books to export
+ * @returns {string} CSV string
+ */
+export function exportToCSV(books) {
+    const formatters = {
+        author: formatContributors,
+        tags: formatTags,
+        // Hyphenated where the ranges are known, which also keeps spreadsheets from reading a number
+        isbn: isbn => (isbn ? hyphenateIsbn(isbn) : '')
+    };
+    const rows = books.map(book => CSV_COLUMNS.map(field =>
+        formatters[field] ? formatters[field](book[field]) : book[field] ?? ''
+    ));
+    return formatCSV([CSV_COLUMNS, ...rows]);
+}
+
+/**
+ * Read the header row of a CSV file and guess which column holds each book field
+ * @param {string} csvString - CSV text
+ * @returns {Object} { valid: boolean, headers: Array, mapping: Object, sample: Array, rowCount: number, errors: Array }
+ */
+export function readCSVHeaders(csvString) {
+    const result = { valid: false, headers: [], mapping: {}, sample: [], rowCount: 0, errors: [] };
+    const { rows, error } = parseCSV(csvString);
+
+    if (error) {
+        result.errors.push(`Invalid CSV: ${error}`);
+        return result;
     }
+
+    if (rows.length < 2) {
+        result.errors.push('CSV must have a header row and at least one book');
+        return result;
+    }
+
+    result.headers = rows[0].map(header => header.trim());
+    result.mapping = guessColumnMapping(result.headers);
+    result.sample = rows[1];
+    result.rowCount = rows.length - 1;
+    result.valid = true;
+    return result;
 }
 
 /**
- * Validate and import JSON data
+ * Guess the column index for each book field from the header names
+ * @param {Array} headers - Header row
+ * @returns {Object} Field name to column index (fields without a match are left out)
+ */
+export function guessColumnMapping(headers) {
+    const mapping = {};
+    const normalized = headers.map(header => header.toLowerCase().replace(/[^a-z0-9]/g, ''));
+
+    for (const field of CSV_COLUMNS) {
+        const index = normalized.findIndex(header => CSV_HEADER_ALIASES[field].includes(header));
+        if (index !== -1 && !Object.values(mapping).includes(index)) {
+            mapping[field] = index;
+        }
+    }
+
+    return mapping;
+}
+
+/**
+ * Import CSV rows using a column mapping, validating every row with validateBook
+ * @param {string} csvString - CSV text (first row is the header)
+ * @param {Object} mapping - Field name to column index
+ * @returns {Object} { valid: boolean, data: Array, errors: Array, rowErrors: Array<{ row, errors }> }
+ */
+export function importFromCSV(csvString, mapping) {
+    const result = { valid: false, data: [], errors: [], rowErrors: [] };
+    const { rows, error } = parseCSV(csvString);
+
+    if (error) {
+        result.errors.push(`Invalid CSV: ${error}`);
+        return result;
+    }
+
+    const ids = new Set();
+
+    rows.slice(1).forEach((cells, index) => {
+        // Row numbers match the spreadsheet (header is row 1)
+        const rowNumber = index + 2;
+        const book = {};
+
+        for (const [field, column] of Object.entries(mapping)) {
+            const value = (cells[column] ?? '').trim();
+            if (value !== '') book[field] = value;
+        }
+
+        if (book.status) {
+            book.status = book.status.toLowerCase().replace(/[\s_]+/g, '-');
+        }
+
+        // Titles are stored normalised, like names and tags
+        ['title', 'series'].forEach(field => {
+            if (book[field]) book[field] = normalizeText(book[field]);
+        });
+
+        const validation = validateBook(book);
+        const errors = { ...validation.errors };
+
+        if (book.id) {
+            if (ids.has(book.id)) errors.id = `Duplicate ID: ${book.id}`;
+            ids.add(book.id);
+        }
+
+        if (Object.keys(errors).length > 0) {
+            result.rowErrors.push({ row: rowNumber, errors });
+        } else {
+            result.data.push({
+                ...book,
+                author: parseContributors(book.author),
+                tags: toTags(book.tags),
+                pages: parseInt(book.pages, 10),
+                ...(book.seriesIndex && { seriesIndex: Number(book.seriesIndex) }),
+                ...(book.rating && { rating: Number(book.rating) }),
+                ...(book.isbn && { isbn: toIsbn13(book.isbn) })
+            });
+        }
+    });
+
+    result.valid = result.data.length > 0;
+    if (!result.valid && result.rowErrors.length === 0) {
+        result.errors.push('CSV contains no books');
+    }
+    return result;
+}
+
+/**
+ * Validate and import JSON data.
+ * Accepts a versioned export or a legacy bare array, upgraded to the current schema.
  * @param {string} jsonString - JSON string to import
- * @returns {Object} { valid: boolean, data: Array|null, errors: Array }
+ * @returns {Object} { valid: boolean, data: Array|null, settings: Object|null, errors: Array }
  */
 export function importFromJSON(jsonString) {
-    const result = { valid: false, data: null, errors: [] };
+    const result = { valid: false, data: null, settings: null, errors: [] };
 
     try {
-        const data = JSON.parse(jsonString);
+        const upgraded = upgradeData(JSON.parse(jsonString));
 
-        // Validate that data is an array
-        if (!Array.isArray(data)) {
-            result.errors.push('Data must be an array of books');
+        if (!upgraded.valid) {
+            result.errors.push(...upgraded.errors);
             return result;
         }
 
+        const data = upgraded.books;
+
         // Validate each book object
-        const requiredFields = ['title', 'author', 'pages', 'tag', 'date'];
+        const requiredFields = ['title', 'author', 'pages', 'date'];
         const ids = new Set();
 
         for (let i = 0; i < data.length; i++) {
@@ -128,6 +988,18 @@ export function importFromJSON(jsonString) {
                 }
             }
 
+            // Authors are a list of contributors after the upgrade
+            const authorValidation = book.author ? validateContributors(book.author) : { valid: true };
+            if (!authorValidation.valid) {
+                result.errors.push(`Book at index ${i} has invalid authors: ${authorValidation.message}`);
+            }
+
+            // Tags are a list after the upgrade
+            const tagsValidation = validateTags(book.tags);
+            if (!tagsValidation.valid) {
+                result.errors.push(`Book at index ${i} has invalid tags: ${tagsValidation.message}`);
+            }
+
             // Check for duplicate IDs
             if (book.id) {
                 if (ids.has(book.id)) {
@@ -145,6 +1017,36 @@ export function importFromJSON(jsonString) {
             if (book.date && !/^\d{4}-\d{2}-\d{2}$/.test(book.date)) {
                 result.errors.push(`Book at index ${i} has invalid date format: ${book.date}`);
             }
+
+            // Validate status (optional for legacy exports)
+            if (book.status !== undefined && !BOOK_STATUSES.includes(book.status)) {
+                result.errors.push(`Book at index ${i} has invalid status: ${book.status}`);
+            }
+
+            // Validate series name and number (both optional)
+            const seriesValidation = validateSeries(book.series, book.seriesIndex);
+            Object.values(seriesValidation.errors).forEach(message => {
+                result.errors.push(`Book at index ${i} has an invalid series: ${message}`);
+            });
+
+            // Validate ISBN and its check digit (optional)
+            const isbnValidation = validateIsbn(book.isbn);
+            if (!isbnValidation.valid) {
+                result.errors.push(`Book at index ${i} has an invalid ISBN: ${isbnValidation.message}`);
+            }
+
+            // Validate rating (optional)
+            const ratingValidation = validateRating(book.rating);
+            if (!ratingValidation.valid) {
+                result.errors.push(`Book at index ${i} has an invalid rating: ${ratingValidation.message}`);
+            }
+
+            // Validate start/finish dates when present
+            for (const field of ['startDate', 'finishDate']) {
+                if (book[field] && !/^\d{4}-\d{2}-\d{2}$/.test(book[field])) {
+                    result.errors.push(`Book at index ${i} has invalid ${field} format: ${book[field]}`);
+                }
+            }
         }
 
         // If there are any errors, return invalid
@@ -153,7 +1055,15 @@ export function importFromJSON(jsonString) {
         }
 
         result.valid = true;
-        result.data = data;
+        // Titles, names and tags are stored normalised (NFC, single spaces)
+        result.data = data.map(book => ({
+            ...book,
+            title: normalizeText(book.title),
+            author: toContributors(book.author),
+            tags: toTags(book.tags),
+            ...(book.series && { series: normalizeText(book.series) })
+        }));
+        result.settings = upgraded.settings;
         return result;
     } catch (error) {
         result.errors.push(`Invalid JSON: ${error.message}`);
@@ -0,0 +1,258 @@
+/**
+ * tags.js
+ * Book tags: a book can belong to several genres or categories
+ */
+
+import { normalizeText } from './text.js';
+
+// Counted for books without any tag
+export const UNTAGGED_LABEL = 'Uncategorized';
+
+// Colours for tags without a chosen colour, picked from a hash of the name so a tag keeps its colour
+export const TAG_PALETTE = [
+    '#2563eb', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#0ea5e9',
+    '#ec4899', '#84cc16', '#f97316', '#14b8a6', '#a855f7', '#eab308'
+];
+
+/**
+ * Read a tag list in any shape: an array, or comma-separated text
+ * (legacy single tags are one-item lists). Duplicates differing only
+ * in case are dropped, keeping the first spelling.
+ * @param {string|Array} value - Tags value
+ * @returns {Array} Normalised tags (NFC, single spaces) in order
+ */
+export function toTags(value) {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+    const seen = new Set();
+
+    return items
+        .map(normalizeText)
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Get a book's tags, including books saved before tags were a list
+ * @param {Object} book - Book object
+ * @returns {Array} Tags in order
+ */
+export function getBookTags(book) {
+    return toTags(book.tags ?? book.tag);
+}
+
+/**
+ * Format tags as comma-separated text that toTags reads back
+ * @param {string|Array} value - Tags value
+ * @returns {string} e.g. "Fantasy, Classic"
+ */
+export function formatTags(value) {
+    return toTags(value).join(', ');
+}
+
+/**
+ * Key a tag is stored and compared under (tags are case-insensitive)
+ * @param {string} tag - Tag
+ * @returns {string} Lowercase tag
+ */
+export function tagKey(tag) {
+    return normalizeText(tag).toLowerCase();
+}
+
+/**
+ * Check whether a book has any or all of the given tags (compared case-insensitively).
+ * A book has a tag when it is tagged with it or with one of its subtags.
+ * @param {Object} book - Book object
+ * @param {Array} tags - Tags to look for
+ * @param {string} mode - 'any' or 'all'
+ * @param {Object} tagInfo - Tag settings keyed by tagKey ({ color, parent })
+ * @returns {boolean} True if the book matches (always true for an empty tag list)
+ */
+export function hasTags(book, tags, mode = 'any', tagInfo = {}) {
+    if (tags.length === 0) return true;
+
+    const bookTags = new Set(getBookTags(book)
+        .flatMap(tag => [tag, ...getTagAncestors(tag, tagInfo)])
+        .map(tagKey));
+    const wanted = tags.map(tagKey);
+
+    return mode === 'all'
+        ? wanted.every(tag => bookTags.has(tag))
+        : wanted.some(tag => bookTags.has(tag));
+}
+
+/**
+ * Count books per tag for charts. A book with several tags is split
+ * evenly between them, so the counts add up to the number of books.
+ * @param {Array} books - Books to count
+ * @returns {Array} [tag, count] pairs, largest first
+ */
+export function countTags(books) {
+    // Keyed case-insensitively, labelled with the first spelling seen
+    const counts = new Map();
+
+    books.forEach(book => {
+        const tags = getBookTags(book);
+        const share = 1 / Math.max(tags.length, 1);
+        (tags.length > 0 ? tags : [UNTAGGED_LABEL]).forEach(tag => {
+            const key = tag.toLowerCase();
+            const entry = counts.get(key) || [tag, 0];
+            entry[1] += share;
+            counts.set(key, entry);
+        });
+    });
+
+    return [...counts.values()].sort((a, b) => b[1] - a[1]);
+}
+
+/**
+ * Get the colour of a tag: the one chosen for it, or a stable colour from TAG_PALETTE
+ * @param {string} tag - Tag
+ * @param {Object} tagInfo - Tag settings keyed by tagKey
+ * @returns {string} CSS colour
+ */
+export function getTagColor(tag, tagInfo = {}) {
+    const chosen = tagInfo[tagKey(tag)]?.color;
+    if (chosen) return chosen;
+
+    let hash = 0;
+    for (const char of tagKey(tag)) {
+        hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+    }
+    return TAG_PALETTE[hash % TAG_PALETTE.length];
+}
+
+/**
+ * Get the parent, grandparent, etc. of a tag
+ * @param {string} tag - Tag
+ * @param {Object} tagInfo - Tag settings keyed by tagKey
+ * @returns {Array} Ancestors, nearest first (a loop in the settings ends the list)
+ */
+export function getTagAncestors(tag, tagInfo = {}) {
+    const ancestors = [];
+    const seen = new Set([tagKey(tag)]);
+    let parent = tagInfo[tagKey(tag)]?.parent;
+
+    while (parent && !seen.has(tagKey(parent))) {
+        ancestors.push(parent);
+        seen.add(tagKey(parent));
+        parent = tagInfo[tagKey(parent)]?.parent;
+    }
+
+    return ancestors;
+}
+
+/**
+ * Format a tag with its ancestors
+ * @param {string} tag - Tag
+ * @param {Object} tagInfo - Tag settings keyed by tagKey
+ * @returns {string} e.g. "Fiction > Fantasy"
+ */
+export function formatTagPath(tag, tagInfo = {}) {
+    return [...getTagAncestors(tag, tagInfo).reverse(), tag].join(' > ');
+}
+
+/**
+ * Check whether a tag could be nested under a parent without creating a loop
+ * @param {string} tag - Tag
+ * @param {string} parent - Proposed parent ('' for a top-level tag)
+ * @param {Object} tagInfo - Tag settings keyed by tagKey
+ * @returns {boolean} False if the parent is the tag itself or one of its subtags
+ */
+export function canNestTag(tag, parent, tagInfo = {}) {
+    if (!parent) return true;
+    if (tagKey(parent) === tagKey(tag)) return false;
+
+    return !getTagAncestors(parent, tagInfo).some(ancestor => tagKey(ancestor) === tagKey(tag));
+}
+
+/**
+ * Replace tags in a tag list, e.g. to rename one tag or merge several into one
+ * @param {Array} tags - Tag list
+ * @param {Array} sources - Tags to replace
+ * @param {string} target - Tag they become
+ * @returns {Array} Tags with the replacement in place of the first source (duplicates dropped)
+ */
+export function replaceTags(tags, sources, target) {
+    const sourceKeys = new Set(sources.map(tagKey));
+    return toTags(toTags(tags).map(tag => (sourceKeys.has(tagKey(tag)) ? target : tag)));
+}
+
+/**
+ * Move tag settings to a renamed or merged tag. The target keeps its own colour
+ * and parent if it has them, otherwise takes the first source's; subtags of the
+ * sources become subtags of the target.
+ * @param {Object} tagInfo - Tag settings keyed by tagKey
+ * @param {Array} sources - Tags being replaced
+ * @param {string} target - Tag they become
+ * @returns {Object} New tag settings
+ */
+export function renameTagInfo(tagInfo, sources, target) {
+    const sourceKeys = new Set(sources.map(tagKey));
+    const targetKey = tagKey(target);
+    const moved = [targetKey, ...sourceKeys].map(key => tagInfo[key] || {});
+
+    const renamed = {};
+    for (const [key, info] of Object.entries(tagInfo)) {
+        if (sourceKeys.has(key) || key === targetKey) continue;
+        renamed[key] = info.parent && sourceKeys.has(tagKey(info.parent)) ? { ...info, parent: target } : info;
+    }
+
+    const color = moved.map(info => info.color).find(Boolean);
+    const parent = moved
+        .map(info => info.parent)
+        .find(name => name && !sourceKeys.has(tagKey(name)) && tagKey(name) !== targetKey);
+
+    const info = { ...(color && { color }), ...(parent && { parent }) };
+    if (Object.keys(info).length > 0) renamed[targetKey] = info;
+
+    return renamed;
+}
+
+/**
+ * List every tag for the tag manager: tags on books plus the parents they are nested under,
+ * ordered as a tree (parents before their subtags, each level alphabetical)
+ * @param {Array} books - Books to count
+ * @param {Object} tagInfo - Tag settings keyed by tagKey
+ * @returns {Array} Entries ({ tag, count, depth, parent, color }); count includes books in subtags
+ */
+export function listTags(books, tagInfo = {}) {
+    // Spelling of each tag, keyed by tagKey
+    const names = new Map();
+    const addName = tag => {
+        if (!names.has(tagKey(tag))) names.set(tagKey(tag), tag);
+    };
+    books.forEach(book => getBookTags(book).forEach(tag => {
+        addName(tag);
+        getTagAncestors(tag, tagInfo).forEach(addName);
+    }));
+
+    const parentKey = key => {
+        const parent = tagInfo[key]?.parent;
+        return parent && names.has(tagKey(parent)) && canNestTag(names.get(key), parent, tagInfo) ? tagKey(parent) : '';
+    };
+
+    const entries = [];
+    const addLevel = (parent, depth) => {
+        [...names.keys()]
+            .filter(key => parentKey(key) === parent)
+            .sort((a, b) => names.get(a).localeCompare(names.get(b)))
+            .forEach(key => {
+                const tag = names.get(key);
+                entries.push({
+                    tag,
+                    count: books.filter(book => hasTags(book, [tag], 'any', tagInfo)).length,
+                    depth,
+                    parent: parent ? names.get(parent) : '',
+                    color: getTagColor(tag, tagInfo)
+                });
+                addLevel(key, depth + 1);
+            });
+    };
+    addLevel('', 0);
+
+    return entries;
+}
@@ -0,0 +1,25 @@
+/**
+ * text.js
+ * Unicode normalisation for names, titles and tags
+ */
+
+/**
+ * Normalise typed or imported text so the same name is always stored the same way:
+ * composed characters (NFC, so "é" typed as "e" + accent matches "é"),
+ * runs of whitespace collapsed to one space, and no leading/trailing spaces
+ * @param {string} value - Text to normalise
+ * @returns {string} Normalised text
+ */
+export function normalizeText(value) {
+    return String(value ?? '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Compose characters (NFC) without touching whitespace, for searching
+ * free text such as notes where line breaks matter
+ * @param {string} value - Text to compose
+ * @returns {string} Composed text
+ */
+export function composeText(value) {
+    return String(value ?? '').normalize('NFC');
+}
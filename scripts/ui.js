@@ -3,13 +3,30 @@
  * DOM manipulation and UI updates
  */
 
-import { getBooks, deleteBook } from './state.js';
-import { highlightMatches, sortBooks, filterBooks } from './search.js';
+import { getBooks, deleteBook, getSessions, getPagesRead, getSettings, compareSnapshot, getTagInfo } from './state.js';
+import { SEARCH_MODE_LABELS, SEARCH_FIELD_LABELS, countFieldMatches, getMatchSnippet, highlightMatches, sortBooks, filterBooks, filterByStatus, filterByRating, filterByTags, compileSearch, escapeHtml } from './search.js';
+import { STATUS_LABELS, getBookStatus } from './validators.js';
+import { formatPages, convertPages, getUnitLabel } from './units.js';
+import { diffFields } from './merge.js';
+import { CONTRIBUTOR_ROLES, ROLE_LABELS, toContributors, formatContributors, contributorNames } from './contributors.js';
+import { getBookTags, formatTags, countTags, getTagColor, toTags } from './tags.js';
+import { formatSeries, getSeriesIndex } from './series.js';
+import { hyphenateIsbn, isValidIsbn, toIsbn10, toIsbn13 } from './isbn.js';
+import { MAX_RATING, RATING_STEP, getRating, formatStars, describeRating, averageRating, countRatings, getTopRatedAuthors } from './ratings.js';
+
+// Colour of the slice grouping the tags beyond the top 5
+const OTHER_TAG_COLOR = '#64748b';
+
+// Shown under the ISBN field until a valid ISBN is typed
+const ISBN_HINT = 'ISBN-10 or ISBN-13, with or without hyphens';
+
+// Offered in the tag autocomplete alongside the tags already in use
+const DEFAULT_TAG_SUGGESTIONS = ['Fiction', 'Non-Fiction', 'Science', 'History', 'Biography', 'Technology'];
 
 /**
  * Render the books table
  * @param {Array} books - Books to render
- * @param {RegExp} searchRegex - Optional search regex for highlighting
+ * @param {RegExp|Function} searchRegex - Optional search regex (or fuzzy highlighter) for highlighting
  */
 export function renderBooksTable(books, searchRegex = null) {
     const tbody = document.getElementById('books-tbody');
@@ -18,40 +35,90 @@ export function renderBooksTable(books, searchRegex = null) {
     tbody.innerHTML = '';
 
     if (books.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">No books found</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="8" style="text-align: center;">No books found</td></tr>';
         return;
     }
 
     books.forEach(book => {
         const row = createBookRow(book, searchRegex);
         tbody.appendChild(row);
+
+        // Notes and reviews are not columns, so their matches get a row of their own
+        const details = renderMatchDetails(book, searchRegex);
+        if (details) {
+            const detailsRow = document.createElement('tr');
+            detailsRow.className = 'match-row';
+            detailsRow.innerHTML = `<td colspan="8">${details}</td>`;
+            row.classList.add('has-match-details');
+            tbody.appendChild(detailsRow);
+        }
     });
 }
 
+/**
+ * Render where a search matched a book whose notes or review match:
+ * the number of matches in each field and a snippet of the notes and review around the match
+ * @param {Object} book - Book object
+ * @param {RegExp|Function} searchRegex - Search regex (or fuzzy highlighter)
+ * @returns {string} HTML string, or '' if the notes and review do not match
+ */
+function renderMatchDetails(book, searchRegex) {
+    if (!searchRegex) return '';
+
+    const hits = countFieldMatches(book, searchRegex);
+    if (!hits.notes && !hits.review) return '';
+
+    const counts = Object.entries(hits)
+        .map(([field, count]) => `${SEARCH_FIELD_LABELS[field]} ${count}`)
+        .join(', ');
+    const snippets = ['review', 'notes']
+        .filter(field => hits[field])
+        .map(field => `
+            <p class="match-snippet">
+                <strong>${SEARCH_FIELD_LABELS[field]}:</strong> ${getMatchSnippet(book[field], searchRegex)}
+            </p>`)
+        .join('');
+
+    return `
+        <div class="match-details">
+            <p class="match-counts">Matches: ${counts}</p>
+            ${snippets}
+        </div>`;
+}
+
 /**
  * Create a table row for a book
  * @param {Object} book - Book object
- * @param {RegExp} searchRegex - Optional search regex for highlighting
+ * @param {RegExp|Function} searchRegex - Optional search regex (or fuzzy highlighter) for highlighting
  * @returns {HTMLElement} Table row element
  */
 function createBookRow(book, searchRegex = null) {
     const row = document.createElement('tr');
     row.dataset.bookId = book.id;
+    const settings = getSettings();
 
     // Apply highlighting if search regex is provided
-    const title = searchRegex ? highlightMatches(book.title, searchRegex) : book.title;
-    const author = searchRegex ? highlightMatches(book.author, searchRegex) : book.author;
-    const tag = searchRegex ? highlightMatches(book.tag, searchRegex) : book.tag;
+    const title = searchRegex ? highlightMatches(book.title, searchRegex) : escapeHtml(book.title);
+    const contributors = formatContributors(book.author);
+    const author = searchRegex ? highlightMatches(contributors, searchRegex) : escapeHtml(contributors);
+    const tagText = formatTags(getBookTags(book));
+    const tags = searchRegex ? highlightMatches(tagText, searchRegex) : escapeHtml(tagText);
+    const id = escapeAttribute(book.id);
+    const titleAttr = escapeAttribute(book.title);
+    const series = renderSeriesLabel(book, searchRegex);
 
     row.innerHTML = `
-        <td>${title}</td>
+        <td>${title}${series}</td>
         <td>${author}</td>
-        <td>${book.pages}</td>
-        <td>${tag}</td>
+        <td>${formatPages(book.pages, settings)}${renderBookProgress(book)}</td>
+        <td>${tags}</td>
+        <td>${renderStatusBadge(book)}</td>
+        <td>${renderRating(book)}</td>
         <td>${book.date}</td>
         <td>
-            <button class="action-btn edit" data-id="${book.id}" aria-label="Edit ${book.title}">Edit</button>
-            <button class="action-btn delete" data-id="${book.id}" aria-label="Delete ${book.title}">Delete</button>
+            <button class="action-btn log-session" data-id="${id}" aria-label="Log reading session for ${titleAttr}">Log</button>
+            <button class="action-btn edit" data-id="${id}" aria-label="Edit ${titleAttr}">Edit</button>
+            <button class="action-btn delete" data-id="${id}" aria-label="Delete ${titleAttr}">Delete</button>
         </td>
     `;
 
@@ -63,7 +130,7 @@ function createBookRow(book, searchRegex = null) {
 /**
  * Render books as cards (mobile view)
  * @param {Array} books - Books to render
- * @param {RegExp} searchRegex - Optional search regex for highlighting
+ * @param {RegExp|Function} searchRegex - Optional search regex (or fuzzy highlighter) for highlighting
  */
 export function renderBooksCards(books, searchRegex = null) {
     const container = document.getElementById('books-cards');
@@ -85,39 +152,60 @@ export function renderBooksCards(books, searchRegex = null) {
 /**
  * Create a card element for a book
  * @param {Object} book - Book object
- * @param {RegExp} searchRegex - Optional search regex for highlighting
+ * @param {RegExp|Function} searchRegex - Optional search regex (or fuzzy highlighter) for highlighting
  * @returns {HTMLElement} Card element
  */
 function createBookCard(book, searchRegex = null) {
     const card = document.createElement('div');
     card.className = 'book-card';
     card.dataset.bookId = book.id;
+    const settings = getSettings();
 
-    const title = searchRegex ? highlightMatches(book.title, searchRegex) : book.title;
-    const author = searchRegex ? highlightMatches(book.author, searchRegex) : book.author;
-    const tag = searchRegex ? highlightMatches(book.tag, searchRegex) : book.tag;
+    const title = searchRegex ? highlightMatches(book.title, searchRegex) : escapeHtml(book.title);
+    const contributors = formatContributors(book.author);
+    const author = searchRegex ? highlightMatches(contributors, searchRegex) : escapeHtml(contributors);
+    const tagText = formatTags(getBookTags(book));
+    const tags = searchRegex ? highlightMatches(tagText, searchRegex) : escapeHtml(tagText);
+    const series = renderSeriesLabel(book, searchRegex);
+    const id = escapeAttribute(book.id);
 
     card.innerHTML = `
         <h3>${title}</h3>
+        ${series}
         <div class="book-card-field">
             <strong>Author:</strong>
             <span>${author}</span>
         </div>
         <div class="book-card-field">
-            <strong>Pages:</strong>
-            <span>${book.pages}</span>
+            <strong>${capitalize(getUnitLabel(settings))}:</strong>
+            <span>${formatPages(book.pages, settings)}${renderBookProgress(book)}</span>
         </div>
+        ${book.isbn ? `
         <div class="book-card-field">
-            <strong>Tag:</strong>
-            <span>${tag}</span>
+            <strong>ISBN:</strong>
+            <span>${hyphenateIsbn(book.isbn)}</span>
+        </div>` : ''}
+        <div class="book-card-field">
+            <strong>Tags:</strong>
+            <span>${tags}</span>
+        </div>
+        <div class="book-card-field">
+            <strong>Status:</strong>
+            <span>${renderStatusBadge(book)}</span>
+        </div>
+        <div class="book-card-field">
+            <strong>Rating:</strong>
+            <span>${renderRating(book)}</span>
         </div>
         <div class="book-card-field">
             <strong>Date Added:</strong>
             <span>${book.date}</span>
         </div>
+        ${renderMatchDetails(book, searchRegex)}
         <div class="book-card-field">
-            <button class="action-btn edit" data-id="${book.id}">Edit</button>
-            <button class="action-btn delete" data-id="${book.id}">Delete</button>
+            <button class="action-btn log-session" data-id="${id}">Log</button>
+            <button class="action-btn edit" data-id="${id}">Edit</button>
+            <button class="action-btn delete" data-id="${id}">Delete</button>
         </div>
     `;
 
@@ -126,18 +214,353 @@ function createBookCard(book, searchRegex = null) {
     return card;
 }
 
+/**
+ * Escape text for a double-quoted HTML attribute. Imported titles and IDs are
+ * not pattern-checked, and escapeHtml leaves quotes as they are.
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a small per-book progress bar of pages read
+ * @param {Object} book - Book object
+ * @returns {string} HTML string for the progress bar
+ */
+function renderBookProgress(book) {
+    const total = parseInt(book.pages || 0);
+    const read = getPagesRead(book);
+    const percentage = total > 0 ? Math.round((read / total) * 100) : 0;
+
+    return `
+        <div class="book-progress" role="progressbar" aria-valuemin="0" aria-valuemax="${total}" aria-valuenow="${read}"
+            aria-label="${read} of ${total} pages read" title="${read} / ${total} pages (${percentage}%)">
+            <div class="book-progress-fill" style="width: ${percentage}%"></div>
+        </div>
+    `;
+}
+
+/**
+ * Render a status badge with the relevant start/finish date as a tooltip
+ * @param {Object} book - Book object
+ * @returns {string} HTML string for the badge
+ */
+function renderStatusBadge(book) {
+    const status = getBookStatus(book);
+    let detail = '';
+    if (status === 'finished' && book.finishDate) {
+        detail = `Finished ${book.finishDate}`;
+    } else if (book.startDate) {
+        detail = `Started ${book.startDate}`;
+    }
+
+    return `<span class="status-badge status-badge--${status}"${detail ? ` title="${detail}"` : ''}>${STATUS_LABELS[status] || status}</span>`;
+}
+
+/**
+ * Render a book's rating as stars
+ * @param {Object} book - Book object
+ * @returns {string} HTML string for the stars, or a dash for unrated books
+ */
+function renderRating(book) {
+    const rating = getRating(book);
+    if (rating === null) return '<span class="rating-none" title="Not rated">-</span>';
+
+    const label = describeRating(rating);
+    return `<span class="rating-stars" role="img" aria-label="${label}" title="${label}">${formatStars(rating)}</span>`;
+}
+
+/**
+ * Render a book's place in its series, shown under the title
+ * @param {Object} book - Book object
+ * @param {RegExp|Function} searchRegex - Optional search regex (or fuzzy highlighter) for highlighting
+ * @returns {string} HTML string ('' for books outside a series)
+ */
+function renderSeriesLabel(book, searchRegex = null) {
+    const series = formatSeries(book);
+    if (!series) return '';
+
+    const text = searchRegex ? highlightMatches(series, searchRegex) : escapeHtml(series);
+    return `<small class="series-label">${text}</small>`;
+}
+
+/**
+ * Render the Series view: each series with its volumes in order, gaps in the
+ * numbering and the volume to read next
+ * @param {Array} seriesList - Series from groupSeries
+ */
+export function renderSeries(seriesList) {
+    const container = document.getElementById('series-list');
+    if (!container) return;
+
+    if (seriesList.length === 0) {
+        container.innerHTML = '<p class="text-muted">No series yet. Add a series name to a book to see it here.</p>';
+        return;
+    }
+
+    container.innerHTML = seriesList.map(({ name, books, missing, read, next }) => {
+        // Volumes and gaps in numbering order (unnumbered volumes stay last)
+        const slots = [
+            ...books.map(book => ({ index: getSeriesIndex(book), book })),
+            ...missing.map(index => ({ index, book: null }))
+        ].sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity));
+
+        const volumes = slots.map(({ index, book }) => {
+            const number = index === null ? '&ndash;' : `#${index}`;
+            if (!book) {
+                return `<li class="series-volume series-volume--missing"><span class="series-number">${number}</span> <em>Not in your library</em></li>`;
+            }
+            return `<li class="series-volume"><span class="series-number">${number}</span> ${escapeHtml(book.title)} ${renderStatusBadge(book)}</li>`;
+        }).join('');
+
+        let suggestion = 'All volumes read';
+        if (next && next.book) {
+            suggestion = `Read next: ${next.index === null ? '' : `#${next.index} `}${escapeHtml(next.book.title)}`;
+        } else if (next) {
+            suggestion = `Read next: #${next.index} (not in your library yet)`;
+        }
+
+        return `
+        <article class="series-card">
+            <h3>${escapeHtml(name)}</h3>
+            <p class="hint">${read} of ${books.length} read${missing.length > 0 ? ` &middot; missing ${missing.map(index => `#${index}`).join(', ')}` : ''}</p>
+            <ol class="series-volumes">${volumes}</ol>
+            <p class="series-next">${suggestion}</p>
+        </article>
+        `;
+    }).join('');
+}
+
+/**
+ * Render the series name autocomplete
+ * @param {Array} names - Series names used in the library
+ */
+export function renderSeriesSuggestions(names) {
+    const datalist = document.getElementById('series-suggestions');
+    if (!datalist) return;
+
+    datalist.innerHTML = '';
+    names.forEach(name => datalist.appendChild(new Option(name)));
+}
+
+/**
+ * Render the smart shelves list with a live count for each shelf
+ * @param {Array} shelves - Saved shelves
+ * @param {Array} books - All books
+ */
+export function renderShelves(shelves, books) {
+    const list = document.getElementById('shelf-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    if (shelves.length === 0) {
+        list.innerHTML = '<li class="text-muted">No saved shelves yet</li>';
+        return;
+    }
+
+    shelves.forEach(shelf => {
+        const search = compileSearch(shelf.pattern, shelf);
+        const count = search.valid
+            ? filterByTags(
+                filterByRating(filterByStatus(filterBooks(books, search.matcher), shelf.status), shelf.rating),
+                shelf.tags || [],
+                shelf.tagMode,
+                getTagInfo()
+            ).length
+            : 0;
+
+        const item = document.createElement('li');
+        item.className = 'shelf-item';
+
+        // Built with textContent so shelf names and patterns are never parsed as HTML
+        const applyBtn = document.createElement('button');
+        applyBtn.className = 'shelf-btn apply-shelf';
+        applyBtn.dataset.id = shelf.id;
+        applyBtn.title = shelf.pattern ? `${SEARCH_MODE_LABELS[shelf.mode] || 'Pattern'}: ${shelf.pattern}` : 'All books';
+        applyBtn.textContent = shelf.name;
+
+        const countBadge = document.createElement('span');
+        countBadge.className = 'shelf-count';
+        countBadge.textContent = count;
+        countBadge.setAttribute('aria-label', `${count} book${count === 1 ? '' : 's'}`);
+        applyBtn.appendChild(countBadge);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'action-btn delete-shelf';
+        deleteBtn.dataset.id = shelf.id;
+        deleteBtn.setAttribute('aria-label', `Delete shelf ${shelf.name}`);
+        deleteBtn.textContent = '×';
+
+        item.appendChild(applyBtn);
+        item.appendChild(deleteBtn);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Render the trash list
+ * @param {Array} books - Trashed books, most recently deleted first
+ * @param {number} retentionDays - Days before trashed books are purged
+ */
+export function renderTrash(books, retentionDays) {
+    const tbody = document.getElementById('trash-tbody');
+    if (!tbody) return;
+
+    document.getElementById('trash-retention-note').textContent =
+        `Books in the trash are permanently deleted after ${retentionDays} day${retentionDays === 1 ? '' : 's'}.`;
+    document.getElementById('empty-trash-btn').disabled = books.length === 0;
+
+    if (books.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center;">Trash is empty</td></tr>';
+        return;
+    }
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    tbody.innerHTML = books.map(book => {
+        const deletedAt = new Date(book.deletedAt);
+        const daysLeft = Math.max(0, Math.ceil((deletedAt.getTime() + retentionDays * dayMs - Date.now()) / dayMs));
+        const title = escapeHtml(book.title);
+        const titleAttr = escapeAttribute(book.title);
+        const id = escapeAttribute(book.id);
+
+        return `
+        <tr data-book-id="${id}">
+            <td>${title}</td>
+            <td>${escapeHtml(formatContributors(book.author))}</td>
+            <td>${escapeHtml(book.deletedAt.split('T')[0])} <small class="hint">(${daysLeft} day${daysLeft === 1 ? '' : 's'} left)</small></td>
+            <td>
+                <button class="action-btn restore" data-id="${id}" aria-label="Restore ${titleAttr}">Restore</button>
+                <button class="action-btn purge" data-id="${id}" aria-label="Permanently delete ${titleAttr}">Delete Forever</button>
+            </td>
+        </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Render the tag manager: every tag as a tree with its book count, colour and parent
+ * @param {Array} entries - Entries from listTags ({ tag, count, depth, parent, color })
+ */
+export function renderTagManager(entries) {
+    const tbody = document.getElementById('tags-tbody');
+    if (!tbody) return;
+
+    tbody.innerHTML = '';
+
+    if (entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align: center;">No tags yet</td></tr>';
+        return;
+    }
+
+    // Built with DOM properties so tags are never parsed as HTML
+    entries.forEach(({ tag, count, depth, parent, color }) => {
+        const row = document.createElement('tr');
+
+        const select = document.createElement('input');
+        select.type = 'checkbox';
+        select.className = 'tag-select';
+        select.value = tag;
+        select.setAttribute('aria-label', `Select tag ${tag}`);
+
+        const name = document.createElement('span');
+        name.className = 'tag-name';
+        name.style.paddingLeft = `calc(${depth} * var(--spacing-lg))`;
+        const swatch = document.createElement('span');
+        swatch.className = 'tag-swatch';
+        swatch.style.backgroundColor = color;
+        name.append(swatch, tag);
+
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.className = 'tag-color';
+        colorInput.dataset.tag = tag;
+        colorInput.value = color;
+        colorInput.setAttribute('aria-label', `Color of ${tag}`);
+
+        const parentInput = document.createElement('input');
+        parentInput.type = 'text';
+        parentInput.className = 'tag-parent';
+        parentInput.dataset.tag = tag;
+        parentInput.value = parent;
+        parentInput.placeholder = 'None';
+        parentInput.setAttribute('list', 'tag-suggestions');
+        parentInput.setAttribute('aria-label', `Parent of ${tag}`);
+
+        [select, name, String(count), colorInput, parentInput].forEach(content => {
+            const cell = document.createElement('td');
+            cell.append(content);
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+}
+
+/**
+ * Render the snapshot list in Settings with what has changed since each one
+ * @param {Array} snapshots - Snapshots, newest first
+ */
+export function renderSnapshots(snapshots) {
+    const list = document.getElementById('snapshot-list');
+    if (!list) return;
+
+    if (snapshots.length === 0) {
+        list.innerHTML = '<li class="text-muted">No snapshots yet</li>';
+        return;
+    }
+
+    list.innerHTML = snapshots.map(snapshot => {
+        const { added, removed, changed } = compareSnapshot(snapshot);
+        const count = snapshot.books.filter(book => !book.deletedAt).length;
+        const trashed = snapshot.books.length - count;
+        const takenAt = new Date(snapshot.takenAt).toLocaleString();
+
+        const differences = [
+            added > 0 && `${added} added`,
+            removed > 0 && `${removed} removed`,
+            changed > 0 && `${changed} changed`
+        ].filter(Boolean);
+
+        return `
+        <li class="snapshot-item">
+            <div>
+                <strong>${escapeHtml(takenAt)}</strong> &middot; ${escapeHtml(snapshot.reason)}
+                <small class="hint">${count} book${count === 1 ? '' : 's'}${trashed > 0 ? ` (+${trashed} in trash)` : ''};
+                    ${differences.length > 0 ? `since then: ${differences.join(', ')}` : 'same as now'}</small>
+            </div>
+            <button class="action-btn restore-snapshot" data-id="${snapshot.id}"
+                aria-label="Restore snapshot from ${escapeHtml(takenAt)}">Restore</button>
+        </li>
+        `;
+    }).join('');
+}
+
 /**
  * Update dashboard statistics
- * @param {Array} books - Books data
+ * @param {Array} allBooks - Books data
  */
-export function updateDashboard(books) {
+export function updateDashboard(allBooks) {
+    // Trashed books never count toward statistics
+    const books = allBooks.filter(book => !book.deletedAt);
+    const settings = getSettings();
+    applyUnitLabels(settings);
+
     // Total books
     const totalBooks = books.length;
     document.getElementById('total-books').textContent = totalBooks;
 
+    // Finished books
+    const finishedBooks = books.filter(book => getBookStatus(book) === 'finished');
+    document.getElementById('finished-books').textContent = finishedBooks.length;
+
     // Total pages
     const totalPages = books.reduce((sum, book) => sum + parseInt(book.pages || 0), 0);
-    document.getElementById('total-pages').textContent = totalPages.toLocaleString();
+    document.getElementById('total-pages').textContent = formatPages(totalPages, settings);
+
+    // Pages actually read (finished books in full, others from logged sessions)
+    const pagesRead = books.reduce((sum, book) => sum + getPagesRead(book), 0);
 
     // Top tag
     const topTag = getTopTag(books);
@@ -145,18 +568,24 @@ export function updateDashboard(books) {
 
     // Average Book Length
     const avgLength = calculateAverageBookLength(books);
-    document.getElementById('avg-length').textContent = avgLength;
+    document.getElementById('avg-length').textContent = formatPages(avgLength, settings);
 
     // Top Author
     const topAuthor = getTopAuthor(books);
     document.getElementById('top-author').textContent = topAuthor || '-';
 
+    // Average rating (unrated books are left out)
+    const avgRating = averageRating(books);
+    document.getElementById('avg-rating').textContent = avgRating === null ? '-' : `${avgRating} ★`;
+
     // Update progress bar
-    updateProgressBar(totalPages);
+    updateProgressBar(pagesRead, settings);
 
     // Render Charts
     renderTopDaysChart(books);
     renderTopTagsChart(books);
+    renderRatingChart(books);
+    renderTopRatedAuthors(books);
 }
 
 /**
@@ -217,16 +646,10 @@ function renderTopTagsChart(books) {
         return;
     }
 
-    // Aggregate tags
-    const tagCounts = {};
-    books.forEach(book => {
-        const tag = book.tag || 'Uncategorized';
-        tagCounts[tag] = (tagCounts[tag] || 0) + 1;
-    });
+    // Aggregate tags (a book with several tags is split between them)
+    const sortedTags = countTags(books);
 
-    // Sort and take top 5 + Other
-    const sortedTags = Object.entries(tagCounts)
-        .sort((a, b) => b[1] - a[1]);
+    // Take top 5 + Other
 
     let displayTags = sortedTags;
     if (sortedTags.length > 5) {
@@ -238,14 +661,16 @@ function renderTopTagsChart(books) {
     const total = books.length;
     let currentDeg = 0;
     const gradientParts = [];
-    const colors = ['#2563eb', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#64748b'];
+    const tagInfo = getTagInfo();
 
     legend.innerHTML = '';
 
     displayTags.forEach(([tag, count], index) => {
         const pct = count / total;
         const deg = pct * 360;
-        const color = colors[index % colors.length];
+        // Each tag keeps its colour from chart to chart; 'Other' is always grey
+        const isOther = sortedTags.length > 5 && index === 5;
+        const color = isOther ? OTHER_TAG_COLOR : getTagColor(tag, tagInfo);
 
         gradientParts.push(`${color} ${currentDeg}deg ${currentDeg + deg}deg`);
         currentDeg += deg;
@@ -263,28 +688,59 @@ function renderTopTagsChart(books) {
 }
 
 /**
- * Get the most common tag
+ * Render the rating distribution bar chart (one bar per half star)
  * @param {Array} books - Books data
- * @returns {string} Most common tag
  */
-function getTopTag(books) {
-    if (books.length === 0) return '';
+function renderRatingChart(books) {
+    const chartContainer = document.getElementById('rating-chart');
+    if (!chartContainer) return;
 
-    const tagCounts = {};
-    books.forEach(book => {
-        tagCounts[book.tag] = (tagCounts[book.tag] || 0) + 1;
-    });
+    const steps = countRatings(books);
+    const maxCount = Math.max(...steps.map(step => step.count), 1);
 
-    let topTag = '';
-    let maxCount = 0;
-    for (const [tag, count] of Object.entries(tagCounts)) {
-        if (count > maxCount) {
-            maxCount = count;
-            topTag = tag;
-        }
+    chartContainer.innerHTML = steps.map(({ rating, count }) => {
+        const heightPct = (count / maxCount) * 100;
+        const label = describeRating(rating);
+        return `
+        <div class="chart-bar" style="height: ${heightPct}%" title="${label}: ${count} book(s)">
+            <span class="bar-label">${count > 0 ? count : ''}</span>
+            <div class="bar-day">${rating}</div>
+        </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Render the authors with the highest average rating
+ * @param {Array} books - Books data
+ */
+function renderTopRatedAuthors(books) {
+    const list = document.getElementById('top-rated-authors');
+    if (!list) return;
+
+    const authors = getTopRatedAuthors(books, 5);
+    if (authors.length === 0) {
+        list.innerHTML = '<li class="rating-none">Rate some books to see your favorite authors</li>';
+        return;
     }
 
-    return topTag;
+    list.innerHTML = authors.map(({ name, average, count }) => `
+        <li class="top-rated-author">
+            <span>${escapeHtml(name)}</span>
+            <span class="rating-stars" title="${describeRating(average)}">${average} ★</span>
+            <small class="hint">${count} rated book${count === 1 ? '' : 's'}</small>
+        </li>
+    `).join('');
+}
+
+/**
+ * Get the most common tag, counted the same way as the tags chart
+ * @param {Array} books - Books data
+ * @returns {string} Most common tag
+ */
+function getTopTag(books) {
+    const [top] = countTags(books);
+    return top ? top[0] : '';
 }
 
 /**
@@ -299,7 +755,8 @@ function calculateAverageBookLength(books) {
 }
 
 /**
- * Get the author with the most books
+ * Get the author with the most books.
+ * Co-written books count for each author; editors, translators and illustrators are not counted.
  * @param {Array} books - Books data
  * @returns {string} Top author name
  */
@@ -308,7 +765,9 @@ function getTopAuthor(books) {
 
     const authorCounts = {};
     books.forEach(book => {
-        authorCounts[book.author] = (authorCounts[book.author] || 0) + 1;
+        contributorNames(book.author, 'author').forEach(author => {
+            authorCounts[author] = (authorCounts[author] || 0) + 1;
+        });
     });
 
     let topAuthor = '';
@@ -343,6 +802,50 @@ export function showStatus(elementId, message, type = 'info') {
     }, 5000);
 }
 
+let toastTimer = null;
+
+/**
+ * Show a toast notification with an optional action button (e.g. "Undo")
+ * @param {string} message - Message to display
+ * @param {Object} action - Optional { label: string, onClick: Function }
+ */
+export function showToast(message, action = null) {
+    const toast = document.getElementById('toast');
+    const actionButton = document.getElementById('toast-action');
+    if (!toast || !actionButton) return;
+
+    document.getElementById('toast-message').textContent = message;
+
+    if (action) {
+        actionButton.textContent = action.label;
+        actionButton.onclick = () => {
+            hideToast();
+            action.onClick();
+        };
+        actionButton.classList.remove('hidden');
+    } else {
+        actionButton.onclick = null;
+        actionButton.classList.add('hidden');
+    }
+
+    toast.classList.remove('hidden');
+
+    // Auto-hide after 8 seconds (longer than status messages so there is time to undo)
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, 8000);
+}
+
+/**
+ * Hide the toast notification
+ */
+export function hideToast() {
+    const toast = document.getElementById('toast');
+    if (toast) {
+        toast.classList.add('hidden');
+    }
+    clearTimeout(toastTimer);
+}
+
 /**
  * Show validation error for a form field
  * @param {string} fieldId - Field ID
@@ -396,6 +899,15 @@ export function resetBookForm() {
     if (form) {
         form.reset();
         document.getElementById('book-id').value = '';
+        delete form.dataset.updatedAt;
+        delete form.dataset.allowDuplicate;
+        renderContributorRows([]);
+        renderTagChips('book-tags-list', []);
+        renderStarInput(null);
+        renderIsbnHint('');
+        hideDuplicateWarning();
+        hideMetadataResults();
+        renderAuthorBooks('', []);
         document.getElementById('form-heading').textContent = 'Add New Book';
         document.getElementById('submit-btn').textContent = 'Add Book';
     }
@@ -409,25 +921,359 @@ export function resetBookForm() {
 export function populateFormForEdit(book) {
     document.getElementById('book-id').value = book.id;
     document.getElementById('book-title').value = book.title;
-    document.getElementById('book-author').value = book.author;
+    renderContributorRows(toContributors(book.author));
     document.getElementById('book-pages').value = book.pages;
-    document.getElementById('book-tag').value = book.tag;
+    document.getElementById('book-isbn').value = book.isbn ? hyphenateIsbn(book.isbn) : '';
+    renderIsbnHint(book.isbn || '');
+    renderTagChips('book-tags-list', getBookTags(book));
+    document.getElementById('book-tags-input').value = '';
+    document.getElementById('book-series').value = book.series || '';
+    document.getElementById('book-series-index').value = book.seriesIndex ?? '';
     document.getElementById('book-date').value = book.date;
+    document.getElementById('book-status').value = getBookStatus(book);
+    document.getElementById('book-start-date').value = book.startDate || '';
+    document.getElementById('book-finish-date').value = book.finishDate || '';
+    renderStarInput(getRating(book));
+    document.getElementById('book-review').value = book.review || '';
     document.getElementById('book-notes').value = book.notes || '';
 
+    // Remember which version is being edited to catch changes made elsewhere meanwhile
+    document.getElementById('book-form').dataset.updatedAt = book.updatedAt || '';
+
     document.getElementById('form-heading').textContent = 'Edit Book';
     document.getElementById('submit-btn').textContent = 'Update Book';
 
     navigateToSection('add-book');
 }
 
+/**
+ * Render the contributor rows of the book form (always at least one row)
+ * @param {Array} contributors - Contributors ({ name, role }) in order
+ * @param {number} focusIndex - Row whose name input gets focus (-1 for none)
+ */
+export function renderContributorRows(contributors, focusIndex = -1) {
+    const list = document.getElementById('contributor-list');
+    if (!list) return;
+
+    const rows = contributors.length > 0 ? contributors : [{ name: '', role: 'author' }];
+    list.innerHTML = '';
+
+    // Built with DOM properties so names are never parsed as HTML
+    rows.forEach(({ name, role }, index) => {
+        const number = index + 1;
+        const item = document.createElement('li');
+        item.className = 'contributor-row';
+        item.dataset.index = index;
+
+        const nameLabel = document.createElement('label');
+        nameLabel.className = 'sr-only';
+        nameLabel.htmlFor = `contributor-name-${index}`;
+        nameLabel.textContent = `Contributor ${number} name`;
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.id = `contributor-name-${index}`;
+        nameInput.className = 'contributor-name';
+        nameInput.value = name;
+        nameInput.setAttribute('list', 'author-suggestions');
+
+        const roleLabel = document.createElement('label');
+        roleLabel.className = 'sr-only';
+        roleLabel.htmlFor = `contributor-role-${index}`;
+        roleLabel.textContent = `Contributor ${number} role`;
+
+        const roleSelect = document.createElement('select');
+        roleSelect.id = `contributor-role-${index}`;
+        roleSelect.className = 'contributor-role';
+        CONTRIBUTOR_ROLES.forEach(value => roleSelect.add(new Option(ROLE_LABELS[value], value)));
+        roleSelect.value = CONTRIBUTOR_ROLES.includes(role) ? role : 'author';
+
+        const upButton = document.createElement('button');
+        upButton.type = 'button';
+        upButton.className = 'action-btn move-contributor-up';
+        upButton.disabled = index === 0;
+        upButton.setAttribute('aria-label', `Move contributor ${number} up`);
+        upButton.textContent = '↑';
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'action-btn remove-contributor';
+        removeButton.disabled = rows.length === 1;
+        removeButton.setAttribute('aria-label', `Remove contributor ${number}`);
+        removeButton.textContent = '×';
+
+        item.append(nameLabel, nameInput, roleLabel, roleSelect, upButton, removeButton);
+        list.appendChild(item);
+    });
+
+    if (focusIndex >= 0) {
+        document.getElementById(`contributor-name-${Math.min(focusIndex, rows.length - 1)}`).focus();
+    }
+}
+
+/**
+ * Read the contributor rows of the book form
+ * @param {Object} options - { includeEmpty: boolean } (rows without a name are skipped by default)
+ * @returns {Array} Contributors ({ name, role }) in order
+ */
+export function getContributorRows(options = {}) {
+    return [...document.querySelectorAll('#contributor-list .contributor-row')]
+        .map(row => ({
+            name: row.querySelector('.contributor-name').value.trim(),
+            role: row.querySelector('.contributor-role').value
+        }))
+        .filter(contributor => options.includeEmpty || contributor.name !== '');
+}
+
+/**
+ * Fill the author name suggestions offered while typing a contributor
+ * @param {Array} names - Known contributor names
+ */
+export function renderAuthorSuggestions(names) {
+    const datalist = document.getElementById('author-suggestions');
+    if (!datalist) return;
+
+    datalist.innerHTML = '';
+    names.forEach(name => datalist.appendChild(new Option(name)));
+}
+
+/**
+ * Fill the tag autocomplete with the default suggestions and the tags in use
+ * @param {Array} tags - Tags used in the library
+ */
+export function renderTagSuggestions(tags) {
+    const datalist = document.getElementById('tag-suggestions');
+    if (!datalist) return;
+
+    datalist.innerHTML = '';
+    [...new Set([...DEFAULT_TAG_SUGGESTIONS, ...tags])]
+        .sort((a, b) => a.localeCompare(b))
+        .forEach(tag => datalist.appendChild(new Option(tag)));
+}
+
+/**
+ * Show the ISBN-13 and ISBN-10 forms of a valid ISBN under the ISBN field
+ * @param {string} value - ISBN as typed
+ */
+export function renderIsbnHint(value) {
+    const hint = document.getElementById('book-isbn-hint');
+    if (!hint) return;
+
+    if (!isValidIsbn(value)) {
+        hint.textContent = ISBN_HINT;
+        return;
+    }
+
+    const isbn10 = toIsbn10(value);
+    hint.textContent = `ISBN-13: ${hyphenateIsbn(toIsbn13(value))}` + (isbn10 ? ` · ISBN-10: ${hyphenateIsbn(isbn10)}` : '');
+}
+
+/**
+ * Fill the book form with the fields of a metadata record. Fields the record
+ * does not have are left as they are, and its tags are added to the chosen ones.
+ * @param {Object} record - Normalised record from lookupMetadata
+ */
+export function prefillBookForm(record) {
+    if (record.title) document.getElementById('book-title').value = record.title;
+    if (record.author) renderContributorRows(record.author);
+    if (record.pages) document.getElementById('book-pages').value = record.pages;
+    if (record.isbn) {
+        document.getElementById('book-isbn').value = hyphenateIsbn(record.isbn);
+        renderIsbnHint(record.isbn);
+    }
+    if (record.tags) renderTagChips('book-tags-list', toTags([...getTagChips('book-tags-list'), ...record.tags]));
+    if (record.series) {
+        document.getElementById('book-series').value = record.series;
+        document.getElementById('book-series-index').value = record.seriesIndex ?? '';
+    }
+}
+
+/**
+ * List the matches of a title lookup to pick from
+ * @param {Array} results - Normalised records from lookupMetadata
+ */
+export function renderMetadataResults(results) {
+    const list = document.getElementById('metadata-results');
+    if (!list) return;
+
+    list.innerHTML = '';
+    results.forEach((record, index) => {
+        const author = contributorNames(record.author || [], 'author').join(', ');
+        const details = [author, record.pages && `${record.pages} pages`].filter(Boolean).join(' · ');
+
+        const pick = document.createElement('button');
+        pick.type = 'button';
+        pick.className = 'metadata-pick';
+        pick.dataset.index = index;
+        const title = record.title || hyphenateIsbn(record.isbn || '');
+        pick.textContent = details ? `${title} — ${details}` : title;
+
+        const item = document.createElement('li');
+        item.appendChild(pick);
+        list.appendChild(item);
+    });
+    list.classList.remove('hidden');
+}
+
+/**
+ * Hide the lookup matches
+ */
+export function hideMetadataResults() {
+    const list = document.getElementById('metadata-results');
+    if (!list) return;
+
+    list.innerHTML = '';
+    list.classList.add('hidden');
+}
+
+/**
+ * Warn that the book being added is already in the library, with a link to the
+ * existing book and a button to add it anyway
+ * @param {Object} duplicate - { book, matchedBy } from findDuplicateBook
+ */
+export function renderDuplicateWarning({ book, matchedBy }) {
+    const warning = document.getElementById('duplicate-warning');
+    if (!warning) return;
+
+    const author = contributorNames(book.author)[0];
+    const reason = matchedBy === 'isbn' ? 'the same ISBN' : 'the same title and author';
+
+    const message = document.createElement('p');
+    message.textContent = `"${book.title}"${author ? ` by ${author}` : ''} is already in your library (${reason}).`;
+
+    const link = document.createElement('a');
+    link.href = '#add-book';
+    link.className = 'duplicate-open';
+    link.dataset.id = book.id;
+    link.textContent = 'Open the existing book';
+
+    const addAnyway = document.createElement('button');
+    addAnyway.type = 'button';
+    addAnyway.className = 'btn btn-secondary duplicate-add';
+    addAnyway.dataset.id = book.id;
+    addAnyway.textContent = 'Add anyway';
+
+    warning.innerHTML = '';
+    warning.append(message, link, addAnyway);
+    warning.classList.remove('hidden');
+}
+
+/**
+ * Show the other books by an author under the contributors in the book form
+ * @param {string} author - Author name
+ * @param {Array} books - The author's other books (none hides the line)
+ */
+export function renderAuthorBooks(author, books) {
+    const line = document.getElementById('author-books');
+    if (!line) return;
+
+    const titles = books.map(book => book.title).sort((a, b) => a.localeCompare(b));
+    line.textContent = titles.length > 0 ? `Also by ${author}: ${titles.join(', ')}` : '';
+    line.classList.toggle('hidden', titles.length === 0);
+}
+
+/**
+ * Hide the duplicate book warning
+ */
+export function hideDuplicateWarning() {
+    const warning = document.getElementById('duplicate-warning');
+    if (!warning) return;
+
+    warning.innerHTML = '';
+    warning.classList.add('hidden');
+}
+
+/**
+ * Show a rating in the star input of the book form
+ * @param {number|null} rating - Rating, or null to clear it
+ */
+export function renderStarInput(rating) {
+    const slider = document.getElementById('book-rating');
+    if (!slider) return;
+
+    const value = rating ? Math.min(Math.max(rating, RATING_STEP), MAX_RATING) : 0;
+    slider.dataset.value = value ? String(value) : '';
+    slider.setAttribute('aria-valuenow', String(value));
+    slider.setAttribute('aria-valuetext', describeRating(value));
+
+    slider.querySelectorAll('.star').forEach(star => {
+        const position = Number(star.dataset.star);
+        star.classList.toggle('star--full', value >= position);
+        star.classList.toggle('star--half', value === position - RATING_STEP);
+    });
+}
+
+/**
+ * Read the rating shown in the star input
+ * @returns {number|''} Rating, or '' when the book is not rated
+ */
+export function getStarInput() {
+    const value = document.getElementById('book-rating')?.dataset.value;
+    return value ? Number(value) : '';
+}
+
+/**
+ * Render the chips of a tag input, each with a remove button
+ * @param {string} listId - ID of the chip list
+ * @param {Array} tags - Tags in order
+ */
+export function renderTagChips(listId, tags) {
+    const list = document.getElementById(listId);
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    // Built with DOM properties so tags are never parsed as HTML
+    tags.forEach(tag => {
+        const chip = document.createElement('li');
+        chip.className = 'chip';
+        chip.dataset.tag = tag;
+
+        const label = document.createElement('span');
+        label.textContent = tag;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'chip-remove';
+        removeBtn.setAttribute('aria-label', `Remove tag ${tag}`);
+        removeBtn.textContent = '×';
+
+        chip.append(label, removeBtn);
+        list.appendChild(chip);
+    });
+}
+
+/**
+ * Read the tags shown as chips in a tag input
+ * @param {string} listId - ID of the chip list
+ * @returns {Array} Tags in order
+ */
+export function getTagChips(listId) {
+    const list = document.getElementById(listId);
+    if (!list) return [];
+
+    return [...list.querySelectorAll('.chip')].map(chip => chip.dataset.tag);
+}
+
+/**
+ * Format a book field for a difference listing
+ * @param {Object} book - Book object
+ * @param {string} field - Field name
+ * @returns {string} Display text
+ */
+function formatField(book, field) {
+    if (field === 'author') return formatContributors(book[field]);
+    if (field === 'tags') return formatTags(book[field]);
+    return String(book[field] ?? '');
+}
+
 /**
  * Update the progress bar based on current pages vs target
  * @param {number} totalPages - Total pages read
+ * @param {Object} settings - Settings object (goal and display unit)
  */
-function updateProgressBar(totalPages) {
-    const targetInput = document.getElementById('pages-target');
-    const target = parseInt(targetInput.value) || 1000;
+function updateProgressBar(totalPages, settings) {
+    const target = parseInt(settings.targetPages) || 1000;
     const progressFill = document.getElementById('progress-fill');
     const statusElement = document.getElementById('target-status');
 
@@ -435,7 +1281,6 @@ function updateProgressBar(totalPages) {
 
     // Calculate percentage (cap at 100% for display)
     const percentage = Math.min((totalPages / target) * 100, 100);
-    const actualPercentage = (totalPages / target) * 100;
 
     // Update progress bar
     progressFill.style.width = `${percentage}%`;
@@ -443,17 +1288,491 @@ function updateProgressBar(totalPages) {
 
     // Update status message
     const remaining = target - totalPages;
+    const goal = formatPages(target, settings, true);
 
     if (remaining > 0) {
-        statusElement.textContent = `${remaining.toLocaleString()} pages remaining to reach your goal of ${target.toLocaleString()} pages`;
+        statusElement.textContent = `${formatPages(remaining, settings, true)} remaining to reach your goal of ${goal}`;
         statusElement.setAttribute('aria-live', 'polite');
     } else if (remaining === 0) {
-        statusElement.textContent = `🎉 Perfect! You've reached your goal of ${target.toLocaleString()} pages!`;
+        statusElement.textContent = `🎉 Perfect! You've reached your goal of ${goal}!`;
         statusElement.setAttribute('aria-live', 'assertive');
     } else {
-        statusElement.textContent = `🎉 Incredible! You've exceeded your goal by ${Math.abs(remaining).toLocaleString()} pages!`;
+        statusElement.textContent = `🎉 Incredible! You've exceeded your goal by ${formatPages(Math.abs(remaining), settings, true)}!`;
         statusElement.setAttribute('aria-live', 'assertive');
     }
 }
 
+/**
+ * Show the reading goal in the current display unit
+ * @param {Object} settings - Settings object
+ */
+export function syncGoalInput(settings) {
+    const targetInput = document.getElementById('pages-target');
+    if (targetInput && settings.targetPages) {
+        targetInput.value = convertPages(settings.targetPages, settings);
+    }
+}
+
+/**
+ * Update every unit label (e.g. "Total Pages" / "Total Hours") on the page
+ * @param {Object} settings - Settings object
+ */
+function applyUnitLabels(settings) {
+    const label = capitalize(getUnitLabel(settings));
+    document.querySelectorAll('.unit-label').forEach(el => {
+        el.textContent = label;
+    });
+}
+
+/**
+ * Capitalize the first letter of a string
+ * @param {string} text - Text to capitalize
+ * @returns {string} Capitalized text
+ */
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Open the reading sessions modal for a book
+ * @param {Object} book - Book object
+ * @param {string} today - Default date for the new session
+ */
+export function openSessionModal(book, today) {
+    const form = document.getElementById('session-form');
+    form.reset();
+    clearSessionErrors();
+
+    document.getElementById('session-book-id').value = book.id;
+    document.getElementById('session-date').value = today;
+
+    // Continue from where the last session ended
+    const sessions = getSessions(book.id);
+    const lastSession = sessions[sessions.length - 1];
+    document.getElementById('session-start-page').value = lastSession ? lastSession.endPage : 0;
+
+    renderSessionModal(book);
+    document.getElementById('session-modal').classList.remove('hidden');
+    document.getElementById('session-end-page').focus();
+}
+
+/**
+ * Close the reading sessions modal
+ */
+export function closeSessionModal() {
+    document.getElementById('session-modal').classList.add('hidden');
+}
+
+/**
+ * Render the summary, progress and history of the sessions modal
+ * @param {Object} book - Book object
+ */
+export function renderSessionModal(book) {
+    const settings = getSettings();
+    const total = parseInt(book.pages || 0);
+    const read = getPagesRead(book);
+    const percentage = total > 0 ? (read / total) * 100 : 0;
+
+    document.getElementById('session-modal-title').textContent = `Reading Sessions: ${book.title}`;
+    document.getElementById('session-book-summary').textContent =
+        `${formatPages(read, settings)} of ${formatPages(total, settings, true)} read (${percentage.toFixed(1)}%)`;
+    document.getElementById('session-progress-fill').style.width = `${percentage}%`;
+
+    const list = document.getElementById('session-list');
+    const sessions = getSessions(book.id);
+
+    if (sessions.length === 0) {
+        list.innerHTML = '<li class="text-muted">No sessions logged yet</li>';
+        return;
+    }
+
+    list.innerHTML = sessions.map(session => `
+        <li class="session-item">
+            <span>${session.date}: pages ${session.startPage}&ndash;${session.endPage} (${session.minutes} min)</span>
+            <button class="action-btn delete-session" data-id="${escapeAttribute(session.id)}" data-book-id="${escapeAttribute(book.id)}"
+                aria-label="Delete session on ${session.date}">Delete</button>
+        </li>
+    `).join('');
+}
+
+/**
+ * Show validation errors on the session form
+ * @param {Object} errors - Field name to message map
+ */
+export function showSessionErrors(errors) {
+    clearSessionErrors();
+    for (const [field, message] of Object.entries(errors)) {
+        const errorElement = document.getElementById(`session-${field}-error`);
+        if (errorElement) {
+            errorElement.textContent = message;
+        }
+    }
+}
+
+/**
+ * Clear all session form errors
+ */
+function clearSessionErrors() {
+    document.querySelectorAll('#session-form .error-message').forEach(el => el.textContent = '');
+}
+
+/**
+ * Open the merge import preview
+ * @param {Object} plan - Merge plan ({ added, updated, unchanged, conflicts })
+ * @param {Function} chooseWinner - (conflict) => 'mine'|'theirs' for the initial selection
+ */
+export function renderMergePreview(plan, chooseWinner) {
+    document.getElementById('merge-summary').innerHTML = [
+        ['Added', plan.added.length],
+        ['Updated', plan.updated.length],
+        ['Unchanged', plan.unchanged.length],
+        ['Conflicts', plan.conflicts.length]
+    ].map(([label, count]) => `<li><strong>${count}</strong> ${label}</li>`).join('');
+
+    // Conflicts with a per-book choice
+    document.getElementById('merge-conflicts').classList.toggle('hidden', plan.conflicts.length === 0);
+    document.getElementById('merge-conflict-list').innerHTML = plan.conflicts.map(conflict => {
+        const { existing, incoming } = conflict;
+        const winner = chooseWinner(conflict);
+        const differences = diffFields(existing, incoming).map(field => `
+            <li><strong>${escapeHtml(field)}:</strong>
+                mine <code>${escapeHtml(formatField(existing, field))}</code>,
+                theirs <code>${escapeHtml(formatField(incoming, field))}</code></li>
+        `).join('');
+
+        return `
+        <li class="merge-item">
+            <div>
+                <strong>${escapeHtml(existing.title)}</strong> by ${escapeHtml(formatContributors(existing.author))}
+                <ul class="merge-diff">${differences}</ul>
+                <small class="hint">Mine edited ${escapeHtml(existing.updatedAt || 'unknown')},
+                    theirs edited ${escapeHtml(incoming.updatedAt || 'unknown')}</small>
+            </div>
+            <label class="sr-only" for="conflict-${escapeAttribute(existing.id)}">Version to keep for ${escapeHtml(existing.title)}</label>
+            <select id="conflict-${escapeAttribute(existing.id)}" class="conflict-choice" data-id="${escapeAttribute(existing.id)}">
+                <option value="mine"${winner === 'mine' ? ' selected' : ''}>Keep mine</option>
+                <option value="theirs"${winner === 'theirs' ? ' selected' : ''}>Take theirs</option>
+            </select>
+        </li>
+        `;
+    }).join('');
+
+    // Added and updated books
+    const listTitles = (heading, entries) => entries.length === 0 ? '' : `
+        <h3>${heading}</h3>
+        <ul class="merge-list">
+            ${entries.map(({ incoming, matchedBy }) => `<li>${escapeHtml(incoming.title)} by ${escapeHtml(formatContributors(incoming.author))}${matchedBy === 'title-author' ? ' <small class="hint">(matched by title and author)</small>' : ''}</li>`).join('')}
+        </ul>
+    `;
+    document.getElementById('merge-details').innerHTML =
+        listTitles('Added', plan.added) + listTitles('Updated', plan.updated);
+
+    document.getElementById('merge-modal').classList.remove('hidden');
+    document.getElementById('merge-apply-btn').focus();
+}
+
+/**
+ * Close the merge import preview
+ */
+export function closeMergeModal() {
+    document.getElementById('merge-modal').classList.add('hidden');
+}
+
+/**
+ * Ask which copy of a book to keep when it was changed in two places
+ * @param {Object} conflict - { mine, theirs } book copies
+ * @param {string} message - Explanation shown above the differences
+ */
+export function renderSyncConflict({ mine, theirs }, message) {
+    document.getElementById('sync-message').textContent = message;
+    document.getElementById('sync-book').textContent = `${theirs.title} by ${formatContributors(theirs.author)}`;
+
+    const differences = diffFields(mine, theirs);
+    document.getElementById('sync-diff').innerHTML = differences.length === 0
+        ? '<li>Both copies have the same content.</li>'
+        : differences.map(field => `
+            <li><strong>${escapeHtml(field)}:</strong>
+                this tab <code>${escapeHtml(formatField(mine, field))}</code>,
+                saved <code>${escapeHtml(formatField(theirs, field))}</code></li>
+        `).join('');
+
+    document.getElementById('sync-modal').classList.remove('hidden');
+    document.getElementById('sync-keep-mine-btn').focus();
+}
+
+/**
+ * Close the sync conflict prompt
+ */
+export function closeSyncModal() {
+    document.getElementById('sync-modal').classList.add('hidden');
+}
+
+/**
+ * Open the passphrase prompt
+ * @param {Object} options - { title, message, submitLabel, askCurrent, askNew, cancellable }
+ *   askCurrent shows the existing passphrase field, askNew the new passphrase and confirmation
+ */
+export function openPassphraseModal({ title, message, submitLabel, askCurrent, askNew, cancellable = true }) {
+    document.getElementById('passphrase-form').reset();
+    showPassphraseError('');
+    setPassphraseBusy(false);
+
+    document.getElementById('passphrase-title').textContent = title;
+    document.getElementById('passphrase-message').textContent = message;
+    document.getElementById('passphrase-submit-btn').textContent = submitLabel;
+    document.getElementById('passphrase-current-group').classList.toggle('hidden', !askCurrent);
+    document.getElementById('passphrase-new-group').classList.toggle('hidden', !askNew);
+    document.getElementById('passphrase-cancel-btn').classList.toggle('hidden', !cancellable);
+
+    // "New" only needs saying when the current passphrase is asked for too
+    document.getElementById('passphrase-current-label').textContent = askNew ? 'Current Passphrase:' : 'Passphrase:';
+    document.getElementById('passphrase-new-label').textContent = askCurrent ? 'New Passphrase:' : 'Passphrase:';
+
+    document.getElementById('passphrase-modal').classList.remove('hidden');
+    document.getElementById(askCurrent ? 'passphrase-current' : 'passphrase-new').focus();
+}
+
+/**
+ * Read the passphrase prompt fields
+ * @returns {Object} { current, next, confirm }
+ */
+export function getPassphraseValues() {
+    return {
+        current: document.getElementById('passphrase-current').value,
+        next: document.getElementById('passphrase-new').value,
+        confirm: document.getElementById('passphrase-confirm').value
+    };
+}
+
+/**
+ * Show an error in the passphrase prompt
+ * @param {string} message - Error message ('' clears it)
+ */
+export function showPassphraseError(message) {
+    document.getElementById('passphrase-error').textContent = message;
+}
+
+/**
+ * Disable the passphrase prompt while a key is derived (which takes a moment by design)
+ * @param {boolean} busy - True while working
+ */
+export function setPassphraseBusy(busy) {
+    const submitButton = document.getElementById('passphrase-submit-btn');
+    submitButton.disabled = busy;
+    submitButton.setAttribute('aria-busy', String(busy));
+}
+
+/**
+ * Close the passphrase prompt
+ */
+export function closePassphraseModal() {
+    document.getElementById('passphrase-form').reset();
+    document.getElementById('passphrase-modal').classList.add('hidden');
+}
+
+/**
+ * Show whether encryption is on and the matching buttons in Settings
+ * @param {boolean} enabled - True if the vault is encrypted
+ */
+export function renderEncryptionSettings(enabled) {
+    document.getElementById('vault-status').textContent = enabled
+        ? 'Your library is encrypted in this browser. It cannot be opened without the passphrase, and a forgotten passphrase cannot be recovered.'
+        : 'Your library is stored in plain text. Turn on encryption to protect it with a passphrase.';
+
+    document.getElementById('vault-enable-btn').classList.toggle('hidden', enabled);
+    document.getElementById('vault-change-btn').classList.toggle('hidden', !enabled);
+    document.getElementById('vault-disable-btn').classList.toggle('hidden', !enabled);
+}
+
+// Book fields offered in the CSV column mapping, with required ones marked
+const CSV_FIELD_LABELS = {
+    title: 'Title *',
+    author: 'Authors *',
+    pages: 'Pages *',
+    isbn: 'ISBN',
+    tags: 'Tags *',
+    series: 'Series',
+    seriesIndex: 'Number in Series',
+    date: 'Date Added *',
+    status: 'Status',
+    startDate: 'Started',
+    finishDate: 'Finished',
+    rating: 'Rating',
+    review: 'Review',
+    notes: 'Notes',
+    id: 'ID',
+    createdAt: 'Created At',
+    updatedAt: 'Updated At',
+    deletedAt: 'Deleted At'
+};
+
+/**
+ * Open the CSV column mapping step.
+ * Goodreads and StoryGraph exports have a known layout, so no mapping is shown for them.
+ * @param {Object} csvInfo - { fileName, headers, mapping, sample, rowCount } from readCSVHeaders
+ * @param {string} formatLabel - Name of the recognised export format, or '' for a generic CSV
+ */
+export function renderCSVMapping(csvInfo, formatLabel = '') {
+    const { fileName, headers, mapping, sample, rowCount } = csvInfo;
+    const rows = `${rowCount} row${rowCount === 1 ? '' : 's'}`;
+
+    document.getElementById('csv-file-summary').textContent = formatLabel
+        ? `${fileName}: recognised as a ${formatLabel} export with ${rows}. Shelves become tags and reviews are kept as reviews.`
+        : `${fileName}: ${rows}, ${headers.length} columns. Choose the column for each field.`;
+
+    const mappingContainer = document.getElementById('csv-mapping');
+    mappingContainer.classList.toggle('hidden', Boolean(formatLabel));
+    if (formatLabel) {
+        mappingContainer.innerHTML = '';
+        resetCSVReport();
+        document.getElementById('csv-modal').classList.remove('hidden');
+        document.getElementById('csv-validate-btn').focus();
+        return;
+    }
+
+    const options = headers.map((header, index) => {
+        const example = sample[index] ? ` (e.g. ${sample[index].slice(0, 30)})` : '';
+        return `<option value="${index}">${escapeHtml(header || `Column ${index + 1}`)}${escapeHtml(example)}</option>`;
+    }).join('');
+
+    mappingContainer.innerHTML = Object.entries(CSV_FIELD_LABELS).map(([field, label]) => `
+        <div class="form-group">
+            <label for="csv-map-${field}">${label}</label>
+            <select id="csv-map-${field}" class="csv-map-select" data-field="${field}">
+                <option value="">— Not imported —</option>
+                ${options}
+            </select>
+        </div>
+    `).join('');
+
+    Object.entries(mapping).forEach(([field, index]) => {
+        const select = document.getElementById(`csv-map-${field}`);
+        if (select) select.value = String(index);
+    });
+
+    resetCSVReport();
+    document.getElementById('csv-modal').classList.remove('hidden');
+    document.getElementById('csv-validate-btn').focus();
+}
+
+/**
+ * Read the column mapping chosen in the CSV modal
+ * @returns {Object} Field name to column index
+ */
+export function getCSVMapping() {
+    const mapping = {};
+    document.querySelectorAll('.csv-map-select').forEach(select => {
+        if (select.value !== '') {
+            mapping[select.dataset.field] = parseInt(select.value, 10);
+        }
+    });
+    return mapping;
+}
+
+/**
+ * Show the per-row validation report for a CSV import
+ * @param {Object} result - Result of importFromCSV
+ */
+export function renderCSVReport(result) {
+    const report = document.getElementById('csv-report');
+    const importBtn = document.getElementById('csv-import-btn');
+
+    const summary = `${result.data.length} row${result.data.length === 1 ? '' : 's'} ready to import, ` +
+        `${result.rowErrors.length} row${result.rowErrors.length === 1 ? '' : 's'} with errors.`;
+
+    const rowErrors = result.rowErrors.map(({ row, errors }) => `
+        <li><strong>Row ${row}:</strong> ${Object.entries(errors)
+            .map(([field, message]) => `${escapeHtml(field)} &ndash; ${escapeHtml(message)}`)
+            .join('; ')}</li>
+    `).join('');
+
+    // Authors that were normalised on import can be adjusted before importing
+    const suggestions = (result.suggestions || []).map(({ row, index, original, suggested }) => `
+        <li class="csv-suggestion">
+            <label for="csv-suggestion-${index}">Row ${row}: &ldquo;${escapeHtml(original)}&rdquo; will be saved as</label>
+            <input type="text" id="csv-suggestion-${index}" class="csv-suggestion-input"
+                data-index="${index}" value="${escapeHtml(suggested)}">
+        </li>
+    `).join('');
+
+    // Exports without page counts (StoryGraph) ask for them before importing
+    const missingPages = (result.missingPages || []).map(({ row, index, title }) => `
+        <li class="csv-suggestion">
+            <label for="csv-pages-${index}">Row ${row}: pages in &ldquo;${escapeHtml(title)}&rdquo;</label>
+            <input type="number" id="csv-pages-${index}" class="csv-pages-input" min="1" step="1"
+                data-index="${index}" required>
+        </li>
+    `).join('');
+
+    report.innerHTML = `
+        <p>${[...result.errors.map(escapeHtml), summary].join(' ')}</p>
+        ${suggestions ? `<h3>Author name suggestions</h3><ul class="csv-suggestions">${suggestions}</ul>` : ''}
+        ${missingPages ? `<h3>Missing page counts</h3><ul class="csv-suggestions">${missingPages}</ul>` : ''}
+        ${rowErrors ? `<ul class="csv-row-errors">${rowErrors}</ul>` : ''}
+    `;
+
+    importBtn.disabled = result.data.length === 0;
+    importBtn.textContent = `Import ${result.data.length} Valid Row${result.data.length === 1 ? '' : 's'}`;
+}
+
+/**
+ * Read the author names entered for each suggestion in the CSV report
+ * @returns {Object} Index into the imported books to author name
+ */
+export function getCSVSuggestionValues() {
+    const values = {};
+    document.querySelectorAll('.csv-suggestion-input').forEach(input => {
+        values[input.dataset.index] = input.value.trim();
+    });
+    return values;
+}
+
+/**
+ * Read the page counts entered for rows exported without one
+ * @returns {Object} Index into the imported books to page count text
+ */
+export function getCSVPageValues() {
+    const values = {};
+    document.querySelectorAll('.csv-pages-input').forEach(input => {
+        values[input.dataset.index] = input.value.trim();
+    });
+    return values;
+}
+
+/**
+ * Flag an author suggestion or page count that still fails validation
+ * @param {string} index - Index of the input
+ * @param {string} message - Validation message
+ * @param {string} field - 'author' or 'pages'
+ */
+export function showCSVSuggestionError(index, message, field = 'author') {
+    const input = document.getElementById(field === 'pages' ? `csv-pages-${index}` : `csv-suggestion-${index}`);
+    input.setAttribute('aria-invalid', 'true');
+
+    let error = input.nextElementSibling;
+    if (!error || !error.classList.contains('error-message')) {
+        error = document.createElement('span');
+        error.className = 'error-message';
+        error.setAttribute('role', 'alert');
+        input.after(error);
+    }
+    error.textContent = message;
+    input.focus();
+}
+
+/**
+ * Clear the CSV report so rows are checked again after the mapping changes
+ */
+export function resetCSVReport() {
+    document.getElementById('csv-report').innerHTML = '';
+    const importBtn = document.getElementById('csv-import-btn');
+    importBtn.disabled = true;
+    importBtn.textContent = 'Import Valid Rows';
+}
 
+/**
+ * Close the CSV column mapping step
+ */
+export function closeCSVModal() {
+    document.getElementById('csv-modal').classList.add('hidden');
+}
@@ -0,0 +1,75 @@
+/**
+ * units.js
+ * Converts page counts to the display unit chosen in settings
+ */
+
+export const DEFAULT_PAGES_PER_HOUR = 50;
+
+/**
+ * Get the configured reading rate
+ * @param {Object} settings - Settings object
+ * @returns {number} Pages read per hour
+ */
+export function getPagesPerHour(settings) {
+    const rate = parseInt(settings.pagesPerHour, 10);
+    return rate > 0 ? rate : DEFAULT_PAGES_PER_HOUR;
+}
+
+/**
+ * Check whether amounts should be shown in hours
+ * @param {Object} settings - Settings object
+ * @returns {boolean} True when the hours unit is selected
+ */
+export function usesHours(settings) {
+    return settings.pageUnit === 'hours';
+}
+
+/**
+ * Convert a page count to the display unit
+ * @param {number} pages - Number of pages
+ * @param {Object} settings - Settings object
+ * @returns {number} Pages, or hours rounded to one decimal
+ */
+export function convertPages(pages, settings) {
+    const count = parseInt(pages || 0, 10);
+    if (!usesHours(settings)) return count;
+
+    return Math.round((count / getPagesPerHour(settings)) * 10) / 10;
+}
+
+/**
+ * Convert a value in the display unit back to pages
+ * @param {number} value - Pages or hours
+ * @param {Object} settings - Settings object
+ * @returns {number} Whole number of pages
+ */
+export function toPages(value, settings) {
+    if (!usesHours(settings)) return Math.round(value);
+
+    return Math.round(value * getPagesPerHour(settings));
+}
+
+/**
+ * Get the name of the display unit
+ * @param {Object} settings - Settings object
+ * @param {number} amount - Amount used to choose singular or plural
+ * @returns {string} Unit label (e.g. 'pages', 'hour')
+ */
+export function getUnitLabel(settings, amount = 2) {
+    const unit = usesHours(settings) ? 'hour' : 'page';
+    return amount === 1 ? unit : `${unit}s`;
+}
+
+/**
+ * Format a page count in the display unit
+ * @param {number} pages - Number of pages
+ * @param {Object} settings - Settings object
+ * @param {boolean} withUnit - Append the unit label
+ * @returns {string} Formatted amount (e.g. '1,250', '4.5 hours')
+ */
+export function formatPages(pages, settings, withUnit = false) {
+    const amount = convertPages(pages, settings);
+    const text = amount.toLocaleString();
+
+    return withUnit ? `${text} ${getUnitLabel(settings, amount)}` : text;
+}
@@ -3,6 +3,40 @@
  * Regex validation patterns and functions
  */
 
+import { CONTRIBUTOR_ROLES, toContributors } from './contributors.js';
+import { toTags } from './tags.js';
+import { isValidIsbn } from './isbn.js';
+
+/**
+ * Reading status lifecycle values, in display order
+ */
+export const BOOK_STATUSES = ['to-read', 'reading', 'finished', 'abandoned'];
+
+/**
+ * Status of books saved before statuses existed. They counted toward the reading goal,
+ * so they are treated as finished.
+ */
+export const LEGACY_STATUS = 'finished';
+
+/**
+ * Human-readable labels for each reading status
+ */
+export const STATUS_LABELS = {
+    'to-read': 'To Read',
+    'reading': 'Reading',
+    'finished': 'Finished',
+    'abandoned': 'Abandoned'
+};
+
+/**
+ * Get a book's reading status
+ * @param {Object} book - Book object
+ * @returns {string} Status (LEGACY_STATUS for books saved before statuses existed)
+ */
+export function getBookStatus(book) {
+    return book.status || LEGACY_STATUS;
+}
+
 /**
  * Regex patterns for validation
  */
@@ -11,14 +45,24 @@ export const patterns = {
     // Pattern: /^\S(?:.*\S)?$/
     title: /^\S(?:.*\S)?$/,
 
-    // Author/Tag: Letters, spaces, and hyphens only
-    // Pattern: /^[A-Za-z]+(?:[ -][A-Za-z]+)*$/
-    category: /^[A-Za-z]+(?:[ -][A-Za-z]+)*$/,
+    // Author/Tag: Words of letters in any script (with their accents and other marks), separated by
+    // single spaces. Hyphens, apostrophes and periods may join letters (Jean-Paul, O'Brien, J.R.R.)
+    // and a word may end in a period (Jr.)
+    // Pattern: ^\p{L}\p{M}*(?:['’.-]?\p{L}\p{M}*)*\.?(?: \p{L}\p{M}*(?:['’.-]?\p{L}\p{M}*)*\.?)*$ (u flag)
+    category: /^\p{L}\p{M}*(?:['’.-]?\p{L}\p{M}*)*\.?(?: \p{L}\p{M}*(?:['’.-]?\p{L}\p{M}*)*\.?)*$/u,
 
     // Pages: Positive integer or decimal
     // Pattern: ^(0|[1-9]\d*)(\.\d{1,2})?$
     pages: /^[1-9]\d*$/,
 
+    // Series index: Whole number, or one decimal place for in-between volumes (e.g. 0, 3, 2.5)
+    // Pattern: ^(0|[1-9]\d*)(\.\d)?$
+    seriesIndex: /^(0|[1-9]\d*)(\.\d)?$/,
+
+    // Rating: Half a star to five stars in half-star steps (e.g. 0.5, 3, 4.5)
+    // Pattern: ^(0\.5|[1-4](\.[05])?|5(\.0)?)$
+    rating: /^(0\.5|[1-4](\.[05])?|5(\.0)?)$/,
+
     // Date: YYYY-MM-DD format
     // Pattern: ^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$
     date: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
@@ -27,8 +71,8 @@ export const patterns = {
     // Pattern: \b(\w+)\s+\1\b
     duplicateWords: /\b(\w+)\s+\1\b/i,
 
-    // Advanced: ISBN detection (example)
-    isbn: /(?:ISBN(?:-1[03])?:?\s*)?(?=[0-9X]{10}$|(?=(?:[0-9]+[-\s]){3})[-\s0-9X]{13}$|97[89][0-9]{10}$|(?=(?:[0-9]+[-\s]){4})[-\s0-9]{17}$)(?:97[89][-\s]?)?[0-9]{1,5}[-\s]?[0-9]+[-\s]?[0-9]+[-\s]?[0-9X]$/i
+    // ISBN-10/ISBN-13 shape, with optional "ISBN" prefix, hyphens or spaces (check digits are checked by validateIsbn)
+    isbn: /^(?:ISBN(?:-1[03])?:?\s*)?(?=[0-9X]{10}$|(?=(?:[0-9]+[-\s]){3})[-\s0-9X]{13}$|97[89][0-9]{10}$|(?=(?:[0-9]+[-\s]){4})[-\s0-9]{17}$)(?:97[89][-\s]?)?[0-9]{1,5}[-\s]?[0-9]+[-\s]?[0-9]+[-\s]?[0-9X]$/i
 };
 
 /**
@@ -67,7 +111,33 @@ export function validateAuthor(value) {
     }
 
     if (!patterns.category.test(value)) {
-        return { valid: false, message: 'Author must contain only letters, spaces, and hyphens' };
+        return { valid: false, message: 'Author must contain only letters, spaces, hyphens, apostrophes, and periods' };
+    }
+
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate a book's contributors (the author field, as text or a list)
+ * @param {string|Array} value - Author field
+ * @returns {Object} { valid: boolean, message: string }
+ */
+export function validateContributors(value) {
+    const contributors = toContributors(value);
+
+    if (contributors.length === 0) {
+        return { valid: false, message: 'At least one author is required' };
+    }
+
+    for (const { name, role } of contributors) {
+        if (!CONTRIBUTOR_ROLES.includes(role)) {
+            return { valid: false, message: `Unknown role for ${name}: ${role}` };
+        }
+
+        const nameValidation = validateAuthor(name);
+        if (!nameValidation.valid) {
+            return { valid: false, message: `${name}: ${nameValidation.message}` };
+        }
     }
 
     return { valid: true, message: '' };
@@ -79,15 +149,18 @@ export function validateAuthor(value) {
  * @returns {Object} { valid: boolean, message: string }
  */
 export function validatePages(value) {
-    if (!value || value.trim().length === 0) {
+    // Stored books hold pages as a number, the form as a string
+    const text = value === undefined || value === null ? '' : String(value);
+
+    if (text.trim().length === 0) {
         return { valid: false, message: 'Pages is required' };
     }
 
-    if (!patterns.pages.test(value)) {
+    if (!patterns.pages.test(text)) {
         return { valid: false, message: 'Pages must be a positive integer' };
     }
 
-    const num = parseInt(value, 10);
+    const num = parseInt(text, 10);
     if (num <= 0) {
         return { valid: false, message: 'Pages must be greater than 0' };
     }
@@ -106,7 +179,29 @@ export function validateTag(value) {
     }
 
     if (!patterns.category.test(value)) {
-        return { valid: false, message: 'Tag must contain only letters, spaces, and hyphens' };
+        return { valid: false, message: 'Tag must contain only letters, spaces, hyphens, apostrophes, and periods' };
+    }
+
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate a book's tags
+ * @param {string|Array} value - Tags (array or comma-separated text)
+ * @returns {Object} { valid: boolean, message: string }
+ */
+export function validateTags(value) {
+    const tags = toTags(value);
+
+    if (tags.length === 0) {
+        return { valid: false, message: 'At least one tag is required' };
+    }
+
+    for (const tag of tags) {
+        const tagValidation = validateTag(tag);
+        if (!tagValidation.valid) {
+            return { valid: false, message: `${tag}: ${tagValidation.message}` };
+        }
     }
 
     return { valid: true, message: '' };
@@ -135,6 +230,180 @@ export function validateDate(value) {
     return { valid: true, message: '' };
 }
 
+/**
+ * Validate reading status
+ * @param {string} value - Value to validate
+ * @returns {Object} { valid: boolean, message: string }
+ */
+export function validateStatus(value) {
+    if (!value) {
+        return { valid: false, message: 'Status is required' };
+    }
+
+    if (!BOOK_STATUSES.includes(value)) {
+        return { valid: false, message: `Status must be one of: ${BOOK_STATUSES.join(', ')}` };
+    }
+
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate an optional star rating
+ * @param {string|number} value - Rating (stored books hold a number) or empty
+ * @returns {Object} { valid: boolean, message: string }
+ */
+export function validateRating(value) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+
+    if (text.length === 0) {
+        return { valid: true, message: '' };
+    }
+
+    if (!patterns.rating.test(text)) {
+        return { valid: false, message: 'Rating must be from 0.5 to 5 stars in half-star steps' };
+    }
+
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate an optional ISBN: its shape, then its check digit
+ * @param {string} value - ISBN-10 or ISBN-13, or empty
+ * @returns {Object} { valid: boolean, message: string }
+ */
+export function validateIsbn(value) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+
+    if (text.length === 0) {
+        return { valid: true, message: '' };
+    }
+
+    if (!patterns.isbn.test(text)) {
+        return { valid: false, message: 'ISBN must have 10 or 13 digits (hyphens and spaces allowed)' };
+    }
+
+    if (!isValidIsbn(text)) {
+        return { valid: false, message: 'ISBN check digit does not match; check for a typo' };
+    }
+
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate the optional start/finish dates of a book
+ * @param {string} startDate - Start date (YYYY-MM-DD) or empty
+ * @param {string} finishDate - Finish date (YYYY-MM-DD) or empty
+ * @returns {Object} { valid: boolean, errors: Object }
+ */
+export function validateReadingDates(startDate, finishDate) {
+    const errors = {};
+
+    if (startDate) {
+        const startValidation = validateDate(startDate);
+        if (!startValidation.valid) errors.startDate = startValidation.message;
+    }
+
+    if (finishDate) {
+        const finishValidation = validateDate(finishDate);
+        if (!finishValidation.valid) errors.finishDate = finishValidation.message;
+    }
+
+    // ISO dates compare correctly as strings
+    if (startDate && finishDate && !errors.startDate && !errors.finishDate && finishDate < startDate) {
+        errors.finishDate = 'Finish date cannot be before start date';
+    }
+
+    return {
+        valid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate the optional series name and number of a book
+ * @param {string} series - Series name or empty
+ * @param {string|number} seriesIndex - Number in the series or empty
+ * @returns {Object} { valid: boolean, errors: Object }
+ */
+export function validateSeries(series, seriesIndex) {
+    const errors = {};
+    const name = series === undefined || series === null ? '' : String(series);
+    const index = seriesIndex === undefined || seriesIndex === null ? '' : String(seriesIndex);
+
+    if (name !== '') {
+        if (!patterns.title.test(name)) {
+            errors.series = 'Series cannot have leading/trailing spaces';
+        } else if (/\s{2,}/.test(name)) {
+            errors.series = 'Series cannot have double spaces';
+        }
+    }
+
+    if (index.trim() !== '') {
+        if (!patterns.seriesIndex.test(index.trim())) {
+            errors.seriesIndex = 'Number in series must be a whole number or have one decimal place (e.g. 3 or 2.5)';
+        } else if (name.trim() === '') {
+            errors.series = 'Enter the series this book is part of';
+        }
+    }
+
+    return {
+        valid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a vault passphrase
+ * @param {string} value - Value to validate
+ * @returns {Object} { valid: boolean, message: string }
+ */
+export function validatePassphrase(value) {
+    if (!value || value.length < 8) {
+        return { valid: false, message: 'Passphrase must be at least 8 characters' };
+    }
+
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate a reading session against the book it belongs to
+ * @param {Object} session - { date, startPage, endPage, minutes } as strings
+ * @param {Object} book - Book the session is logged against
+ * @returns {Object} { valid: boolean, errors: Object }
+ */
+export function validateSession(session, book) {
+    const errors = {};
+
+    const dateValidation = validateDate(session.date);
+    if (!dateValidation.valid) errors.date = dateValidation.message;
+
+    const startPage = String(session.startPage ?? '').trim();
+    const endPage = String(session.endPage ?? '').trim();
+    const totalPages = parseInt(book.pages, 10);
+
+    if (!/^\d+$/.test(startPage)) {
+        errors.startPage = 'Start page must be a whole number';
+    }
+
+    if (!/^\d+$/.test(endPage)) {
+        errors.endPage = 'End page must be a whole number';
+    } else if (!errors.startPage && parseInt(endPage, 10) <= parseInt(startPage, 10)) {
+        errors.endPage = 'End page must be after start page';
+    } else if (parseInt(endPage, 10) > totalPages) {
+        errors.endPage = `End page cannot exceed ${totalPages}`;
+    }
+
+    const minutes = String(session.minutes ?? '').trim();
+    if (!patterns.pages.test(minutes)) {
+        errors.minutes = 'Minutes must be a positive integer';
+    }
+
+    return {
+        valid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
 /**
  * Check for duplicate words (advanced regex with back-reference)
  * @param {string} text - Text to check
@@ -163,18 +432,37 @@ export function validateBook(book) {
     const titleValidation = validateTitle(book.title);
     if (!titleValidation.valid) errors.title = titleValidation.message;
 
-    const authorValidation = validateAuthor(book.author);
+    const authorValidation = validateContributors(book.author);
     if (!authorValidation.valid) errors.author = authorValidation.message;
 
     const pagesValidation = validatePages(book.pages);
     if (!pagesValidation.valid) errors.pages = pagesValidation.message;
 
-    const tagValidation = validateTag(book.tag);
-    if (!tagValidation.valid) errors.tag = tagValidation.message;
+    // Books saved before tags were a list have a single tag
+    const tagsValidation = validateTags(book.tags ?? book.tag);
+    if (!tagsValidation.valid) errors.tags = tagsValidation.message;
 
     const dateValidation = validateDate(book.date);
     if (!dateValidation.valid) errors.date = dateValidation.message;
 
+    // Status is optional for legacy records, but must be known when present
+    if (book.status !== undefined) {
+        const statusValidation = validateStatus(book.status);
+        if (!statusValidation.valid) errors.status = statusValidation.message;
+    }
+
+    const readingDates = validateReadingDates(book.startDate, book.finishDate);
+    Object.assign(errors, readingDates.errors);
+
+    const series = validateSeries(book.series, book.seriesIndex);
+    Object.assign(errors, series.errors);
+
+    const isbnValidation = validateIsbn(book.isbn);
+    if (!isbnValidation.valid) errors.isbn = isbnValidation.message;
+
+    const ratingValidation = validateRating(book.rating);
+    if (!ratingValidation.valid) errors.rating = ratingValidation.message;
+
     return {
         valid: Object.keys(errors).length === 0,
         errors
@@ -0,0 +1,250 @@
+/**
+ * vault.js
+ * Passphrase-based encryption (WebCrypto PBKDF2 + AES-GCM) for data at rest and exports
+ */
+
+const VAULT_KEY = 'booksVault:vault';
+const EXPORT_FORMAT = 'booksVault-encrypted';
+
+// OWASP recommendation for PBKDF2-HMAC-SHA256
+const PBKDF2_ITERATIONS = 600000;
+
+// Iteration counts accepted from an encrypted export: weaker files are refused,
+// and far larger counts would hang the tab while the key is derived
+const MIN_IMPORT_ITERATIONS = 100000;
+const MAX_IMPORT_ITERATIONS = 10000000;
+
+// Known plaintext sealed into the vault header to check a passphrase
+const CHECK_VALUE = 'booksVault';
+
+// Key of the unlocked vault (null while locked or when encryption is off)
+let vaultKey = null;
+
+/**
+ * Check whether encryption is turned on for this browser
+ * @returns {boolean} True if a vault header is stored
+ */
+export function hasVault() {
+    return readHeader() !== null;
+}
+
+/**
+ * Check whether data is currently being encrypted at rest
+ * @returns {boolean} True if the vault is unlocked
+ */
+export function isVaultUnlocked() {
+    return vaultKey !== null;
+}
+
+/**
+ * Unlock the vault with a passphrase
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<boolean>} False if the passphrase is wrong
+ */
+export function unlockVault(passphrase) {
+    return keyForHeader(passphrase).then(key => {
+        if (key) vaultKey = key;
+        return key !== null;
+    });
+}
+
+/**
+ * Check a passphrase against the stored vault header without unlocking
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<boolean>} True if it is the vault passphrase
+ */
+export function verifyPassphrase(passphrase) {
+    return keyForHeader(passphrase).then(key => key !== null);
+}
+
+/**
+ * Derive a key for a new passphrase with a fresh salt
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<Object>} { key, header } to pass to useVaultKey and writeVaultHeader
+ */
+export function createVaultKey(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+
+    return deriveKey(passphrase, salt, PBKDF2_ITERATIONS).then(key =>
+        sealValue(CHECK_VALUE, key).then(check => ({
+            key,
+            header: { version: 1, iterations: PBKDF2_ITERATIONS, salt: toBase64(salt), check }
+        }))
+    );
+}
+
+/**
+ * Use a key for data written from now on (null turns encryption off)
+ * @param {CryptoKey|null} key - Vault key
+ */
+export function useVaultKey(key) {
+    vaultKey = key;
+}
+
+/**
+ * Store the vault header, which marks the vault as encrypted
+ * @param {Object} header - Header from createVaultKey
+ */
+export function writeVaultHeader(header) {
+    localStorage.setItem(VAULT_KEY, JSON.stringify(header));
+}
+
+/**
+ * Remove the vault header, turning encryption off
+ */
+export function removeVaultHeader() {
+    localStorage.removeItem(VAULT_KEY);
+}
+
+/**
+ * Call a listener when another tab turns encryption on or off or changes the passphrase
+ * @param {Function} listener - Called without arguments
+ */
+export function onVaultHeaderChange(listener) {
+    window.addEventListener('storage', (e) => {
+        if (e.key === VAULT_KEY) listener();
+    });
+}
+
+/**
+ * Encrypt a JSON-serialisable value
+ * @param {*} value - Value to encrypt
+ * @param {CryptoKey} key - Key (defaults to the vault key)
+ * @returns {Promise<Object>} { iv, data } as base64
+ */
+export function sealValue(value, key = vaultKey) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+
+    return crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext)
+        .then(ciphertext => ({ iv: toBase64(iv), data: toBase64(new Uint8Array(ciphertext)) }));
+}
+
+/**
+ * Decrypt a value sealed with sealValue
+ * @param {Object} sealed - { iv, data }
+ * @param {CryptoKey} key - Key (defaults to the vault key)
+ * @returns {Promise<*>} Decrypted value (rejects if the key is wrong or the data was altered)
+ */
+export function openValue(sealed, key = vaultKey) {
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data))
+        .then(plaintext => JSON.parse(new TextDecoder().decode(plaintext)));
+}
+
+/**
+ * Encrypt an export envelope into a self-contained file with its own salt
+ * @param {Object} envelope - Export envelope from createEnvelope
+ * @param {string} passphrase - Passphrase for the file
+ * @returns {Promise<Object>} Encrypted export
+ */
+export function encryptExport(envelope, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+
+    return deriveKey(passphrase, salt, PBKDF2_ITERATIONS)
+        .then(key => sealValue(envelope, key))
+        .then(({ iv, data }) => ({
+            format: EXPORT_FORMAT,
+            version: 1,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+            cipher: { name: 'AES-GCM', iv },
+            data
+        }));
+}
+
+/**
+ * Decrypt an encrypted export
+ * @param {Object} file - Parsed encrypted export
+ * @param {string} passphrase - Passphrase for the file
+ * @returns {Promise<Object|null>} Export envelope, or null if the passphrase is wrong or the file is damaged
+ */
+export function decryptExport(file, passphrase) {
+    // The file is untrusted: it is checked and decoded inside the chain so any error resolves to null
+    return Promise.resolve()
+        .then(() => {
+            const { iterations, salt } = file.kdf;
+            if (!Number.isInteger(iterations) || iterations < MIN_IMPORT_ITERATIONS || iterations > MAX_IMPORT_ITERATIONS) {
+                throw new Error(`Unsupported PBKDF2 iteration count: ${iterations}`);
+            }
+            return deriveKey(passphrase, fromBase64(salt), iterations);
+        })
+        .then(key => openValue({ iv: file.cipher.iv, data: file.data }, key))
+        .catch(() => null);
+}
+
+/**
+ * Check whether parsed JSON is an encrypted export
+ * @param {*} data - Parsed JSON
+ * @returns {boolean} True for files written by encryptExport
+ */
+export function isEncryptedExport(data) {
+    return Boolean(data && data.format === EXPORT_FORMAT && data.kdf && data.cipher && data.data);
+}
+
+/**
+ * Read the stored vault header
+ * @returns {Object|null} Header, or null when encryption is off
+ */
+function readHeader() {
+    try {
+        const header = localStorage.getItem(VAULT_KEY);
+        return header ? JSON.parse(header) : null;
+    } catch (error) {
+        console.error('Error reading vault header:', error);
+        return null;
+    }
+}
+
+/**
+ * Derive the key for a passphrase and check it against the vault header
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<CryptoKey|null>} Key, or null if the passphrase is wrong
+ */
+function keyForHeader(passphrase) {
+    const header = readHeader();
+    if (!header) return Promise.resolve(null);
+
+    return deriveKey(passphrase, fromBase64(header.salt), header.iterations)
+        .then(key => openValue(header.check, key).then(value => value === CHECK_VALUE ? key : null))
+        .catch(() => null);
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase with PBKDF2-SHA-256
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+function deriveKey(passphrase, salt, iterations) {
+    return crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+        .then(material => crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        ));
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64 text
+ */
+function toBase64(bytes) {
+    let binary = '';
+    // Chunked so large libraries do not exceed the argument limit
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}